@@ -0,0 +1,147 @@
+// Built-in sensor types and their defaults. Per-sensor settings always win
+// over these; see services/thresholds.js for how threshold bands combine.
+//
+// `unit` is the canonical unit values are stored in; `units` lists the units
+// devices may report in (see services/units.js for the conversions).
+//
+// `calibrationIntervalDays` is how long a calibration stays valid.
+// `cleanAfterEntries` (door-tracking) is the usage after which an area needs cleaning.
+// `hygieneWeight` is the type's share of the hygiene index (services/hygieneIndex.js);
+// types without one do not count towards it.
+//
+// `anomaly` configures the detectors in services/anomalyDetection.js; a
+// detector that is left out is disabled for the type:
+//   ewma: { alpha, zThreshold, minSamples } - deviation from the moving average
+//   flatline: { durationMs, tolerance } - value stuck for longer than durationMs
+//   rateOfChange: { maxPerMinute, direction } - change faster than maxPerMinute
+
+const sensorTypes = {
+  'door-tracking': {
+    unit: 'entries/hour',
+    units: ['entries/hour', 'entries/minute', 'entries/day'],
+    calibrationIntervalDays: 365,
+    cleanAfterEntries: 150,
+    hygieneWeight: 0.15,
+    thresholds: {},
+    // Counters legitimately sit still overnight and jump at rush hour
+    anomaly: {}
+  },
+  odor: {
+    unit: 'ppm',
+    units: ['ppm', 'ppb'],
+    calibrationIntervalDays: 90,
+    hygieneWeight: 0.25,
+    thresholds: {
+      hysteresis: 0.5,
+      dwellTimeMs: 60 * 1000
+    },
+    anomaly: {
+      ewma: { alpha: 0.1, zThreshold: 4, minSamples: 30 },
+      flatline: { durationMs: 6 * 60 * 60 * 1000, tolerance: 0 },
+      rateOfChange: { maxPerMinute: 2 }
+    }
+  },
+  humidity: {
+    unit: '%',
+    units: ['%', '%RH'],
+    calibrationIntervalDays: 180,
+    hygieneWeight: 0.1,
+    // Too dry is a problem as well as too humid
+    thresholds: {
+      lowerCritical: 20,
+      lowerWarning: 30,
+      hysteresis: 2,
+      dwellTimeMs: 5 * 60 * 1000
+    },
+    anomaly: {
+      ewma: { alpha: 0.05, zThreshold: 4, minSamples: 30 },
+      flatline: { durationMs: 12 * 60 * 60 * 1000, tolerance: 0 },
+      rateOfChange: { maxPerMinute: 10 }
+    }
+  },
+  'bin-level': {
+    unit: '%',
+    units: ['%'],
+    calibrationIntervalDays: 365,
+    hygieneWeight: 0.15,
+    thresholds: {
+      hysteresis: 2
+    },
+    // Emptying a bin drops the level at once, so only sudden rises are suspicious
+    anomaly: {
+      flatline: { durationMs: 48 * 60 * 60 * 1000, tolerance: 0 },
+      rateOfChange: { maxPerMinute: 20, direction: 'rise' }
+    }
+  },
+  temperature: {
+    unit: '°C',
+    units: ['°C', '°F', 'K'],
+    calibrationIntervalDays: 365,
+    thresholds: {
+      lowerCritical: 10,
+      lowerWarning: 16,
+      hysteresis: 0.5,
+      dwellTimeMs: 5 * 60 * 1000
+    },
+    anomaly: {
+      ewma: { alpha: 0.05, zThreshold: 4, minSamples: 30 },
+      flatline: { durationMs: 12 * 60 * 60 * 1000, tolerance: 0 },
+      rateOfChange: { maxPerMinute: 2 }
+    }
+  },
+  'air-quality': {
+    unit: 'AQI',
+    units: ['AQI'],
+    calibrationIntervalDays: 90,
+    hygieneWeight: 0.2,
+    thresholds: {
+      hysteresis: 1,
+      dwellTimeMs: 2 * 60 * 1000
+    },
+    anomaly: {
+      ewma: { alpha: 0.1, zThreshold: 4, minSamples: 30 },
+      flatline: { durationMs: 6 * 60 * 60 * 1000, tolerance: 0 },
+      rateOfChange: { maxPerMinute: 20 }
+    }
+  }
+};
+
+// Points a sensor's health score (0-100) loses per issue; sensor profiles may
+// override them for their devices
+const HEALTH_SCORE_WEIGHTS = {
+  critical: 40,
+  warning: 20,
+  offline: 60,
+  batteryLow: 30, // below 20%
+  batteryMedium: 15, // below 50%
+  signalPoor: 20, // below 30%
+  signalWeak: 10 // below 60%
+};
+
+// Built-in types; admins add further types through sensor profiles
+const SENSOR_TYPES = Object.keys(sensorTypes);
+
+// Types defined by sensor profiles, in the shape of `sensorTypes`
+// (services/sensorProfiles.js keeps them up to date)
+let customTypes = {};
+
+const setCustomTypes = (types) => {
+  customTypes = types;
+};
+
+const isSensorType = (type) => Object.hasOwn(sensorTypes, type) || Object.hasOwn(customTypes, type);
+
+const getSensorTypes = () => [...SENSOR_TYPES, ...Object.keys(customTypes)];
+
+const getTypeDefaults = (type) => (Object.hasOwn(sensorTypes, type) && sensorTypes[type])
+  || (Object.hasOwn(customTypes, type) && customTypes[type])
+  || { thresholds: {}, anomaly: {} };
+
+module.exports = {
+  SENSOR_TYPES,
+  HEALTH_SCORE_WEIGHTS,
+  setCustomTypes,
+  isSensorType,
+  getSensorTypes,
+  getTypeDefaults
+};
@@ -0,0 +1,42 @@
+const Sensor = require('../models/Sensor');
+const BatteryReading = require('../models/BatteryReading');
+const { BATTERY_HISTORY_DAYS, forecastBattery } = require('../services/forecasting');
+const { BATTERY_LOW_THRESHOLD } = require('../services/alertRules');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh the battery forecast (drain rate, remaining days, replacement date)
+// of every active battery-powered sensor. Batteries are due for replacement
+// when they are predicted to reach the battery-low threshold.
+async function forecastBatteries() {
+  const now = new Date();
+  const since = new Date(now.getTime() - BATTERY_HISTORY_DAYS * DAY_MS);
+  const sensors = await Sensor.find({ isActive: true, batteryLevel: { $ne: null } })
+    .select('name batteryLevel lastReading');
+
+  let predicted = 0;
+
+  for (const sensor of sensors) {
+    const history = await BatteryReading.getHistory(sensor._id, since);
+    const forecast = forecastBattery({
+      history,
+      level: sensor.batteryLevel,
+      timestamp: sensor.lastReading?.timestamp || now,
+      replaceAt: BATTERY_LOW_THRESHOLD
+    });
+
+    if (forecast) predicted++;
+
+    await Sensor.updateOne(
+      { _id: sensor._id },
+      { $set: { batteryForecast: forecast || { computedAt: now } } }
+    );
+  }
+
+  logger.debug(`Battery forecasts refreshed for ${sensors.length} sensors`);
+
+  return { sensors: sensors.length, predicted };
+}
+
+module.exports = forecastBatteries;
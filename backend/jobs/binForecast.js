@@ -0,0 +1,76 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { FORECAST_WINDOW_HOURS, FORECAST_HORIZON_HOURS, forecastBin } = require('../services/forecasting');
+const { raiseAlert, resolveAlerts, publishAlertChanges } = require('../services/alertRules');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Refresh the fill forecast of every active bin-level sensor and raise an
+// early warning for bins predicted to reach their threshold within the
+// horizon. Bins already past the threshold are left to threshold alerts.
+async function forecastBinLevels({ io } = {}) {
+  const now = new Date();
+  const sensors = await Sensor.find({ type: 'bin-level', isActive: true });
+
+  let warned = 0;
+
+  for (const sensor of sensors) {
+    const readings = await SensorReading.find({
+      sensorId: sensor._id,
+      timestamp: { $gte: new Date(now.getTime() - FORECAST_WINDOW_HOURS * HOUR_MS) }
+    })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    const threshold = sensor.effectiveThresholds.upperWarning;
+    const forecast = forecastBin({
+      readings,
+      value: sensor.currentValue,
+      timestamp: sensor.lastReading?.timestamp || now,
+      threshold
+    }) || { computedAt: now };
+
+    sensor.forecast = forecast;
+
+    let changes;
+    const thresholdAt = forecast.thresholdAt;
+    if (sensor.status === 'normal' && thresholdAt && thresholdAt - now <= FORECAST_HORIZON_HOURS * HOUR_MS) {
+      const hours = Math.max(0, (thresholdAt - now) / HOUR_MS).toFixed(1);
+      changes = raiseAlert(
+        sensor,
+        'fill-forecast',
+        `${sensor.name} is predicted to reach ${threshold}${sensor.unit} in ${hours} hours`,
+        'medium'
+      );
+      warned += changes.raised.length;
+    } else {
+      changes = resolveAlerts(sensor, 'fill-forecast');
+    }
+
+    // Write only the forecast and alert changes, so readings ingested in the
+    // meantime are not overwritten (a fill-forecast alert is raised or
+    // resolved, never both)
+    const update = { $set: { forecast } };
+    const options = {};
+    if (changes.raised.length > 0) {
+      update.$push = { alerts: { $each: changes.raised.map(alert => alert.toObject()) } };
+    }
+    if (changes.resolved.length > 0) {
+      update.$set['alerts.$[resolved].isResolved'] = true;
+      update.$set['alerts.$[resolved].resolvedAt'] = changes.resolved[0].resolvedAt;
+      options.arrayFilters = [{ 'resolved._id': { $in: changes.resolved.map(alert => alert._id) } }];
+    }
+
+    await Sensor.updateOne({ _id: sensor._id }, update, options);
+    publishAlertChanges(sensor, changes, io);
+  }
+
+  if (warned > 0) {
+    logger.info(`Raised ${warned} fill-forecast alerts`);
+  }
+
+  return { forecasted: sensors.length, warned };
+}
+
+module.exports = forecastBinLevels;
@@ -0,0 +1,62 @@
+const Sensor = require('../models/Sensor');
+const { raiseAlert, resolveAlerts, publishAlertChanges } = require('../services/alertRules');
+const logger = require('../utils/logger');
+
+// Days before nextCalibrationDate at which a calibration-due alert is raised
+const ALERT_DAYS = parseInt(process.env.CALIBRATION_ALERT_DAYS) || 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raise calibration-due alerts for sensors whose calibration falls within the
+// alert window (escalated once overdue), and resolve alerts for sensors whose
+// calibration date has since been moved out of it
+async function checkCalibrationDue({ io } = {}) {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + ALERT_DAYS * DAY_MS);
+
+  const dueSensors = await Sensor.find({
+    isActive: true,
+    nextCalibrationDate: { $lte: windowEnd }
+  });
+
+  let raised = 0;
+
+  for (const sensor of dueSensors) {
+    const dueDate = sensor.nextCalibrationDate;
+    const overdue = dueDate < now;
+    const message = overdue
+      ? `${sensor.name} calibration overdue since ${dueDate.toISOString().slice(0, 10)}`
+      : `${sensor.name} calibration due on ${dueDate.toISOString().slice(0, 10)}`;
+
+    const changes = raiseAlert(sensor, 'calibration-due', message, overdue ? 'high' : 'low');
+
+    if (changes.raised.length > 0 || changes.escalated.length > 0) {
+      await sensor.save();
+      publishAlertChanges(sensor, changes, io);
+      raised += changes.raised.length;
+    }
+  }
+
+  // Calibration was rescheduled or performed outside the alert window
+  const rescheduledSensors = await Sensor.find({
+    alerts: { $elemMatch: { type: 'calibration-due', isResolved: { $ne: true } } },
+    $or: [
+      { nextCalibrationDate: { $gt: windowEnd } },
+      { nextCalibrationDate: null }
+    ]
+  });
+
+  for (const sensor of rescheduledSensors) {
+    const changes = resolveAlerts(sensor, 'calibration-due');
+    await sensor.save();
+    publishAlertChanges(sensor, changes, io);
+  }
+
+  if (raised > 0) {
+    logger.info(`Raised ${raised} calibration-due alerts`);
+  }
+
+  return { due: dueSensors.length, raised, resolved: rescheduledSensors.length };
+}
+
+module.exports = checkCalibrationDue;
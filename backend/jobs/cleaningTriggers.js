@@ -0,0 +1,78 @@
+const Sensor = require('../models/Sensor');
+const Complaint = require('../models/Complaint');
+const CleaningRule = require('../models/CleaningRule');
+const { findMatches } = require('../services/cleaningTriggers');
+const { groupByLocation, locationFilter, locationLabel } = require('../services/locations');
+const { matchLocation } = require('../services/locationHierarchy');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Evaluate the active cleaning rules at every location and open a
+// `cleanliness` complaint as the cleaning task where one matches. A rule
+// opens at most one task per location until that task is closed, and none
+// within its cooldown.
+async function runCleaningTriggers({ io } = {}) {
+  const rules = await CleaningRule.find({ isActive: true });
+  if (rules.length === 0) {
+    return { rules: 0, created: 0 };
+  }
+
+  const now = new Date();
+  // Offline sensors are left out since their values are stale
+  const sensors = await Sensor.find({ isActive: true, status: { $ne: 'offline' } });
+  const locations = groupByLocation(sensors);
+
+  let created = 0;
+
+  for (const rule of rules) {
+    for (const { location, match } of findMatches(rule, locations)) {
+      const existing = await Complaint.exists({
+        'trigger.ruleId': rule._id,
+        ...locationFilter(location),
+        $or: [
+          { status: { $in: ['pending', 'in-progress'] } },
+          { createdAt: { $gte: new Date(now.getTime() - rule.cooldownMinutes * MINUTE_MS) } }
+        ]
+      });
+      if (existing) continue;
+
+      // Reference the hierarchy so rollups and floor plans count the task
+      const { locationIds } = await matchLocation(location);
+
+      const complaint = await Complaint.create({
+        title: `Cleaning needed: ${locationLabel(location)}`,
+        description: `Triggered by cleaning rule "${rule.name}". ${match.reasons.join('; ')}`.slice(0, 1000),
+        category: 'cleanliness',
+        priority: rule.priority,
+        location,
+        locationIds,
+        userId: rule.createdBy,
+        tags: ['auto-generated', 'cleaning-task'],
+        trigger: {
+          ruleId: rule._id,
+          ruleName: rule.name,
+          sensors: match.sensors.map(sensor => sensor._id),
+          triggeredAt: now
+        }
+      });
+
+      rule.lastTriggeredAt = now;
+      created += 1;
+
+      logger.info(`Cleaning rule ${rule.name} opened a cleaning task for ${locationLabel(location)}`);
+
+      if (io) {
+        io.emit('complaint:created', { complaint });
+      }
+    }
+
+    if (rule.isModified()) {
+      await rule.save();
+    }
+  }
+
+  return { rules: rules.length, created };
+}
+
+module.exports = runCleaningTriggers;
@@ -0,0 +1,21 @@
+const HygieneScore = require('../models/HygieneScore');
+const { computeHygieneIndex } = require('../services/hygieneIndex');
+
+// Record the current hygiene index of every location, so it can be trended
+async function recordHygieneIndex() {
+  const timestamp = new Date();
+  const scores = await computeHygieneIndex();
+
+  if (scores.length > 0) {
+    await HygieneScore.insertMany(scores.map(({ building, floor, room, area, score, components }) => ({
+      location: { building, floor, room, area },
+      timestamp,
+      score,
+      components
+    })));
+  }
+
+  return { locations: scores.length };
+}
+
+module.exports = recordHygieneIndex;
@@ -0,0 +1,96 @@
+const cron = require('node-cron');
+const detectOfflineSensors = require('./offlineDetection');
+const checkCalibrationDue = require('./calibrationDue');
+const purgeExpiredData = require('./retention');
+const forecastBinLevels = require('./binForecast');
+const forecastBatteries = require('./batteryForecast');
+const runCleaningTriggers = require('./cleaningTriggers');
+const recordHygieneIndex = require('./hygieneIndex');
+const { RETENTION_SCHEDULE } = require('../services/retention');
+const logger = require('../utils/logger');
+
+// Scheduled jobs: name, cron expression (overridable via env) and handler
+const jobs = [
+  {
+    name: 'offline-detection',
+    schedule: process.env.OFFLINE_CHECK_CRON || '* * * * *',
+    run: detectOfflineSensors
+  },
+  {
+    name: 'calibration-due',
+    schedule: process.env.CALIBRATION_CHECK_CRON || '0 6 * * *',
+    run: checkCalibrationDue
+  },
+  {
+    name: 'bin-forecast',
+    schedule: process.env.FILL_FORECAST_CRON || '*/15 * * * *',
+    run: forecastBinLevels
+  },
+  {
+    name: 'battery-forecast',
+    schedule: process.env.BATTERY_FORECAST_CRON || '0 5 * * *',
+    run: forecastBatteries
+  },
+  {
+    name: 'cleaning-triggers',
+    schedule: process.env.CLEANING_TRIGGER_CRON || '*/5 * * * *',
+    run: runCleaningTriggers
+  },
+  {
+    name: 'hygiene-index',
+    schedule: process.env.HYGIENE_INDEX_CRON || '*/15 * * * *',
+    run: recordHygieneIndex
+  },
+  {
+    name: 'retention-purge',
+    schedule: RETENTION_SCHEDULE,
+    run: purgeExpiredData
+  }
+];
+
+const tasks = [];
+
+// Wrap a job so failures are logged and a slow run is never overlapped
+const createRunner = (job, context) => {
+  let running = false;
+
+  return async () => {
+    if (running) {
+      logger.warn(`Skipping job ${job.name}: previous run still in progress`);
+      return;
+    }
+
+    running = true;
+    try {
+      const result = await job.run(context);
+      logger.debug(`Job ${job.name} completed`, result);
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+// Register every job with node-cron
+const startScheduler = (context = {}) => {
+  for (const job of jobs) {
+    if (!cron.validate(job.schedule)) {
+      logger.error(`Invalid cron expression for job ${job.name}: ${job.schedule}`);
+      continue;
+    }
+
+    tasks.push(cron.schedule(job.schedule, createRunner(job, context)));
+    logger.info(`Scheduled job ${job.name} (${job.schedule})`);
+  }
+};
+
+const stopScheduler = () => {
+  tasks.forEach(task => task.stop());
+  tasks.length = 0;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
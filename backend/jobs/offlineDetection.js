@@ -0,0 +1,55 @@
+const Sensor = require('../models/Sensor');
+const { raiseAlert, publishAlertChanges } = require('../services/alertRules');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.IOT_DEVICE_UPDATE_INTERVAL) || 30000;
+
+// Missed reports tolerated before a sensor is considered offline
+const GRACE_MULTIPLIER = parseFloat(process.env.OFFLINE_GRACE_MULTIPLIER) || 3;
+
+// Mark sensors offline when their last reading is older than their expected
+// reporting interval (times the grace multiplier) and raise device-offline alerts
+async function detectOfflineSensors({ io } = {}) {
+  const now = new Date();
+
+  const staleSensors = await Sensor.find({
+    isActive: true,
+    status: { $ne: 'offline' },
+    $expr: {
+      $lt: [
+        '$lastReading.timestamp',
+        {
+          $subtract: [
+            now,
+            { $multiply: [{ $ifNull: ['$reportingIntervalMs', DEFAULT_INTERVAL_MS] }, GRACE_MULTIPLIER] }
+          ]
+        }
+      ]
+    }
+  });
+
+  for (const sensor of staleSensors) {
+    sensor.status = 'offline';
+
+    const lastSeen = sensor.lastReading?.timestamp?.toISOString() || 'never';
+    const changes = raiseAlert(
+      sensor,
+      'device-offline',
+      `${sensor.name} has not reported since ${lastSeen}`,
+      'high'
+    );
+
+    await sensor.save();
+
+    logger.warn(`Sensor ${sensor.name} marked offline (last reading: ${lastSeen})`);
+
+    if (io) {
+      io.emit('sensor:offline', { sensor });
+    }
+    publishAlertChanges(sensor, changes, io);
+  }
+
+  return { checked: now, markedOffline: staleSensors.length };
+}
+
+module.exports = detectOfflineSensors;
@@ -0,0 +1,20 @@
+const { runRetention } = require('../services/retention');
+const logger = require('../utils/logger');
+
+// Enforce the configured retention for readings, rollups, acknowledged
+// alerts and resolved complaints
+async function purgeExpiredData() {
+  const run = await runRetention({ trigger: 'scheduled' });
+
+  if (!run) {
+    logger.warn('Retention purge skipped: a manual purge is still in progress');
+    return { skipped: true };
+  }
+
+  return {
+    deleted: run.results.reduce((total, result) => total + (result.deleted || 0), 0),
+    failed: run.results.filter(result => result.error).map(result => result.dataClass)
+  };
+}
+
+module.exports = purgeExpiredData;
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Sensor = require('../models/Sensor');
 const logger = require('../utils/logger');
 
 // Middleware to authenticate JWT token
@@ -158,8 +159,52 @@ const verifyTokenOptional = async (req, res, next) => {
   next();
 };
 
+// Middleware to authenticate IoT devices by their X-Device-Key header.
+// When the route has an :id param, the key must belong to that sensor.
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const deviceKey = req.headers['x-device-key'];
+
+    if (!deviceKey) {
+      return res.status(401).json({ 
+        error: 'Device key required',
+        message: 'Please provide a valid X-Device-Key header' 
+      });
+    }
+
+    const sensor = await Sensor.findByDeviceKey(deviceKey);
+
+    if (!sensor) {
+      return res.status(401).json({ 
+        error: 'Invalid device key',
+        message: 'The provided device key is invalid or has been revoked' 
+      });
+    }
+
+    if (req.params.id && req.params.id !== sensor._id.toString()) {
+      return res.status(403).json({ 
+        error: 'Access denied',
+        message: 'This device key is not authorized for the requested sensor' 
+      });
+    }
+
+    await sensor.recordDeviceKeyUsage(req.ip);
+
+    req.sensor = sensor;
+    next();
+  } catch (error) {
+    logger.error('Device authentication error:', error);
+
+    return res.status(500).json({ 
+      error: 'Authentication failed',
+      message: 'An error occurred during device authentication' 
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
+  authenticateDevice,
   requireAdmin,
   requireRole,
   requireOwnershipOrAdmin,
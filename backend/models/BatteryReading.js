@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Battery level history, stored in a MongoDB time-series collection. A point
+// is only recorded when a sensor reports a different level than before, so the
+// series stays small while still showing the discharge curve.
+const batteryReadingSchema = new mongoose.Schema({
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required'],
+    default: Date.now
+  },
+  level: {
+    type: Number,
+    required: [true, 'Battery level is required'],
+    min: 0,
+    max: 100
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'sensorId',
+    granularity: 'hours'
+  },
+  versionKey: false
+});
+
+// Indexes for better query performance
+batteryReadingSchema.index({ sensorId: 1, timestamp: -1 });
+
+// Static method to get a sensor's battery history since a date, oldest first
+batteryReadingSchema.statics.getHistory = function(sensorId, since) {
+  return this.find({ sensorId, timestamp: { $gte: since } })
+    .sort({ timestamp: 1 })
+    .lean();
+};
+
+module.exports = mongoose.model('BatteryReading', batteryReadingSchema);
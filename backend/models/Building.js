@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { normaliseName } = require('../services/locations');
+
+// Top level of the location hierarchy: Building -> Floor -> Room/Area
+const buildingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Building name is required'],
+    trim: true,
+    maxlength: [100, 'Building name cannot exceed 100 characters']
+  },
+  // Normalised name, so "Main Block" and "main  block" are the same building
+  key: {
+    type: String,
+    unique: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Building code cannot exceed 20 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-validate middleware to keep the matching key in sync with the name
+buildingSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.key = normaliseName(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Building', buildingSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { isSensorType } = require('../config/sensorTypes');
+
+// A sensor condition of a cleaning rule. It holds at a location when any
+// active sensor of `sensorType` there has `metric` `operator` `value`:
+// - value: the current value, in the type's canonical unit
+// - thresholdRatio: how far past its warning bound the sensor is (>= 1 once breached)
+// - entriesSinceCleaning: door-tracking entries since the area was last cleaned
+const conditionSchema = new mongoose.Schema({
+  sensorType: {
+    type: String,
+    required: [true, 'Sensor type is required'],
+    validate: {
+      validator: isSensorType,
+      message: 'Invalid sensor type'
+    }
+  },
+  metric: {
+    type: String,
+    enum: ['value', 'thresholdRatio', 'entriesSinceCleaning'],
+    default: 'value'
+  },
+  operator: {
+    type: String,
+    enum: ['gt', 'gte', 'lt', 'lte'],
+    required: [true, 'Operator is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Condition value is required']
+  }
+}, { _id: false });
+
+// Usage/condition rule evaluated per location by jobs/cleaningTriggers.js;
+// when it matches, a `cleanliness` complaint is opened as the cleaning task
+const cleaningRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Whether every condition must hold, or any one of them
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [conditionSchema],
+    validate: {
+      validator: conditions => conditions.length > 0,
+      message: 'A rule needs at least one condition'
+    }
+  },
+  // Limit the rule to a building and/or floor
+  scope: {
+    building: String,
+    floor: String
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  // Minimum time between two tasks from this rule at the same location
+  cooldownMinutes: {
+    type: Number,
+    default: 60,
+    min: [0, 'Cooldown cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Generated complaints are filed in this user's name
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  lastTriggeredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+cleaningRuleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('CleaningRule', cleaningRuleSchema);
@@ -43,6 +43,22 @@ const complaintSchema = new mongoose.Schema({
     room: String,
     area: String
   },
+  // References into the Building -> Floor -> Room hierarchy; `location`
+  // holds their names (see services/locationHierarchy.js)
+  locationIds: {
+    building: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building'
+    },
+    floor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Floor'
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    }
+  },
   images: [{
     url: String,
     filename: String,
@@ -76,6 +92,19 @@ const complaintSchema = new mongoose.Schema({
     min: 0,
     max: 3
   },
+  // Set on cleaning tasks opened by a cleaning rule (jobs/cleaningTriggers.js)
+  trigger: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CleaningRule'
+    },
+    ruleName: String,
+    sensors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sensor'
+    }],
+    triggeredAt: Date
+  },
   feedback: {
     rating: {
       type: Number,
@@ -97,6 +126,8 @@ complaintSchema.index({ status: 1, priority: 1 });
 complaintSchema.index({ category: 1 });
 complaintSchema.index({ assignedTo: 1 });
 complaintSchema.index({ createdAt: -1 });
+complaintSchema.index({ 'trigger.ruleId': 1, createdAt: -1 });
+complaintSchema.index({ 'locationIds.building': 1, 'locationIds.floor': 1, 'locationIds.room': 1 });
 
 // Virtual for complaint age in days
 complaintSchema.virtual('ageInDays').get(function() {
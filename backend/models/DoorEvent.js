@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Door-tracking events, stored in a MongoDB time-series collection: a door
+// `open` (one entry), a `close` (no entry) or a `count` reported by devices
+// that only send counter deltas. `entries` is what the event adds to footfall.
+const doorEventSchema = new mongoose.Schema({
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required'],
+    default: Date.now
+  },
+  type: {
+    type: String,
+    enum: ['open', 'close', 'count'],
+    required: [true, 'Event type is required']
+  },
+  entries: {
+    type: Number,
+    required: [true, 'Entries are required'],
+    min: 0
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'sensorId',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+// Indexes for better query performance
+doorEventSchema.index({ sensorId: 1, timestamp: -1 });
+
+// Static method to count entries for a sensor in [from, to]
+doorEventSchema.statics.countEntries = async function(sensorId, from, to) {
+  const [result] = await this.aggregate([
+    { $match: { sensorId, timestamp: { $gte: from, $lte: to } } },
+    { $group: { _id: null, entries: { $sum: '$entries' } } }
+  ]);
+
+  return result?.entries || 0;
+};
+
+// Static method to sum entries per sensor and hour/day bucket (UTC) in
+// [from, to]. Requires MongoDB 5.0+ for $dateTrunc.
+doorEventSchema.statics.getBuckets = function(sensorIds, interval, from, to) {
+  return this.aggregate([
+    { $match: { sensorId: { $in: sensorIds }, timestamp: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: {
+          sensorId: '$sensorId',
+          timestamp: { $dateTrunc: { date: '$timestamp', unit: interval, timezone: 'UTC' } }
+        },
+        entries: { $sum: '$entries' }
+      }
+    },
+    { $project: { _id: 0, sensorId: '$_id.sensorId', timestamp: '$_id.timestamp', entries: 1 } },
+    { $sort: { timestamp: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('DoorEvent', doorEventSchema);
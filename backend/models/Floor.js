@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Floor of a building. `level` identifies it within the building (0 is the
+// ground floor, negative levels are basements), so "Floor 2" and "2nd floor"
+// are the same floor.
+const floorSchema = new mongoose.Schema({
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building is required']
+  },
+  level: {
+    type: Number,
+    required: [true, 'Floor level is required'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Floor level must be an integer'
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Floor name is required'],
+    trim: true,
+    maxlength: [100, 'Floor name cannot exceed 100 characters']
+  },
+  // Floor plan image, stored in FLOOR_PLAN_DIR (see services/floorPlans.js)
+  plan: {
+    filename: String,
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+floorSchema.index({ building: 1, level: 1 }, { unique: true });
+
+module.exports = mongoose.model('Floor', floorSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// One component of a hygiene score (a sensor type, or open complaints)
+const componentSchema = new mongoose.Schema({
+  component: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  weight: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Hygiene index history per location, stored in a MongoDB time-series
+// collection by jobs/hygieneIndex.js so scores can be trended
+const hygieneScoreSchema = new mongoose.Schema({
+  location: {
+    building: String,
+    floor: String,
+    room: String,
+    area: String
+  },
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required'],
+    default: Date.now
+  },
+  score: {
+    type: Number,
+    required: [true, 'Score is required'],
+    min: 0,
+    max: 100
+  },
+  components: [componentSchema]
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'location',
+    granularity: 'minutes'
+  },
+  versionKey: false
+});
+
+// Indexes for better query performance
+hygieneScoreSchema.index({ 'location.building': 1, timestamp: -1 });
+
+// Static method to get scores matching a `location.*` filter in [from, to],
+// oldest first. With an `hour` or `day` interval, scores are averaged per
+// bucket (UTC) across the matching locations; requires MongoDB 5.0+ for $dateTrunc.
+hygieneScoreSchema.statics.getHistory = function(filter, from, to, interval) {
+  const match = { ...filter, timestamp: { $gte: from, $lte: to } };
+
+  if (!interval) {
+    return this.find(match)
+      .sort({ timestamp: 1 })
+      .limit(5000)
+      .lean();
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit: interval, timezone: 'UTC' } },
+        score: { $avg: '$score' },
+        min: { $min: '$score' },
+        max: { $max: '$score' },
+        count: { $sum: 1 }
+      }
+    },
+    { $project: { _id: 0, timestamp: '$_id', score: { $round: ['$score', 1] }, min: 1, max: 1, count: 1 } },
+    { $sort: { timestamp: 1 } }
+  ]);
+};
+
+// Static method to get the scores of the latest hygiene-index run, worst first.
+// Every run stores all its locations under one timestamp.
+hygieneScoreSchema.statics.getLatest = async function() {
+  const latest = await this.findOne().sort({ timestamp: -1 }).select('timestamp').lean();
+
+  if (!latest) {
+    return { timestamp: null, scores: [] };
+  }
+
+  const scores = await this.find({ timestamp: latest.timestamp }).sort({ score: 1 }).lean();
+  return { timestamp: latest.timestamp, scores };
+};
+
+module.exports = mongoose.model('HygieneScore', hygieneScoreSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { isSensorType } = require('../config/sensorTypes');
+
+// Device that announced itself without credentials and waits to be claimed
+// (see services/provisioning.js). Removed once claimed or expired.
+const pendingDeviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    unique: true,
+    trim: true,
+    maxlength: [128, 'Device ID cannot exceed 128 characters']
+  },
+  manufacturer: String,
+  model: String,
+  firmwareVersion: String,
+  // Sensor type and reporting unit the device suggests; the claim may override them
+  type: {
+    type: String,
+    validate: {
+      validator: isSensorType,
+      message: 'Invalid sensor type'
+    }
+  },
+  unit: String,
+  // Latest value the device reported with its announcement, in `unit`
+  value: Number,
+  announceCount: {
+    type: Number,
+    default: 1
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIp: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes unclaimed devices once they expire
+pendingDeviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Announcements are also limited per client address
+pendingDeviceSchema.index({ lastIp: 1 });
+
+module.exports = mongoose.model('PendingDevice', pendingDeviceSchema);
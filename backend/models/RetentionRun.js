@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Outcome of purging a single data class
+const resultSchema = new mongoose.Schema({
+  dataClass: {
+    type: String,
+    required: true
+  },
+  retentionDays: Number,
+  cutoff: Date,
+  archived: {
+    type: Number,
+    default: 0
+  },
+  deleted: {
+    type: Number,
+    default: 0
+  },
+  archiveFile: String,
+  error: String
+}, { _id: false });
+
+const retentionRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date,
+  results: [resultSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+retentionRunSchema.index({ startedAt: -1 });
+
+// Virtual for whether any data class failed to purge
+retentionRunSchema.virtual('hasErrors').get(function() {
+  return this.results.some(result => Boolean(result.error));
+});
+
+// Static method to get the most recent run
+retentionRunSchema.statics.getLatest = function() {
+  return this.findOne().sort({ startedAt: -1 });
+};
+
+module.exports = mongoose.model('RetentionRun', retentionRunSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { normaliseName } = require('../services/locations');
+
+// Room or open area on a floor, the lowest level of the location hierarchy.
+// Sensors and complaints referencing it carry its name as `location.room`
+// or `location.area` depending on `kind`.
+const roomSchema = new mongoose.Schema({
+  floor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Floor',
+    required: [true, 'Floor is required']
+  },
+  // Denormalised from the floor for building-level queries
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Room name is required'],
+    trim: true,
+    maxlength: [100, 'Room name cannot exceed 100 characters']
+  },
+  // Normalised name, unique per floor
+  key: String,
+  kind: {
+    type: String,
+    enum: ['room', 'area'],
+    default: 'room'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Rectangle on the floor plan, as fractions of the plan's width and height
+  placement: {
+    x: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    y: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    width: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    height: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+roomSchema.index({ floor: 1, key: 1 }, { unique: true });
+roomSchema.index({ building: 1 });
+
+// Pre-validate middleware to keep the matching key in sync with the name
+roomSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.key = normaliseName(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -1,4 +1,14 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { isSensorType, getTypeDefaults } = require('../config/sensorTypes');
+const { resolveThresholds, evaluateThresholdStatus, exceedanceRatio } = require('../services/thresholds');
+const { toGeoPoint } = require('../services/geo');
+const { normaliseTags } = require('../services/sensorGroups');
+const { profileSetting, healthWeights } = require('../services/sensorProfiles');
+
+// Device keys are long random tokens, so a fast SHA-256 digest is enough to
+// store them at rest and still look them up by index on every request
+const hashDeviceKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
 
 const sensorSchema = new mongoose.Schema({
   name: {
@@ -7,10 +17,19 @@ const sensorSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Sensor name cannot exceed 100 characters']
   },
+  // Built-in or profile-defined type (config/sensorTypes.js)
   type: {
     type: String,
-    enum: ['door-tracking', 'odor', 'humidity', 'bin-level', 'temperature', 'air-quality'],
-    required: [true, 'Sensor type is required']
+    required: [true, 'Sensor type is required'],
+    validate: {
+      validator: isSensorType,
+      message: 'Invalid sensor type'
+    }
+  },
+  // Device template the sensor was created from (services/sensorProfiles.js)
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SensorProfile'
   },
   deviceId: {
     type: String,
@@ -27,6 +46,47 @@ const sensorSchema = new mongoose.Schema({
       longitude: Number
     }
   },
+  // GeoJSON point of `location.coordinates` for geo queries, kept in sync on save
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  // References into the Building -> Floor -> Room hierarchy; `location`
+  // holds their names (see services/locationHierarchy.js)
+  locationIds: {
+    building: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building'
+    },
+    floor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Floor'
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    }
+  },
+  // Position on the plan of `locationIds.floor`, as fractions of the plan's
+  // width and height; cleared when the sensor moves to another floor
+  placement: {
+    x: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    y: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
+  },
   currentValue: {
     type: Number,
     required: [true, 'Current value is required']
@@ -35,20 +95,53 @@ const sensorSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Threshold value is required']
   },
+  // Optional bands; unset bounds fall back to thresholdValue and type defaults
+  thresholds: {
+    lowerCritical: Number,
+    lowerWarning: Number,
+    upperWarning: Number,
+    upperCritical: Number,
+    hysteresis: {
+      type: Number,
+      min: [0, 'Hysteresis cannot be negative']
+    },
+    dwellTimeMs: {
+      type: Number,
+      min: [0, 'Dwell time cannot be negative']
+    }
+  },
+  // Unit of stored values (the type's canonical unit)
   unit: {
     type: String,
     required: [true, 'Unit is required'],
     trim: true
   },
+  // Unit the device reports in; readings are converted to `unit` on ingestion
+  deviceUnit: {
+    type: String,
+    trim: true
+  },
   status: {
     type: String,
     enum: ['normal', 'warning', 'critical', 'offline'],
     default: 'normal'
   },
+  // Status waiting out the dwell time before it is applied
+  statusCandidate: {
+    status: {
+      type: String,
+      enum: ['normal', 'warning', 'critical']
+    },
+    since: Date
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  reportingIntervalMs: {
+    type: Number,
+    min: [1000, 'Reporting interval must be at least 1000 ms']
+  },
   lastReading: {
     value: Number,
     timestamp: {
@@ -58,9 +151,25 @@ const sensorSchema = new mongoose.Schema({
   },
   calibrationDate: Date,
   nextCalibrationDate: Date,
+  // Correction applied to ingested values: value = gain * raw + offset
+  calibration: {
+    offset: {
+      type: Number,
+      default: 0
+    },
+    gain: {
+      type: Number,
+      default: 1
+    }
+  },
   manufacturer: String,
   model: String,
   firmwareVersion: String,
+  // Free-form labels (e.g. "washroom", "vendor-x") for filtering and sensor groups
+  tags: {
+    type: [String],
+    set: normaliseTags
+  },
   batteryLevel: {
     type: Number,
     min: 0,
@@ -77,11 +186,93 @@ const sensorSchema = new mongoose.Schema({
     description: String,
     performedBy: String
   }],
+  calibrationHistory: [{
+    date: Date,
+    performedBy: String,
+    referenceReadings: [{
+      _id: false,
+      reference: Number,
+      measured: Number
+    }],
+    offset: Number,
+    gain: Number,
+    previousOffset: Number,
+    previousGain: Number,
+    residualError: Number,
+    certificateNumber: String,
+    notes: String
+  }],
+  // Delivery tracking so retried device messages are not stored twice
+  ingestion: {
+    lastSequence: Number,
+    recentMessageIds: [String]
+  },
+  deviceKey: {
+    hash: {
+      type: String,
+      select: false
+    },
+    prefix: String,
+    issuedAt: Date,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String
+  },
+  // Door-tracking sensors: entry counters from door events
+  usage: {
+    totalEntries: {
+      type: Number,
+      default: 0
+    },
+    entriesSinceCleaning: {
+      type: Number,
+      default: 0
+    },
+    lastCleanedAt: Date
+  },
+  // Entries after which the area should be cleaned (defaults per type)
+  cleanAfterEntries: {
+    type: Number,
+    min: [1, 'Clean after entries must be at least 1']
+  },
+  // Bin-level sensors: fill forecast refreshed by jobs/binForecast.js
+  forecast: {
+    fillRatePerHour: Number,
+    thresholdAt: Date,
+    fullAt: Date,
+    samples: Number,
+    computedAt: Date
+  },
+  // Battery life forecast refreshed by jobs/batteryForecast.js
+  batteryForecast: {
+    drainPerDay: Number,
+    remainingDays: Number,
+    depletedAt: Date,
+    replaceBy: Date,
+    samples: Number,
+    computedAt: Date
+  },
+  // Running statistics for services/anomalyDetection.js
+  anomalyState: {
+    mean: Number,
+    variance: Number,
+    samples: Number,
+    lastValue: Number,
+    lastTimestamp: Date,
+    flatlineSince: Date
+  },
   alerts: [{
     type: {
       type: String,
-      enum: ['threshold-exceeded', 'device-offline', 'battery-low', 'calibration-due']
+      enum: ['threshold-exceeded', 'device-offline', 'battery-low', 'calibration-due', 'anomaly', 'fill-forecast']
     },
+    // Anomaly alerts: which detector fired and its score
+    detector: String,
+    score: Number,
     message: String,
     severity: {
       type: String,
@@ -99,68 +290,132 @@ const sensorSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    acknowledgedAt: Date
-  }],
-  dataPoints: [{
-    value: Number,
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
+    acknowledgedAt: Date,
+    isResolved: {
+      type: Boolean,
+      default: false
+    },
+    resolvedAt: Date
   }]
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      // Never expose the device key hash
+      if (ret.deviceKey) delete ret.deviceKey.hash;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Indexes for better query performance
 sensorSchema.index({ deviceId: 1 });
 sensorSchema.index({ type: 1 });
+sensorSchema.index({ profile: 1 });
 sensorSchema.index({ status: 1 });
-sensorSchema.index({ location: 1 });
+sensorSchema.index({ 'location.building': 1, 'location.floor': 1 });
+sensorSchema.index({ geo: '2dsphere' });
+sensorSchema.index({ tags: 1 });
+sensorSchema.index({ 'locationIds.building': 1, 'locationIds.floor': 1, 'locationIds.room': 1 });
 sensorSchema.index({ 'lastReading.timestamp': -1 });
+sensorSchema.index({ 'deviceKey.hash': 1 }, { sparse: true });
 
 // Virtual for sensor health score
 sensorSchema.virtual('healthScore').get(function() {
+  const weights = healthWeights(this);
   let score = 100;
   
   // Deduct points for various issues
-  if (this.status === 'critical') score -= 40;
-  else if (this.status === 'warning') score -= 20;
-  else if (this.status === 'offline') score -= 60;
+  if (this.status === 'critical') score -= weights.critical;
+  else if (this.status === 'warning') score -= weights.warning;
+  else if (this.status === 'offline') score -= weights.offline;
   
-  if (this.batteryLevel < 20) score -= 30;
-  else if (this.batteryLevel < 50) score -= 15;
+  if (this.batteryLevel < 20) score -= weights.batteryLow;
+  else if (this.batteryLevel < 50) score -= weights.batteryMedium;
   
-  if (this.signalStrength < 30) score -= 20;
-  else if (this.signalStrength < 60) score -= 10;
+  if (this.signalStrength < 30) score -= weights.signalPoor;
+  else if (this.signalStrength < 60) score -= weights.signalWeak;
   
   return Math.max(0, score);
 });
 
+// Virtual for the cleaning interval in entries (sensor setting or type default)
+sensorSchema.virtual('effectiveCleanAfterEntries').get(function() {
+  return this.cleanAfterEntries || getTypeDefaults(this.type).cleanAfterEntries || null;
+});
+
+// Virtual for whether the area is due for cleaning based on usage
+sensorSchema.virtual('cleaningDue').get(function() {
+  const cleanAfter = this.effectiveCleanAfterEntries;
+  return Boolean(cleanAfter && this.usage?.entriesSinceCleaning >= cleanAfter);
+});
+
 // Virtual for time since last reading
 sensorSchema.virtual('timeSinceLastReading').get(function() {
   if (!this.lastReading || !this.lastReading.timestamp) return null;
   return Date.now() - this.lastReading.timestamp;
 });
 
+// Virtual for whether the sensor has a usable device key
+sensorSchema.virtual('hasDeviceKey').get(function() {
+  return !!(this.deviceKey && this.deviceKey.issuedAt && !this.deviceKey.revokedAt);
+});
+
+// Virtual for the threshold bands in effect (own bands, shorthand and type defaults)
+sensorSchema.virtual('effectiveThresholds').get(function() {
+  return resolveThresholds(this);
+});
+
+// Virtual for how far the current value is past the breached warning bound
+sensorSchema.virtual('thresholdRatio').get(function() {
+  return exceedanceRatio(this.currentValue, this.effectiveThresholds);
+});
+
+// Instance method to derive status from the current value, honouring
+// hysteresis and dwell time. `immediate` skips the dwell time.
+sensorSchema.methods.evaluateStatus = function({ immediate = false, now = new Date() } = {}) {
+  const bands = this.effectiveThresholds;
+  if (immediate) bands.dwellTimeMs = 0;
+
+  const pending = this.statusCandidate && this.statusCandidate.status
+    ? { status: this.statusCandidate.status, since: this.statusCandidate.since }
+    : null;
+
+  const { status, candidate } = evaluateThresholdStatus({
+    value: this.currentValue,
+    bands,
+    currentStatus: this.status,
+    candidate: pending,
+    now
+  });
+
+  this.status = status;
+  this.statusCandidate = candidate || undefined;
+
+  // Lets the pre-save hook skip a second evaluation of the same reading
+  this.$locals.statusEvaluated = true;
+
+  return this.status;
+};
+
 // Pre-save middleware to update status based on values
 sensorSchema.pre('save', function(next) {
-  if (this.isModified('currentValue') || this.isModified('thresholdValue')) {
-    const ratio = this.currentValue / this.thresholdValue;
-    
-    if (ratio >= 1.5) {
-      this.status = 'critical';
-    } else if (ratio >= 1.0) {
-      this.status = 'warning';
-    } else {
-      this.status = 'normal';
-    }
+  if (this.isModified('thresholdValue') || this.isModified('thresholds')) {
+    // Threshold changes by an admin take effect right away
+    this.evaluateStatus({ immediate: true });
+  } else if (this.isModified('currentValue') && !this.$locals.statusEvaluated) {
+    this.evaluateStatus();
+  }
+  this.$locals.statusEvaluated = false;
+
+  if (this.isModified('location')) {
+    this.geo = toGeoPoint(this.location?.coordinates);
   }
   
-  // Update last reading
-  if (this.isModified('currentValue')) {
+  // Update last reading, unless ingestion already set it from the device timestamp
+  if (this.isModified('currentValue') && !this.isModified('lastReading')) {
     this.lastReading = {
       value: this.currentValue,
       timestamp: new Date()
@@ -170,22 +425,6 @@ sensorSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to add data point
-sensorSchema.methods.addDataPoint = function(value) {
-  this.currentValue = value;
-  this.dataPoints.push({
-    value,
-    timestamp: new Date()
-  });
-  
-  // Keep only last 1000 data points
-  if (this.dataPoints.length > 1000) {
-    this.dataPoints = this.dataPoints.slice(-1000);
-  }
-  
-  return this.save();
-};
-
 // Instance method to add alert
 sensorSchema.methods.addAlert = function(type, message, severity = 'medium') {
   this.alerts.push({
@@ -208,6 +447,28 @@ sensorSchema.methods.acknowledgeAlert = function(alertId, userId) {
   return this.save();
 };
 
+// Whether an alert is open and of the given type (and detector, if given)
+const isOpenAlert = (alert, type, detector) =>
+  alert.type === type && !alert.isResolved && (!detector || alert.detector === detector);
+
+// Instance method to find the unresolved alert of a given type
+sensorSchema.methods.getOpenAlert = function(type, detector) {
+  return this.alerts.find(alert => isOpenAlert(alert, type, detector));
+};
+
+// Instance method to resolve all open alerts of a given type (does not save)
+sensorSchema.methods.resolveAlerts = function(type, detector) {
+  const resolvedAt = new Date();
+  const resolved = this.alerts.filter(alert => isOpenAlert(alert, type, detector));
+
+  resolved.forEach(alert => {
+    alert.isResolved = true;
+    alert.resolvedAt = resolvedAt;
+  });
+
+  return resolved;
+};
+
 // Instance method to add maintenance record
 sensorSchema.methods.addMaintenanceRecord = function(type, description, performedBy) {
   this.maintenanceHistory.push({
@@ -219,6 +480,99 @@ sensorSchema.methods.addMaintenanceRecord = function(type, description, performe
   return this.save();
 };
 
+// Instance method to record a calibration: stores the new correction, adds it
+// to the calibration history and schedules the next calibration using the
+// sensor type's interval
+sensorSchema.methods.recordCalibration = function({
+  date = new Date(),
+  performedBy,
+  referenceReadings,
+  offset,
+  gain,
+  residualError,
+  certificateNumber,
+  notes
+}) {
+  this.calibrationHistory.push({
+    date,
+    performedBy,
+    referenceReadings,
+    offset,
+    gain,
+    previousOffset: this.calibration?.offset ?? 0,
+    previousGain: this.calibration?.gain ?? 1,
+    residualError,
+    certificateNumber,
+    notes
+  });
+
+  this.calibration = { offset, gain };
+  this.calibrationDate = date;
+
+  const calibrationIntervalDays = profileSetting(this, 'calibrationIntervalDays');
+  if (calibrationIntervalDays) {
+    this.nextCalibrationDate = new Date(date.getTime() + calibrationIntervalDays * 24 * 60 * 60 * 1000);
+  }
+
+  return this.save();
+};
+
+// Instance method to reset the usage counter after the area was cleaned
+sensorSchema.methods.markCleaned = function(date = new Date()) {
+  this.usage.entriesSinceCleaning = 0;
+  this.usage.lastCleanedAt = date;
+  return this.save();
+};
+
+// Instance method to issue a new device key, replacing any existing one.
+// Resolves with the plaintext key, which is never stored and cannot be shown again.
+sensorSchema.methods.issueDeviceKey = async function(issuedBy) {
+  const key = `dk_${crypto.randomBytes(24).toString('hex')}`;
+
+  this.deviceKey = {
+    hash: hashDeviceKey(key),
+    prefix: key.slice(0, 11),
+    issuedAt: new Date(),
+    issuedBy
+  };
+
+  await this.save();
+  return key;
+};
+
+// Instance method to revoke the device key
+sensorSchema.methods.revokeDeviceKey = function() {
+  // The hash is not selected by default, so mark it to force the $unset
+  this.deviceKey.hash = undefined;
+  this.markModified('deviceKey.hash');
+  this.deviceKey.revokedAt = new Date();
+  return this.save();
+};
+
+// Instance method to record device key usage without rewriting the document
+sensorSchema.methods.recordDeviceKeyUsage = function(ip) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { 'deviceKey.lastUsedAt': new Date(), 'deviceKey.lastUsedIp': ip } }
+  );
+};
+
+// Static method to reset the usage counters of the door-tracking sensors at a
+// location (a `location.*` filter) once it was cleaned
+sensorSchema.statics.markLocationCleaned = function(filter, date = new Date()) {
+  return this.updateMany({ ...filter, type: 'door-tracking' }, {
+    $set: {
+      'usage.entriesSinceCleaning': 0,
+      'usage.lastCleanedAt': date
+    }
+  });
+};
+
+// Static method to find the sensor bound to a device key
+sensorSchema.statics.findByDeviceKey = function(key) {
+  return this.findOne({ 'deviceKey.hash': hashDeviceKey(key) });
+};
+
 // Static method to get sensors by status
 sensorSchema.statics.getByStatus = function(status) {
   return this.find({ status, isActive: true });
@@ -240,7 +594,7 @@ sensorSchema.statics.getRequiringMaintenance = function() {
   return this.find({
     $or: [
       { nextCalibrationDate: { $lte: thirtyDaysFromNow } },
-      { batteryLevel: { $lt: 20 } },
+      { batteryLevel: { $lt: parseInt(process.env.BATTERY_LOW_THRESHOLD) || 20 } },
       { status: 'offline' }
     ],
     isActive: true
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { isSensorType } = require('../config/sensorTypes');
+const { SENSOR_STATUSES, normaliseTags } = require('../services/sensorGroups');
+
+// Saved filter of a `filter` group; sensors are members when they match
+// every given criterion (see services/sensorGroups.js)
+const groupFilterSchema = new mongoose.Schema({
+  types: {
+    type: [{
+      type: String,
+      validate: {
+        validator: isSensorType,
+        message: 'Invalid sensor type'
+      }
+    }],
+    default: undefined
+  },
+  statuses: {
+    type: [{ type: String, enum: SENSOR_STATUSES }],
+    default: undefined
+  },
+  // Sensors must carry all of these tags
+  tags: {
+    type: [String],
+    default: undefined,
+    set: normaliseTags
+  },
+  manufacturer: String,
+  model: String,
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building'
+  },
+  floorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Floor'
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  }
+}, { _id: false });
+
+// Named set of sensors for group-level status and bulk operations
+const sensorGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // `static` groups list their sensors, `filter` groups save a query
+  membership: {
+    type: String,
+    enum: ['static', 'filter'],
+    default: 'static'
+  },
+  sensors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor'
+  }],
+  filter: groupFilterSchema,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sensorGroupSchema.index({ sensors: 1 });
+
+module.exports = mongoose.model('SensorGroup', sensorGroupSchema);
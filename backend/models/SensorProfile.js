@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { HEALTH_SCORE_WEIGHTS } = require('../config/sensorTypes');
+
+// Device template that new sensors reference for their type, unit, thresholds
+// and reporting settings. A profile whose type is not built in defines that
+// type (see services/sensorProfiles.js).
+const sensorProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Profile name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Sensor type is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,49}$/, 'Sensor type must be lowercase letters, digits and dashes']
+  },
+  // Unit the profile's devices report in; for a new type also its stored unit
+  unit: {
+    type: String,
+    required: [true, 'Unit is required'],
+    trim: true
+  },
+  manufacturer: String,
+  model: String,
+  // Defaults for new sensors, in the type's canonical unit
+  thresholdValue: Number,
+  thresholds: {
+    lowerCritical: Number,
+    lowerWarning: Number,
+    upperWarning: Number,
+    upperCritical: Number,
+    hysteresis: {
+      type: Number,
+      min: [0, 'Hysteresis cannot be negative']
+    },
+    dwellTimeMs: {
+      type: Number,
+      min: [0, 'Dwell time cannot be negative']
+    }
+  },
+  reportingIntervalMs: {
+    type: Number,
+    min: [1000, 'Reporting interval must be at least 1000 ms']
+  },
+  calibrationIntervalDays: {
+    type: Number,
+    min: [1, 'Calibration interval must be at least one day']
+  },
+  // Share of the hygiene index for the profile's sensors
+  hygieneWeight: {
+    type: Number,
+    min: [0, 'Hygiene weight cannot be negative'],
+    max: [1, 'Hygiene weight cannot exceed 1']
+  },
+  // Health score deductions per issue; unset issues keep the defaults
+  healthWeights: Object.fromEntries(Object.keys(HEALTH_SCORE_WEIGHTS).map(issue => [issue, {
+    type: Number,
+    min: [0, 'Health score weights must be between 0 and 100'],
+    max: [100, 'Health score weights must be between 0 and 100']
+  }])),
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sensorProfileSchema.index({ type: 1 });
+
+module.exports = mongoose.model('SensorProfile', sensorProfileSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Raw sensor readings, stored in a MongoDB time-series collection
+// (requires MongoDB 5.0+). The sensor is the series' meta field.
+const sensorReadingSchema = new mongoose.Schema({
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required'],
+    default: Date.now
+  },
+  value: {
+    type: Number,
+    required: [true, 'Value is required']
+  },
+  // Value as reported by the device, when a calibration correction changed it
+  rawValue: Number
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'sensorId',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+// Indexes for better query performance
+sensorReadingSchema.index({ sensorId: 1, timestamp: -1 });
+
+// Cursors are opaque strings encoding the last returned reading's position
+const encodeCursor = (reading) =>
+  Buffer.from(`${reading.timestamp.getTime()}:${reading._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split(':');
+  const timestamp = new Date(parseInt(time));
+
+  if (isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { timestamp, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Static method to get a page of readings for a sensor, newest first
+sensorReadingSchema.statics.getRange = async function(sensorId, { from, to, limit = 100, cursor } = {}) {
+  const filter = { sensorId };
+
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw new Error('Invalid cursor');
+    }
+
+    filter.$or = [
+      { timestamp: { $lt: position.timestamp } },
+      { timestamp: position.timestamp, _id: { $lt: position.id } }
+    ];
+  }
+
+  // Fetch one extra reading to know whether another page exists
+  const readings = await this.find(filter)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = readings.length > limit;
+  const page = hasMore ? readings.slice(0, limit) : readings;
+
+  return {
+    readings: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+// Static method to check a pagination cursor before querying
+sensorReadingSchema.statics.isValidCursor = function(cursor) {
+  return decodeCursor(cursor) !== null;
+};
+
+module.exports = mongoose.model('SensorReading', sensorReadingSchema);
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+
+// Bucket sizes for downsampled readings
+const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Per-sensor aggregates of raw readings over fixed UTC buckets, kept up to
+// date on ingestion so long-range charts never have to scan raw readings
+const sensorRollupSchema = new mongoose.Schema({
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  resolution: {
+    type: String,
+    enum: Object.keys(RESOLUTIONS),
+    required: [true, 'Resolution is required']
+  },
+  bucket: {
+    type: Date,
+    required: [true, 'Bucket start is required']
+  },
+  min: Number,
+  max: Number,
+  sum: Number,
+  count: Number,
+  last: Number,
+  lastTimestamp: Date
+}, {
+  versionKey: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+sensorRollupSchema.index({ sensorId: 1, resolution: 1, bucket: 1 }, { unique: true });
+sensorRollupSchema.index({ resolution: 1, bucket: 1 });
+
+// Virtual for the bucket average
+sensorRollupSchema.virtual('avg').get(function() {
+  return this.count ? this.sum / this.count : null;
+});
+
+const bucketStart = (timestamp, resolution) => {
+  const size = RESOLUTIONS[resolution];
+  return new Date(Math.floor(timestamp.getTime() / size) * size);
+};
+
+// Static method to fold new readings into every resolution. Readings are
+// aggregated per bucket in memory first, then merged with one upsert per
+// bucket; `last` only moves forward so late readings do not overwrite it.
+sensorRollupSchema.statics.recordReadings = function(sensorId, readings) {
+  const buckets = new Map();
+
+  for (const reading of readings) {
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      const bucket = bucketStart(reading.timestamp, resolution);
+      const key = `${resolution}:${bucket.getTime()}`;
+      const current = buckets.get(key);
+
+      if (!current) {
+        buckets.set(key, {
+          resolution,
+          bucket,
+          min: reading.value,
+          max: reading.value,
+          sum: reading.value,
+          count: 1,
+          last: reading.value,
+          lastTimestamp: reading.timestamp
+        });
+        continue;
+      }
+
+      current.min = Math.min(current.min, reading.value);
+      current.max = Math.max(current.max, reading.value);
+      current.sum += reading.value;
+      current.count += 1;
+      if (reading.timestamp >= current.lastTimestamp) {
+        current.last = reading.value;
+        current.lastTimestamp = reading.timestamp;
+      }
+    }
+  }
+
+  const operations = [...buckets.values()].map(agg => ({
+    updateOne: {
+      filter: { sensorId, resolution: agg.resolution, bucket: agg.bucket },
+      update: [{
+        $set: {
+          min: { $min: ['$min', agg.min] },
+          max: { $max: ['$max', agg.max] },
+          sum: { $add: [{ $ifNull: ['$sum', 0] }, agg.sum] },
+          count: { $add: [{ $ifNull: ['$count', 0] }, agg.count] },
+          last: {
+            $cond: [
+              { $gte: [agg.lastTimestamp, { $ifNull: ['$lastTimestamp', new Date(0)] }] },
+              agg.last,
+              '$last'
+            ]
+          },
+          lastTimestamp: { $max: ['$lastTimestamp', agg.lastTimestamp] }
+        }
+      }],
+      upsert: true
+    }
+  }));
+
+  if (operations.length === 0) {
+    return Promise.resolve();
+  }
+
+  return this.bulkWrite(operations, { ordered: false });
+};
+
+// Static method to get a sensor's rollups for a resolution and time range
+sensorRollupSchema.statics.getSeries = function(sensorId, resolution, from, to) {
+  return this.find({
+    sensorId,
+    resolution,
+    bucket: { $gte: bucketStart(from, resolution), $lte: to }
+  }).sort({ bucket: 1 });
+};
+
+// Static method to pick the coarsest resolution that still gives a useful
+// number of points for a time span
+sensorRollupSchema.statics.resolutionFor = function(from, to) {
+  const span = to - from;
+
+  if (span <= 6 * RESOLUTIONS['1h']) return '1m';
+  if (span <= 14 * RESOLUTIONS['1d']) return '1h';
+  return '1d';
+};
+
+// Static method to recompute rollups from raw readings (e.g. after the
+// readings migration). Requires MongoDB 5.0+ for $dateTrunc.
+sensorRollupSchema.statics.rebuild = async function({ sensorId, from } = {}) {
+  const SensorReading = mongoose.model('SensorReading');
+  const match = {};
+  if (sensorId) match.sensorId = sensorId;
+  // Start on a day boundary so no rebuilt bucket is only partially covered
+  if (from) match.timestamp = { $gte: bucketStart(from, '1d') };
+
+  const units = { '1m': 'minute', '1h': 'hour', '1d': 'day' };
+
+  for (const [resolution, unit] of Object.entries(units)) {
+    await SensorReading.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            sensorId: '$sensorId',
+            bucket: { $dateTrunc: { date: '$timestamp', unit, timezone: 'UTC' } }
+          },
+          min: { $min: '$value' },
+          max: { $max: '$value' },
+          sum: { $sum: '$value' },
+          count: { $sum: 1 },
+          last: { $last: '$value' },
+          lastTimestamp: { $last: '$timestamp' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          sensorId: '$_id.sensorId',
+          resolution: { $literal: resolution },
+          bucket: '$_id.bucket',
+          min: 1,
+          max: 1,
+          sum: 1,
+          count: 1,
+          last: 1,
+          lastTimestamp: 1
+        }
+      },
+      {
+        $merge: {
+          into: this.collection.collectionName,
+          on: ['sensorId', 'resolution', 'bucket'],
+          whenMatched: 'replace',
+          whenNotMatched: 'insert'
+        }
+      }
+    ]).allowDiskUse(true);
+  }
+};
+
+sensorRollupSchema.statics.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = mongoose.model('SensorRollup', sensorRollupSchema);
@@ -4,8 +4,14 @@ const User = require('../models/User');
 const Complaint = require('../models/Complaint');
 const Sensor = require('../models/Sensor');
 const Feedback = require('../models/Feedback');
+const SensorRollup = require('../models/SensorRollup');
+const HygieneScore = require('../models/HygieneScore');
 const { requireAdmin } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getMqttStats } = require('../services/mqttBridge');
+const { runRetention, getRetentionSettings } = require('../services/retention');
+const { computeHygieneIndex, averageScore, gradeFor } = require('../services/hygieneIndex');
+const RetentionRun = require('../models/RetentionRun');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -112,6 +118,18 @@ router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Get the hygiene index per location (worst first) as last stored by the
+  // hygiene-index job; computed live only until the job first ran
+  const latestHygiene = await HygieneScore.getLatest();
+  const hygieneLocations = latestHygiene.timestamp
+    ? latestHygiene.scores.map(({ location, score, components }) => ({
+      ...location,
+      score,
+      grade: gradeFor(score),
+      components
+    }))
+    : await computeHygieneIndex();
+
   res.json({
     overview: {
       totalUsers,
@@ -131,7 +149,16 @@ router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
       complaintsByCategory,
       sensorsByStatus
     },
-    alerts: recentAlerts
+    alerts: recentAlerts,
+    hygiene: {
+      computedAt: latestHygiene.timestamp || new Date(),
+      average: averageScore(hygieneLocations),
+      byGrade: ['good', 'fair', 'poor'].map(grade => ({
+        _id: grade,
+        count: hygieneLocations.filter(location => location.grade === grade).length
+      })),
+      worstLocations: hygieneLocations.slice(0, 5)
+    }
   });
 }));
 
@@ -366,10 +393,56 @@ async function getSensorAnalytics(startDate, endDate) {
     }
   ]);
 
+  // Daily reading aggregates per sensor type, from the day rollups
+  const dailyReadingsByType = await SensorRollup.aggregate([
+    {
+      $match: {
+        resolution: '1d',
+        bucket: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $lookup: {
+        from: Sensor.collection.collectionName,
+        localField: 'sensorId',
+        foreignField: '_id',
+        as: 'sensor'
+      }
+    },
+    {
+      $unwind: '$sensor'
+    },
+    {
+      $group: {
+        _id: {
+          type: '$sensor.type',
+          day: '$bucket'
+        },
+        min: { $min: '$min' },
+        max: { $max: '$max' },
+        sum: { $sum: '$sum' },
+        readings: { $sum: '$count' }
+      }
+    },
+    {
+      $project: {
+        _id: 1,
+        min: 1,
+        max: 1,
+        readings: 1,
+        avg: { $divide: ['$sum', '$readings'] }
+      }
+    },
+    {
+      $sort: { '_id.type': 1, '_id.day': 1 }
+    }
+  ]);
+
   return {
     sensorsByType,
     sensorsByStatus,
-    avgHealthScore: avgHealthScore[0]?.avgHealthScore || 0
+    avgHealthScore: avgHealthScore[0]?.avgHealthScore || 0,
+    dailyReadingsByType
   };
 }
 
@@ -450,7 +523,7 @@ router.get('/system-health', requireAdmin, asyncHandler(async (req, res) => {
   // Get sensors requiring maintenance
   const maintenanceRequired = await Sensor.countDocuments({
     $or: [
-      { batteryLevel: { $lt: 20 } },
+      { batteryLevel: { $lt: parseInt(process.env.BATTERY_LOW_THRESHOLD) || 20 } },
       { nextCalibrationDate: { $lte: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) } }
     ],
     isActive: true
@@ -471,7 +544,8 @@ router.get('/system-health', requireAdmin, asyncHandler(async (req, res) => {
     },
     {
       $match: {
-        'alerts.isAcknowledged': false
+        'alerts.isAcknowledged': false,
+        'alerts.isResolved': { $ne: true }
       }
     },
     {
@@ -479,6 +553,42 @@ router.get('/system-health', requireAdmin, asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Get open anomaly alerts by detector, plus the most recent ones
+  const [openAnomalies] = await Sensor.aggregate([
+    {
+      $unwind: '$alerts'
+    },
+    {
+      $match: {
+        'alerts.type': 'anomaly',
+        'alerts.isResolved': { $ne: true }
+      }
+    },
+    {
+      $facet: {
+        byDetector: [
+          { $group: { _id: '$alerts.detector', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        recent: [
+          { $sort: { 'alerts.timestamp': -1 } },
+          { $limit: 10 },
+          {
+            $project: {
+              sensorName: '$name',
+              sensorType: '$type',
+              detector: '$alerts.detector',
+              score: '$alerts.score',
+              alertMessage: '$alerts.message',
+              alertSeverity: '$alerts.severity',
+              alertTimestamp: '$alerts.timestamp'
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
   // Calculate overall system health score
   const totalSensors = await Sensor.countDocuments({ isActive: true });
   const healthySensors = await Sensor.countDocuments({ 
@@ -501,10 +611,49 @@ router.get('/system-health', requireAdmin, asyncHandler(async (req, res) => {
       maintenanceRequired,
       urgentComplaints,
       unacknowledgedAlerts: unacknowledgedAlerts[0]?.total || 0
+    },
+    anomalies: {
+      open: openAnomalies.byDetector.reduce((total, group) => total + group.count, 0),
+      byDetector: openAnomalies.byDetector,
+      recent: openAnomalies.recent
+    },
+    ingestion: {
+      mqtt: getMqttStats()
     }
   });
 }));
 
+// @route   GET /api/admin/retention
+// @desc    Get data retention settings and the last purge results
+// @access  Private (admin only)
+router.get('/retention', requireAdmin, asyncHandler(async (req, res) => {
+  const lastRun = await RetentionRun.getLatest()
+    .populate('triggeredBy', 'username');
+
+  res.json({
+    settings: getRetentionSettings(),
+    lastRun
+  });
+}));
+
+// @route   POST /api/admin/retention/run
+// @desc    Run the retention purge now
+// @access  Private (admin only)
+router.post('/retention/run', requireAdmin, asyncHandler(async (req, res) => {
+  const run = await runRetention({ trigger: 'manual', triggeredBy: req.user._id });
+
+  if (!run) {
+    throw new AppError('A retention purge is already in progress', 409);
+  }
+
+  logger.info(`Retention purge run by ${req.user.email}`);
+
+  res.json({
+    message: 'Retention purge completed',
+    run
+  });
+}));
+
 // @route   GET /api/admin/reports
 // @desc    Generate system reports
 // @access  Private (admin only)
@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const CleaningRule = require('../models/CleaningRule');
+const Sensor = require('../models/Sensor');
+const { requireAdmin } = require('../middleware/auth');
+const { validateConditions, findMatches } = require('../services/cleaningTriggers');
+const { groupByLocation } = require('../services/locations');
+const runCleaningTriggers = require('../jobs/cleaningTriggers');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRule = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('match')
+    .optional()
+    .isIn(['all', 'any'])
+    .withMessage('Match must be all or any'),
+  body('conditions')
+    .custom((conditions) => {
+      const error = validateConditions(conditions);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('scope')
+    .optional()
+    .isObject()
+    .withMessage('Scope must be an object'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Invalid priority level'),
+  body('cooldownMinutes')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Cooldown must be a non-negative number of minutes'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// @route   GET /api/cleaning-rules
+// @desc    Get all cleaning rules
+// @access  Private (admin only)
+router.get('/', requireAdmin, asyncHandler(async (req, res) => {
+  const rules = await CleaningRule.find()
+    .populate('createdBy', 'username email')
+    .sort({ name: 1 });
+
+  res.json({ rules });
+}));
+
+// @route   POST /api/cleaning-rules/run
+// @desc    Evaluate the cleaning rules now and open cleaning tasks
+// @access  Private (admin only)
+router.post('/run', requireAdmin, asyncHandler(async (req, res) => {
+  const result = await runCleaningTriggers({ io: req.app.get('io') });
+
+  logger.info(`Cleaning rules evaluated by ${req.user.email}`);
+
+  res.json({
+    message: 'Cleaning rules evaluated',
+    ...result
+  });
+}));
+
+// @route   POST /api/cleaning-rules
+// @desc    Create a cleaning rule
+// @access  Private (admin only)
+router.post('/', requireAdmin, validateRule, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { name, description, match, conditions, scope, priority, cooldownMinutes, isActive } = req.body;
+
+  const existingRule = await CleaningRule.findOne({ name });
+  if (existingRule) {
+    throw new AppError('Cleaning rule with this name already exists', 400);
+  }
+
+  const rule = new CleaningRule({
+    name,
+    description,
+    match,
+    conditions,
+    scope,
+    priority,
+    cooldownMinutes,
+    isActive,
+    createdBy: req.user._id
+  });
+
+  await rule.save();
+
+  logger.info(`Cleaning rule created by ${req.user.email}: ${rule.name}`);
+
+  res.status(201).json({
+    message: 'Cleaning rule created successfully',
+    rule
+  });
+}));
+
+// @route   GET /api/cleaning-rules/:id/preview
+// @desc    Get the locations where a cleaning rule currently matches
+// @access  Private (admin only)
+router.get('/:id/preview', requireAdmin, asyncHandler(async (req, res) => {
+  const rule = await CleaningRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Cleaning rule not found', 404);
+  }
+
+  const sensors = await Sensor.find({ isActive: true, status: { $ne: 'offline' } });
+  const matches = findMatches(rule, groupByLocation(sensors));
+
+  res.json({
+    ruleId: rule._id,
+    matches: matches.map(({ location, match }) => ({
+      ...location,
+      sensors: match.sensors.map(sensor => ({ id: sensor._id, name: sensor.name, type: sensor.type })),
+      reasons: match.reasons
+    }))
+  });
+}));
+
+// @route   PUT /api/cleaning-rules/:id
+// @desc    Update a cleaning rule
+// @access  Private (admin only)
+router.put('/:id', requireAdmin, validateRule, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { name, description, match, conditions, scope, priority, cooldownMinutes, isActive } = req.body;
+
+  const rule = await CleaningRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Cleaning rule not found', 404);
+  }
+
+  // Check if the name is being changed and if it already exists
+  if (name !== rule.name) {
+    const existingRule = await CleaningRule.findOne({ name });
+    if (existingRule) {
+      throw new AppError('Cleaning rule with this name already exists', 400);
+    }
+  }
+
+  // Update fields
+  rule.name = name;
+  rule.conditions = conditions;
+  if (description !== undefined) rule.description = description;
+  if (match !== undefined) rule.match = match;
+  if (scope !== undefined) rule.scope = scope;
+  if (priority !== undefined) rule.priority = priority;
+  if (cooldownMinutes !== undefined) rule.cooldownMinutes = cooldownMinutes;
+  if (isActive !== undefined) rule.isActive = isActive;
+
+  await rule.save();
+
+  logger.info(`Cleaning rule updated by ${req.user.email}: ${rule.name}`);
+
+  res.json({
+    message: 'Cleaning rule updated successfully',
+    rule
+  });
+}));
+
+// @route   DELETE /api/cleaning-rules/:id
+// @desc    Delete a cleaning rule
+// @access  Private (admin only)
+router.delete('/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const rule = await CleaningRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Cleaning rule not found', 404);
+  }
+
+  await CleaningRule.findByIdAndDelete(req.params.id);
+
+  logger.info(`Cleaning rule deleted by ${req.user.email}: ${rule.name}`);
+
+  res.json({
+    message: 'Cleaning rule deleted successfully'
+  });
+}));
+
+module.exports = router;
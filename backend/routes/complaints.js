@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Complaint = require('../models/Complaint');
+const Sensor = require('../models/Sensor');
 const { requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { locationOf, locationFilter } = require('../services/locations');
+const { applyLocation } = require('../services/locationHierarchy');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -25,7 +28,11 @@ const validateComplaint = [
   body('location')
     .optional()
     .isObject()
-    .withMessage('Location must be an object')
+    .withMessage('Location must be an object'),
+  body(['location.buildingId', 'location.floorId', 'location.roomId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Location references must be valid IDs')
 ];
 
 // @route   GET /api/complaints
@@ -44,6 +51,10 @@ router.get('/', [
     .optional()
     .isIn(['low', 'medium', 'high'])
     .withMessage('Invalid priority'),
+  query(['buildingId', 'floorId', 'roomId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Location references must be valid IDs'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -73,6 +84,9 @@ router.get('/', [
   if (status) filter.status = status;
   if (category) filter.category = category;
   if (priority) filter.priority = priority;
+  if (req.query.buildingId) filter['locationIds.building'] = req.query.buildingId;
+  if (req.query.floorId) filter['locationIds.floor'] = req.query.floorId;
+  if (req.query.roomId) filter['locationIds.room'] = req.query.roomId;
 
   // Get complaints with pagination
   const complaints = await Complaint.find(filter)
@@ -136,10 +150,14 @@ router.post('/', validateComplaint, asyncHandler(async (req, res) => {
     description,
     category,
     priority,
-    location,
     userId: req.user._id
   });
 
+  if (location !== undefined) {
+    const locationError = await applyLocation(complaint, location);
+    if (locationError) throw new AppError(locationError, 400);
+  }
+
   await complaint.save();
 
   // Populate user info for response
@@ -185,7 +203,10 @@ router.put('/:id', validateComplaint, requireOwnershipOrAdmin('userId'), asyncHa
   if (description !== undefined) complaint.description = description;
   if (category !== undefined) complaint.category = category;
   if (priority !== undefined) complaint.priority = priority;
-  if (location !== undefined) complaint.location = location;
+  if (location !== undefined) {
+    const locationError = await applyLocation(complaint, location);
+    if (locationError) throw new AppError(locationError, 400);
+  }
 
   await complaint.save();
 
@@ -303,6 +324,11 @@ router.post('/:id/resolve', requireAdmin, [
 
   await complaint.resolve(notes, req.user._id);
 
+  // Resolving a cleaning task restarts usage counting at its location
+  if (complaint.trigger?.ruleId) {
+    await Sensor.markLocationCleaned(locationFilter(locationOf(complaint)), complaint.actualResolutionTime);
+  }
+
   // Populate user info for response
   await complaint.populate('userId', 'username email firstName lastName');
   await complaint.populate('assignedTo', 'username firstName lastName');
@@ -0,0 +1,93 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const HygieneScore = require('../models/HygieneScore');
+const { computeHygieneIndex, averageScore } = require('../services/hygieneIndex');
+const { LOCATION_FIELDS } = require('../services/locations');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @route   GET /api/hygiene
+// @desc    Get the current hygiene index per location, worst first
+// @access  Private
+router.get('/', [
+  query('building')
+    .optional()
+    .isLength({ min: 1 })
+    .withMessage('Building cannot be empty'),
+  query('floor')
+    .optional()
+    .isLength({ min: 1 })
+    .withMessage('Floor cannot be empty')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const locations = await computeHygieneIndex({ building: req.query.building, floor: req.query.floor });
+
+  res.json({
+    average: averageScore(locations),
+    locations
+  });
+}));
+
+// @route   GET /api/hygiene/history
+// @desc    Get recorded hygiene scores for a location (any of building/floor/room/area)
+// @access  Private
+router.get('/history', [
+  query(LOCATION_FIELDS)
+    .optional()
+    .isLength({ min: 1 })
+    .withMessage('Location fields cannot be empty'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('interval')
+    .optional()
+    .isIn(['raw', 'hour', 'day'])
+    .withMessage('Interval must be raw, hour or day')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * DAY_MS);
+
+  if (from >= to) {
+    throw new AppError('From must be before to', 400);
+  }
+
+  // Unspecified levels match every location below the given ones
+  const filter = {};
+  for (const field of LOCATION_FIELDS) {
+    if (req.query[field]) filter[`location.${field}`] = req.query[field];
+  }
+
+  const { interval = 'raw' } = req.query;
+  const history = await HygieneScore.getHistory(filter, from, to, interval === 'raw' ? undefined : interval);
+
+  res.json({
+    location: Object.fromEntries(LOCATION_FIELDS.map(field => [field, req.query[field] || null])),
+    interval,
+    from,
+    to,
+    points: interval === 'raw'
+      ? history.map(({ location, timestamp, score, components }) => ({ ...location, timestamp, score, components }))
+      : history
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Sensor = require('../models/Sensor');
+const PendingDevice = require('../models/PendingDevice');
+const { authenticateDevice } = require('../middleware/auth');
+const { isSensorType } = require('../config/sensorTypes');
+const { UNITS, isSupportedUnit } = require('../services/units');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  MAX_CLOCK_SKEW_MS,
+  validateReading,
+  validateDoorEvent,
+  ingestReading,
+  ingestReadings,
+  ingestDoorEvents
+} = require('../services/ingestion');
+const {
+  ANNOUNCE_INTERVAL_SECONDS,
+  MAX_PENDING_DEVICES,
+  MAX_PENDING_PER_IP,
+  pendingExpiry,
+  announceRetryAfter,
+  announcedDetails
+} = require('../services/provisioning');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// @route   POST /api/sensors/:id/data
+// @desc    Add data point to sensor (for IoT devices)
+// @access  Device (X-Device-Key bound to the sensor)
+router.post('/:id/data', authenticateDevice, [
+  body('value')
+    .isNumeric()
+    .withMessage('Value must be a number')
+    .toFloat(),
+  body('batteryLevel')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Battery level must be between 0 and 100'),
+  body('signalStrength')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Signal strength must be between 0 and 100'),
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Timestamp must be a valid ISO 8601 date')
+    .custom((value) => new Date(value).getTime() <= Date.now() + MAX_CLOCK_SKEW_MS)
+    .withMessage('Timestamp cannot be in the future'),
+  body('sequence')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sequence must be a non-negative integer')
+    .toInt(),
+  body('messageId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Message ID must be between 1 and 128 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { value, batteryLevel, signalStrength, timestamp, sequence, messageId } = req.body;
+
+  // Sensor was resolved from the device key
+  const sensor = req.sensor;
+
+  if (!sensor.isActive) {
+    throw new AppError('Sensor is inactive', 400);
+  }
+
+  const { accepted, lastSequence } = await ingestReading(sensor, {
+    value,
+    batteryLevel,
+    signalStrength,
+    timestamp,
+    sequence,
+    messageId
+  }, {
+    io: req.app.get('io')
+  });
+
+  // Duplicates are acknowledged rather than rejected so that a device
+  // retrying after a timeout stops retrying; lastSequence lets it resync
+  res.json({
+    message: accepted[0] ? 'Data point added successfully' : 'Duplicate data point ignored',
+    accepted: accepted[0],
+    lastSequence: lastSequence ?? null,
+    sensor: {
+      id: sensor._id,
+      name: sensor.name,
+      currentValue: sensor.currentValue,
+      status: sensor.status
+    }
+  });
+}));
+
+// @route   POST /api/sensors/:id/events
+// @desc    Add door events (opens/closes or a counter delta) to a door-tracking sensor
+// @access  Device (X-Device-Key bound to the sensor)
+router.post('/:id/events', authenticateDevice, [
+  body('events')
+    .optional()
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Events must be an array of 1 to 1000 items'),
+  body('count')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Count must be a non-negative integer')
+    .toInt(),
+  body()
+    .custom((payload) => (payload.events === undefined) !== (payload.count === undefined))
+    .withMessage('Provide either events or count'),
+  body('batteryLevel')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Battery level must be between 0 and 100')
+    .toInt(),
+  body('signalStrength')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Signal strength must be between 0 and 100')
+    .toInt()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const sensor = req.sensor;
+
+  if (!sensor.isActive) {
+    throw new AppError('Sensor is inactive', 400);
+  }
+
+  if (sensor.type !== 'door-tracking') {
+    throw new AppError('Events are only supported for door-tracking sensors', 400);
+  }
+
+  // A bare count is shorthand for a single counter-delta event
+  const { count, timestamp, sequence, messageId, batteryLevel, signalStrength } = req.body;
+  const events = req.body.events || [{ type: 'count', count, timestamp, sequence, messageId }];
+
+  events.forEach((event, index) => {
+    const error = validateDoorEvent(event);
+    if (error) {
+      throw new AppError(`Event ${index}: ${error}`, 400);
+    }
+  });
+
+  const { accepted, entries, lastSequence } = await ingestDoorEvents(sensor, events, {
+    io: req.app.get('io'),
+    status: { batteryLevel, signalStrength }
+  });
+
+  const acceptedCount = accepted.filter(Boolean).length;
+
+  res.json({
+    message: acceptedCount > 0 ? 'Events added successfully' : 'Duplicate events ignored',
+    accepted,
+    entries,
+    lastSequence: lastSequence ?? null,
+    sensor: {
+      id: sensor._id,
+      name: sensor.name,
+      currentValue: sensor.currentValue,
+      status: sensor.status,
+      usage: sensor.usage
+    }
+  });
+}));
+
+// @route   POST /api/sensors/data/batch
+// @desc    Ingest buffered readings for many sensors (for gateways)
+// @access  Device (each entry's deviceKey, or X-Device-Key, bound to its deviceId)
+router.post('/data/batch', [
+  body('readings')
+    .isArray({ min: 1, max: 5000 })
+    .withMessage('Readings must be an array of 1 to 5000 entries')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { readings } = req.body;
+  const headerKey = req.headers['x-device-key'];
+  const results = readings.map((entry, index) => ({
+    index,
+    deviceId: entry && entry.deviceId,
+    success: false
+  }));
+
+  // Validate entries and group the valid ones by device
+  const byDevice = new Map();
+  readings.forEach((entry, index) => {
+    const deviceKey = (entry && entry.deviceKey) || headerKey;
+    let error = null;
+    if (!entry || typeof entry.deviceId !== 'string' || !entry.deviceId) {
+      error = 'Device ID is required';
+    } else if (typeof deviceKey !== 'string' || !deviceKey) {
+      error = 'Device key is required';
+    } else {
+      error = validateReading(entry);
+    }
+
+    if (error) {
+      results[index].error = error;
+      return;
+    }
+
+    if (!byDevice.has(entry.deviceId)) byDevice.set(entry.deviceId, []);
+    byDevice.get(entry.deviceId).push({ index, entry, deviceKey });
+  });
+
+  const io = req.app.get('io');
+
+  // Each sensor's readings are applied together, so status evaluation and
+  // alert rules run once per sensor per batch
+  for (const [deviceId, items] of byDevice) {
+    // A device's entries normally share one key; only entries whose key
+    // belongs to the sensor with their device ID are accepted
+    const keys = [...new Set(items.map(({ deviceKey }) => deviceKey))];
+    const keySensors = await Promise.all(keys.map(key => Sensor.findByDeviceKey(key)));
+    const sensor = keySensors.find(keySensor => keySensor && keySensor.deviceId === deviceId);
+    const authorizedKey = sensor && keys[keySensors.indexOf(sensor)];
+
+    const authorized = items.filter(({ index, deviceKey }) => {
+      if (deviceKey === authorizedKey) return true;
+      results[index].error = 'Invalid device key for this device';
+      return false;
+    });
+
+    if (authorized.length === 0) continue;
+
+    let error = null;
+    let ingested;
+
+    if (!sensor.isActive) {
+      error = 'Sensor is inactive';
+    } else {
+      try {
+        await sensor.recordDeviceKeyUsage(req.ip);
+
+        const sensorReadings = authorized.map(({ entry }) => ({
+          value: entry.value,
+          timestamp: entry.timestamp,
+          batteryLevel: entry.batteryLevel,
+          signalStrength: entry.signalStrength,
+          sequence: entry.sequence,
+          messageId: entry.messageId
+        }));
+        ingested = await ingestReadings(sensor, sensorReadings, { io, source: 'batch' });
+      } catch (ingestError) {
+        logger.error(`Batch ingestion failed for sensor ${sensor.name}:`, ingestError);
+        error = 'Failed to store readings';
+      }
+    }
+
+    authorized.forEach(({ index }, position) => {
+      if (error) {
+        results[index].error = error;
+        return;
+      }
+
+      results[index].success = true;
+      if (!ingested.accepted[position]) {
+        results[index].duplicate = true;
+      }
+      results[index].lastSequence = ingested.lastSequence ?? null;
+    });
+  }
+
+  const accepted = results.filter(result => result.success && !result.duplicate).length;
+  const duplicates = results.filter(result => result.duplicate).length;
+  const failed = results.filter(result => !result.success).length;
+
+  logger.info(`Batch ingestion from ${req.ip}: ${accepted}/${readings.length} readings accepted`);
+
+  res.json({
+    message: 'Batch processed',
+    summary: {
+      total: readings.length,
+      accepted,
+      duplicates,
+      failed
+    },
+    results
+  });
+}));
+
+// @route   POST /api/sensors/announce
+// @desc    Announce a device without credentials so that an admin can claim it
+// @access  Public (rate limited per device and client address)
+router.post('/announce', [
+  body('deviceId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Device ID must be between 1 and 128 characters'),
+  body(['manufacturer', 'model', 'firmwareVersion'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Manufacturer, model and firmware version cannot exceed 100 characters'),
+  body('type')
+    .optional()
+    .custom(isSensorType)
+    .withMessage('Invalid sensor type'),
+  body('unit')
+    .optional()
+    .custom((unit, { req }) => req.body.type ? isSupportedUnit(req.body.type, unit) : Object.hasOwn(UNITS, unit))
+    .withMessage('Unit is not supported for this sensor type'),
+  body('value')
+    .optional()
+    .isNumeric()
+    .withMessage('Value must be a number')
+    .toFloat()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { deviceId } = req.body;
+  const now = new Date();
+
+  if (await Sensor.exists({ deviceId })) {
+    throw new AppError('Device is already registered', 409);
+  }
+
+  // The TTL monitor removes expired devices only about once a minute
+  let device = await PendingDevice.findOne({ deviceId });
+  if (device && device.expiresAt <= now) {
+    await device.deleteOne();
+    device = null;
+  }
+
+  if (device) {
+    const retryAfter = announceRetryAfter(device, now);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      throw new AppError('Device announced too recently, please try again later', 429);
+    }
+
+    Object.assign(device, announcedDetails(req.body), { lastSeenAt: now, lastIp: req.ip });
+    device.announceCount += 1;
+  } else {
+    const [pendingCount, pendingFromIp] = await Promise.all([
+      PendingDevice.countDocuments({ expiresAt: { $gt: now } }),
+      PendingDevice.countDocuments({ lastIp: req.ip, expiresAt: { $gt: now } })
+    ]);
+    if (pendingFromIp >= MAX_PENDING_PER_IP) {
+      res.set('Retry-After', String(ANNOUNCE_INTERVAL_SECONDS));
+      throw new AppError('Too many devices waiting from this address, please try again later', 429);
+    }
+    if (pendingCount >= MAX_PENDING_DEVICES) {
+      res.set('Retry-After', String(ANNOUNCE_INTERVAL_SECONDS));
+      throw new AppError('Provisioning queue is full, please try again later', 429);
+    }
+
+    device = new PendingDevice({
+      deviceId,
+      ...announcedDetails(req.body),
+      firstSeenAt: now,
+      lastSeenAt: now,
+      lastIp: req.ip,
+      expiresAt: pendingExpiry(now)
+    });
+  }
+
+  const firstAnnouncement = device.isNew;
+  await device.save();
+
+  if (firstAnnouncement) {
+    logger.info(`Device ${deviceId} announced from ${req.ip}, waiting to be claimed`);
+
+    // Emit socket event so the pending devices list updates live
+    const io = req.app.get('io');
+    io.emit('device:announced', { device });
+  }
+
+  res.status(202).json({
+    message: 'Device is waiting to be claimed',
+    deviceId,
+    expiresAt: device.expiresAt,
+    retryAfter: ANNOUNCE_INTERVAL_SECONDS
+  });
+}));
+
+module.exports = router;
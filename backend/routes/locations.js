@@ -0,0 +1,680 @@
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const Building = require('../models/Building');
+const Floor = require('../models/Floor');
+const Room = require('../models/Room');
+const Sensor = require('../models/Sensor');
+const Complaint = require('../models/Complaint');
+const { requireAdmin } = require('../middleware/auth');
+const { normaliseName, parseFloorLevel, floorName } = require('../services/locations');
+const { propagateName, getHierarchyTree } = require('../services/locationHierarchy');
+const {
+  FLOOR_PLAN_MAX_BYTES,
+  inspectPlan,
+  validatePlacement,
+  pinComplaints,
+  layoutFloor,
+  layoutSensor,
+  planPath,
+  storePlanFile,
+  removePlanFile
+} = require('../services/floorPlans');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Floor plans are checked by content before they are written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FLOOR_PLAN_MAX_BYTES, files: 1 }
+});
+
+// Validation middleware
+const validateBuilding = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building name must be between 1 and 100 characters'),
+  body('code')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('Building code cannot exceed 20 characters'),
+  body('address')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Address cannot exceed 200 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const validateFloor = [
+  body('level')
+    .optional()
+    .isInt()
+    .withMessage('Floor level must be an integer')
+    .toInt(),
+  body('name')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Floor name must be between 1 and 100 characters')
+];
+
+const validateRoom = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Room name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+// Refuse to delete a level that active sensors still reference; deleted
+// sensors and complaints keep their location strings as history
+const releaseReferences = async (level, id) => {
+  const path = `locationIds.${level}`;
+  const sensors = await Sensor.countDocuments({ [path]: id, isActive: true });
+  if (sensors > 0) {
+    throw new AppError(`Cannot delete: ${sensors} sensors are still located here`, 400);
+  }
+
+  await Sensor.updateMany({ [path]: id, isActive: false }, { $unset: { [path]: '' } });
+  await Complaint.updateMany({ [path]: id }, { $unset: { [path]: '' } });
+};
+
+// Bulk writes setting (or, for a null placement, clearing) placements
+const placementWrites = (items, fields) => items.map(({ id, placement }) => ({
+  updateOne: {
+    filter: { _id: id },
+    update: placement
+      ? { $set: { placement: Object.fromEntries(fields.map(field => [field, placement[field]])) } }
+      : { $unset: { placement: '' } }
+  }
+}));
+
+// @route   GET /api/locations/tree
+// @desc    Get the location hierarchy with sensor status and open complaint counts per level
+// @access  Private
+router.get('/tree', [
+  query('buildingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Building ID must be a valid ID')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const buildings = await getHierarchyTree({ buildingId: req.query.buildingId });
+
+  res.json({ buildings });
+}));
+
+// @route   GET /api/locations/buildings
+// @desc    Get all buildings
+// @access  Private
+router.get('/buildings', asyncHandler(async (req, res) => {
+  const buildings = await Building.find().sort({ name: 1 });
+
+  res.json({ buildings });
+}));
+
+// @route   POST /api/locations/buildings
+// @desc    Create a building
+// @access  Private (admin only)
+router.post('/buildings', requireAdmin, validateBuilding, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { name, code, address, description } = req.body;
+
+  const existingBuilding = await Building.findOne({ key: normaliseName(name) });
+  if (existingBuilding) {
+    throw new AppError('Building with this name already exists', 400);
+  }
+
+  const building = await Building.create({ name, code, address, description });
+
+  logger.info(`Building created by ${req.user.email}: ${building.name}`);
+
+  res.status(201).json({
+    message: 'Building created successfully',
+    building
+  });
+}));
+
+// @route   PUT /api/locations/buildings/:id
+// @desc    Update a building; a new name is copied to its sensors and complaints
+// @access  Private (admin only)
+router.put('/buildings/:id', requireAdmin, validateBuilding, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { name, code, address, description } = req.body;
+
+  const building = await Building.findById(req.params.id);
+
+  if (!building) {
+    throw new AppError('Building not found', 404);
+  }
+
+  if (normaliseName(name) !== building.key) {
+    const existingBuilding = await Building.findOne({ key: normaliseName(name) });
+    if (existingBuilding) {
+      throw new AppError('Building with this name already exists', 400);
+    }
+  }
+
+  const renamed = name !== building.name;
+  building.name = name;
+  if (code !== undefined) building.code = code;
+  if (address !== undefined) building.address = address;
+  if (description !== undefined) building.description = description;
+
+  await building.save();
+  if (renamed) await propagateName('building', building);
+
+  logger.info(`Building updated by ${req.user.email}: ${building.name}`);
+
+  res.json({
+    message: 'Building updated successfully',
+    building
+  });
+}));
+
+// @route   DELETE /api/locations/buildings/:id
+// @desc    Delete a building without floors
+// @access  Private (admin only)
+router.delete('/buildings/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const building = await Building.findById(req.params.id);
+
+  if (!building) {
+    throw new AppError('Building not found', 404);
+  }
+
+  if (await Floor.exists({ building: building._id })) {
+    throw new AppError('Cannot delete: the building still has floors', 400);
+  }
+
+  await releaseReferences('building', building._id);
+  await Building.findByIdAndDelete(building._id);
+
+  logger.info(`Building deleted by ${req.user.email}: ${building.name}`);
+
+  res.json({
+    message: 'Building deleted successfully'
+  });
+}));
+
+// @route   GET /api/locations/floors
+// @desc    Get floors, lowest first (`buildingId`)
+// @access  Private
+router.get('/floors', [
+  query('buildingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Building ID must be a valid ID')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const filter = {};
+  if (req.query.buildingId) filter.building = req.query.buildingId;
+
+  const floors = await Floor.find(filter).sort({ building: 1, level: 1 });
+
+  res.json({ floors });
+}));
+
+// @route   POST /api/locations/floors
+// @desc    Create a floor; the level may be given or read from the name ("2nd floor")
+// @access  Private (admin only)
+router.post('/floors', requireAdmin, [
+  body('buildingId')
+    .isMongoId()
+    .withMessage('Building ID must be a valid ID'),
+  ...validateFloor
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { buildingId, name } = req.body;
+  const level = req.body.level ?? parseFloorLevel(name);
+
+  if (level === null || level === undefined) {
+    throw new AppError('Floor level is required when the name does not state it', 400);
+  }
+
+  const building = await Building.findById(buildingId);
+
+  if (!building) {
+    throw new AppError('Building not found', 404);
+  }
+
+  const existingFloor = await Floor.findOne({ building: building._id, level });
+  if (existingFloor) {
+    throw new AppError(`Level ${level} already exists in this building`, 400);
+  }
+
+  const floor = await Floor.create({ building: building._id, level, name: name || floorName(level) });
+
+  logger.info(`Floor created by ${req.user.email}: ${building.name} / ${floor.name}`);
+
+  res.status(201).json({
+    message: 'Floor created successfully',
+    floor
+  });
+}));
+
+// @route   PUT /api/locations/floors/:id
+// @desc    Update a floor; a new name is copied to its sensors and complaints
+// @access  Private (admin only)
+router.put('/floors/:id', requireAdmin, validateFloor, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { level, name } = req.body;
+
+  const floor = await Floor.findById(req.params.id);
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  if (level !== undefined && level !== floor.level) {
+    const existingFloor = await Floor.findOne({ building: floor.building, level });
+    if (existingFloor) {
+      throw new AppError(`Level ${level} already exists in this building`, 400);
+    }
+    floor.level = level;
+  }
+
+  const renamed = name !== undefined && name !== floor.name;
+  if (name !== undefined) floor.name = name;
+
+  await floor.save();
+  if (renamed) await propagateName('floor', floor);
+
+  logger.info(`Floor updated by ${req.user.email}: ${floor.name}`);
+
+  res.json({
+    message: 'Floor updated successfully',
+    floor
+  });
+}));
+
+// @route   DELETE /api/locations/floors/:id
+// @desc    Delete a floor without rooms
+// @access  Private (admin only)
+router.delete('/floors/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const floor = await Floor.findById(req.params.id);
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  if (await Room.exists({ floor: floor._id })) {
+    throw new AppError('Cannot delete: the floor still has rooms', 400);
+  }
+
+  await releaseReferences('floor', floor._id);
+  await Floor.findByIdAndDelete(floor._id);
+  await removePlanFile(floor.plan?.filename);
+
+  logger.info(`Floor deleted by ${req.user.email}: ${floor.name}`);
+
+  res.json({
+    message: 'Floor deleted successfully'
+  });
+}));
+
+// @route   GET /api/locations/floors/:id/plan
+// @desc    Get the floor plan image
+// @access  Private
+router.get('/floors/:id/plan', asyncHandler(async (req, res, next) => {
+  const floor = await Floor.findById(req.params.id);
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  if (!floor.plan?.filename) {
+    throw new AppError('Floor has no plan', 404);
+  }
+
+  // SVG plans must never run scripts, even when opened directly
+  res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  res.type(floor.plan.contentType);
+  res.sendFile(path.resolve(planPath(floor.plan.filename)), (error) => {
+    if (error && !res.headersSent) next(new AppError('Floor plan file not found', 404));
+  });
+}));
+
+// @route   PUT /api/locations/floors/:id/plan
+// @desc    Upload or replace the floor plan (multipart field `plan`, PNG or SVG); placements are kept
+// @access  Private (admin only)
+router.put('/floors/:id/plan', requireAdmin, upload.single('plan'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Floor plan file is required', 400);
+  }
+
+  const plan = inspectPlan(req.file.buffer);
+  if (!plan) {
+    throw new AppError('Floor plan must be a PNG or SVG image', 400);
+  }
+
+  const floor = await Floor.findById(req.params.id);
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  const previousFile = floor.plan?.filename;
+  const filename = await storePlanFile(floor._id, req.file.buffer, plan.type);
+
+  floor.plan = {
+    filename,
+    contentType: plan.contentType,
+    size: req.file.size,
+    width: plan.width,
+    height: plan.height,
+    uploadedBy: req.user._id,
+    uploadedAt: new Date()
+  };
+
+  await floor.save();
+  await removePlanFile(previousFile);
+
+  logger.info(`Floor plan uploaded by ${req.user.email}: ${floor.name}`);
+
+  await floor.populate('building', 'name code');
+
+  res.json({
+    message: 'Floor plan uploaded successfully',
+    floor: layoutFloor(floor)
+  });
+}));
+
+// @route   DELETE /api/locations/floors/:id/plan
+// @desc    Remove the floor plan; placements are kept for a replacement plan
+// @access  Private (admin only)
+router.delete('/floors/:id/plan', requireAdmin, asyncHandler(async (req, res) => {
+  const floor = await Floor.findById(req.params.id);
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  if (!floor.plan?.filename) {
+    throw new AppError('Floor has no plan', 404);
+  }
+
+  const { filename } = floor.plan;
+  floor.plan = undefined;
+
+  await floor.save();
+  await removePlanFile(filename);
+
+  logger.info(`Floor plan removed by ${req.user.email}: ${floor.name}`);
+
+  res.json({
+    message: 'Floor plan removed successfully'
+  });
+}));
+
+// @route   GET /api/locations/floors/:id/layout
+// @desc    Get everything drawn on a floor plan: rooms, active sensors and pinned open complaints
+// @access  Private
+router.get('/floors/:id/layout', asyncHandler(async (req, res) => {
+  const floor = await Floor.findById(req.params.id).populate('building', 'name code');
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  const [rooms, sensors, complaints] = await Promise.all([
+    Room.find({ floor: floor._id }).sort({ name: 1 }).lean(),
+    Sensor.find({ 'locationIds.floor': floor._id, isActive: true }).sort({ name: 1 }),
+    Complaint.find({ 'locationIds.floor': floor._id, status: { $in: ['pending', 'in-progress'] } })
+      .select('title category status priority isUrgent location locationIds createdAt')
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  res.json({
+    floor: layoutFloor(floor),
+    rooms: rooms.map(({ _id, name, kind, placement }) => ({
+      id: _id,
+      name,
+      kind,
+      placement: placement?.width !== undefined ? placement : null
+    })),
+    sensors: sensors.map(layoutSensor),
+    complaintPins: pinComplaints(complaints.map(({ _id, ...complaint }) => ({ id: _id, ...complaint })), rooms)
+  });
+}));
+
+// @route   PUT /api/locations/floors/:id/layout
+// @desc    Place sensors ({ id, placement: { x, y } }) and rooms ({ id, placement: { x, y, width, height } })
+//          on the floor plan; a null placement removes the item from the plan
+// @access  Private (admin only)
+router.put('/floors/:id/layout', requireAdmin, [
+  body(['sensors', 'rooms'])
+    .optional()
+    .isArray()
+    .withMessage('Sensors and rooms must be arrays'),
+  body(['sensors.*.id', 'rooms.*.id'])
+    .isMongoId()
+    .withMessage('Sensor and room IDs must be valid IDs'),
+  body(['sensors.*.placement', 'rooms.*.placement'])
+    .custom(placement => placement === null || (typeof placement === 'object' && !Array.isArray(placement)))
+    .withMessage('Placement must be an object or null')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { sensors = [], rooms = [] } = req.body;
+
+  if (sensors.length === 0 && rooms.length === 0) {
+    throw new AppError('At least one sensor or room placement is required', 400);
+  }
+
+  for (const [items, withSize] of [[sensors, false], [rooms, true]]) {
+    for (const { placement } of items) {
+      const error = placement && validatePlacement(placement, { withSize });
+      if (error) {
+        throw new AppError(error, 400);
+      }
+    }
+  }
+
+  const floor = await Floor.findById(req.params.id);
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  const sensorIds = [...new Set(sensors.map(sensor => sensor.id))];
+  const roomIds = [...new Set(rooms.map(room => room.id))];
+  const [sensorsOnFloor, roomsOnFloor] = await Promise.all([
+    Sensor.countDocuments({ _id: { $in: sensorIds }, 'locationIds.floor': floor._id }),
+    Room.countDocuments({ _id: { $in: roomIds }, floor: floor._id })
+  ]);
+
+  if (sensorsOnFloor !== sensorIds.length) {
+    throw new AppError('Sensors must be located on this floor to be placed on its plan', 400);
+  }
+
+  if (roomsOnFloor !== roomIds.length) {
+    throw new AppError('Rooms must be on this floor to be placed on its plan', 400);
+  }
+
+  if (sensors.length > 0) await Sensor.bulkWrite(placementWrites(sensors, ['x', 'y']));
+  if (rooms.length > 0) await Room.bulkWrite(placementWrites(rooms, ['x', 'y', 'width', 'height']));
+
+  // Let open floor plan views reload the layout
+  const io = req.app.get('io');
+  io.emit('floor:layout-updated', { floorId: floor._id });
+
+  logger.info(`Floor layout updated by ${req.user.email}: ${floor.name} (${sensorIds.length} sensors, ${roomIds.length} rooms)`);
+
+  res.json({
+    message: 'Floor layout updated successfully',
+    updated: {
+      sensors: sensorIds.length,
+      rooms: roomIds.length
+    }
+  });
+}));
+
+// @route   GET /api/locations/rooms
+// @desc    Get rooms and areas (`buildingId`, `floorId`)
+// @access  Private
+router.get('/rooms', [
+  query(['buildingId', 'floorId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Location references must be valid IDs')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const filter = {};
+  if (req.query.buildingId) filter.building = req.query.buildingId;
+  if (req.query.floorId) filter.floor = req.query.floorId;
+
+  const rooms = await Room.find(filter).sort({ floor: 1, name: 1 });
+
+  res.json({ rooms });
+}));
+
+// @route   POST /api/locations/rooms
+// @desc    Create a room or area on a floor
+// @access  Private (admin only)
+router.post('/rooms', requireAdmin, [
+  body('floorId')
+    .isMongoId()
+    .withMessage('Floor ID must be a valid ID'),
+  body('kind')
+    .optional()
+    .isIn(['room', 'area'])
+    .withMessage('Kind must be room or area'),
+  ...validateRoom
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { floorId, name, kind, description } = req.body;
+
+  const floor = await Floor.findById(floorId);
+
+  if (!floor) {
+    throw new AppError('Floor not found', 404);
+  }
+
+  const existingRoom = await Room.findOne({ floor: floor._id, key: normaliseName(name) });
+  if (existingRoom) {
+    throw new AppError('Room with this name already exists on this floor', 400);
+  }
+
+  const room = await Room.create({ floor: floor._id, building: floor.building, name, kind, description });
+
+  logger.info(`Room created by ${req.user.email}: ${room.name}`);
+
+  res.status(201).json({
+    message: 'Room created successfully',
+    room
+  });
+}));
+
+// @route   PUT /api/locations/rooms/:id
+// @desc    Update a room or area; a new name is copied to its sensors and complaints
+// @access  Private (admin only)
+router.put('/rooms/:id', requireAdmin, validateRoom, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { name, description } = req.body;
+
+  const room = await Room.findById(req.params.id);
+
+  if (!room) {
+    throw new AppError('Room not found', 404);
+  }
+
+  if (normaliseName(name) !== room.key) {
+    const existingRoom = await Room.findOne({ floor: room.floor, key: normaliseName(name) });
+    if (existingRoom) {
+      throw new AppError('Room with this name already exists on this floor', 400);
+    }
+  }
+
+  const renamed = name !== room.name;
+  room.name = name;
+  if (description !== undefined) room.description = description;
+
+  await room.save();
+  if (renamed) await propagateName('room', room);
+
+  logger.info(`Room updated by ${req.user.email}: ${room.name}`);
+
+  res.json({
+    message: 'Room updated successfully',
+    room
+  });
+}));
+
+// @route   DELETE /api/locations/rooms/:id
+// @desc    Delete a room or area
+// @access  Private (admin only)
+router.delete('/rooms/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const room = await Room.findById(req.params.id);
+
+  if (!room) {
+    throw new AppError('Room not found', 404);
+  }
+
+  await releaseReferences('room', room._id);
+  await Room.findByIdAndDelete(room._id);
+
+  logger.info(`Room deleted by ${req.user.email}: ${room.name}`);
+
+  res.json({
+    message: 'Room deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PendingDevice = require('../models/PendingDevice');
+const Sensor = require('../models/Sensor');
+const SensorProfile = require('../models/SensorProfile');
+const { requireAdmin } = require('../middleware/auth');
+const { isSensorType } = require('../config/sensorTypes');
+const { BAND_FIELDS, validateBands } = require('../services/thresholds');
+const { getTypeUnits, isSupportedUnit, valuesToCanonical } = require('../services/units');
+const { validateTags } = require('../services/sensorGroups');
+const { applyLocation } = require('../services/locationHierarchy');
+const { sensorDefaults } = require('../services/sensorProfiles');
+const { claimSettings } = require('../services/provisioning');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware; the profile's and then the device's announced
+// type and unit apply unless given
+const validateClaim = [
+  body('name')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sensor name must be between 1 and 100 characters'),
+  body('profile')
+    .optional()
+    .isMongoId()
+    .withMessage('Profile must be a valid ID'),
+  body('type')
+    .optional()
+    .custom(isSensorType)
+    .withMessage('Invalid sensor type'),
+  body('currentValue')
+    .optional()
+    .isNumeric()
+    .withMessage('Current value must be a number'),
+  body('thresholdValue')
+    .if((thresholdValue, { req }) => thresholdValue !== undefined || !req.body.profile)
+    .isNumeric()
+    .withMessage('Threshold value must be a number'),
+  body('thresholds')
+    .optional()
+    .isObject()
+    .withMessage('Thresholds must be an object'),
+  body([...BAND_FIELDS, 'hysteresis', 'dwellTimeMs'].map(field => `thresholds.${field}`))
+    .optional({ values: 'null' })
+    .isNumeric()
+    .withMessage('Threshold bounds must be numbers'),
+  body('thresholds')
+    .optional()
+    .custom((thresholds) => {
+      const error = validateBands(thresholds);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('location')
+    .optional()
+    .isObject()
+    .withMessage('Location must be an object'),
+  body(['location.buildingId', 'location.floorId', 'location.roomId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Location references must be valid IDs'),
+  body('location.coordinates')
+    .optional()
+    .custom(coordinates => coordinates.latitude !== undefined && coordinates.longitude !== undefined)
+    .withMessage('Coordinates need both latitude and longitude'),
+  body('location.coordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('location.coordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('reportingIntervalMs')
+    .optional()
+    .isInt({ min: 1000 })
+    .withMessage('Reporting interval must be at least 1000 ms'),
+  body('tags')
+    .optional()
+    .custom((tags) => {
+      const error = validateTags(tags);
+      if (error) throw new Error(error);
+      return true;
+    })
+];
+
+// Expired devices can linger until the TTL monitor removes them
+const findPendingDevice = async (id) => {
+  const device = await PendingDevice.findById(id);
+  if (!device || device.expiresAt <= new Date()) {
+    throw new AppError('Pending device not found', 404);
+  }
+  return device;
+};
+
+// @route   GET /api/pending-devices
+// @desc    Get the devices waiting to be claimed
+// @access  Private (admin only)
+router.get('/', requireAdmin, asyncHandler(async (req, res) => {
+  const devices = await PendingDevice.find({ expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+
+  res.json({ devices });
+}));
+
+// @route   POST /api/pending-devices/:id/claim
+// @desc    Claim a pending device: create its sensor and issue its device key
+// @access  Private (admin only)
+router.post('/:id/claim', requireAdmin, validateClaim, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { thresholdValue, thresholds, location, reportingIntervalMs, tags, profile: profileId } = req.body;
+
+  const device = await findPendingDevice(req.params.id);
+
+  let defaults = {};
+  if (profileId) {
+    const profile = await SensorProfile.findById(profileId);
+    if (!profile) {
+      throw new AppError('Sensor profile not found', 400);
+    }
+    defaults = sensorDefaults(profile);
+  }
+
+  const { settings, error } = claimSettings(device, req.body, defaults);
+  if (error) {
+    throw new AppError(error, 400);
+  }
+  if (settings.unit && !isSupportedUnit(settings.type, settings.unit)) {
+    throw new AppError(`Unit ${settings.unit} is not supported for ${settings.type} sensors`, 400);
+  }
+
+  const existingSensor = await Sensor.findOne({ deviceId: device.deviceId });
+  if (existingSensor) {
+    throw new AppError('Sensor with this device ID already exists', 400);
+  }
+
+  // Values are given in the device's unit and stored canonically; the
+  // profile's threshold value already is
+  const { canonical } = getTypeUnits(settings.type);
+  const deviceUnit = settings.unit || canonical;
+  const values = valuesToCanonical(deviceUnit, { currentValue: settings.currentValue, thresholdValue, thresholds });
+
+  const sensor = new Sensor({
+    ...settings,
+    ...values,
+    thresholdValue: values.thresholdValue ?? settings.thresholdValue,
+    unit: canonical,
+    deviceUnit,
+    reportingIntervalMs: reportingIntervalMs ?? settings.reportingIntervalMs,
+    tags
+  });
+
+  if (location !== undefined) {
+    const locationError = await applyLocation(sensor, location);
+    if (locationError) throw new AppError(locationError, 400);
+  }
+
+  // Saves the new sensor together with its key
+  const deviceKey = await sensor.issueDeviceKey(req.user._id);
+  await device.deleteOne();
+
+  logger.info(`Device ${device.deviceId} claimed by ${req.user.email} as sensor ${sensor.name}`);
+
+  // Emit socket events for real-time updates
+  const io = req.app.get('io');
+  io.emit('sensor:created', { sensor });
+  io.emit('device:claimed', { deviceId: device.deviceId, sensorId: sensor._id });
+
+  res.status(201).json({
+    message: 'Device claimed successfully. Store its device key now, it will not be shown again.',
+    credentials: {
+      sensorId: sensor._id,
+      deviceId: sensor.deviceId,
+      deviceKey
+    },
+    sensor
+  });
+}));
+
+// @route   DELETE /api/pending-devices/:id
+// @desc    Dismiss a pending device
+// @access  Private (admin only)
+router.delete('/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const device = await findPendingDevice(req.params.id);
+
+  await device.deleteOne();
+
+  logger.info(`Pending device ${device.deviceId} dismissed by ${req.user.email}`);
+
+  res.json({
+    message: 'Pending device dismissed successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,382 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SensorGroup = require('../models/SensorGroup');
+const Sensor = require('../models/Sensor');
+const { requireAdmin } = require('../middleware/auth');
+const { isSensorType } = require('../config/sensorTypes');
+const { BAND_FIELDS, validateBands } = require('../services/thresholds');
+const { getTypeUnits, isSupportedUnit, valuesToCanonical } = require('../services/units');
+const { validateGroupFilter, groupSensorFilter, summariseGroup } = require('../services/sensorGroups');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const validateGroup = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('membership')
+    .optional()
+    .isIn(['static', 'filter'])
+    .withMessage('Membership must be static or filter'),
+  body('filter')
+    .if((filter, { req }) => filter !== undefined || req.body.membership === 'filter')
+    .custom((filter) => {
+      const error = validateGroupFilter(filter);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('sensors')
+    .optional()
+    .isArray()
+    .withMessage('Sensors must be an array'),
+  body('sensors.*')
+    .isMongoId()
+    .withMessage('Sensor IDs must be valid IDs')
+];
+
+const findGroup = async (id) => {
+  const group = await SensorGroup.findById(id);
+  if (!group) {
+    throw new AppError('Sensor group not found', 404);
+  }
+  return group;
+};
+
+// Static groups only take sensors that exist and are active
+const checkSensorsExist = async (ids = []) => {
+  const unique = [...new Set(ids.map(String))];
+  const count = await Sensor.countDocuments({ _id: { $in: unique }, isActive: true });
+  if (count !== unique.length) {
+    throw new AppError('Some sensors were not found', 400);
+  }
+  return unique;
+};
+
+// @route   GET /api/sensor-groups
+// @desc    Get all sensor groups with their number of sensors
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const groups = await SensorGroup.find()
+    .populate('createdBy', 'username email')
+    .sort({ name: 1 });
+
+  const counts = await Promise.all(groups.map(group => Sensor.countDocuments(groupSensorFilter(group))));
+
+  res.json({
+    groups: groups.map((group, index) => ({ ...group.toJSON(), sensorCount: counts[index] }))
+  });
+}));
+
+// @route   POST /api/sensor-groups
+// @desc    Create a sensor group
+// @access  Private (admin only)
+router.post('/', requireAdmin, validateGroup, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { name, description, membership = 'static', filter, sensors } = req.body;
+
+  const existingGroup = await SensorGroup.findOne({ name });
+  if (existingGroup) {
+    throw new AppError('Sensor group with this name already exists', 400);
+  }
+
+  const group = new SensorGroup({
+    name,
+    description,
+    membership,
+    filter: membership === 'filter' ? filter : undefined,
+    sensors: membership === 'static' ? await checkSensorsExist(sensors) : [],
+    createdBy: req.user._id
+  });
+
+  await group.save();
+
+  logger.info(`Sensor group created by ${req.user.email}: ${group.name}`);
+
+  res.status(201).json({
+    message: 'Sensor group created successfully',
+    group
+  });
+}));
+
+// @route   GET /api/sensor-groups/:id
+// @desc    Get a sensor group with its sensors
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const group = await findGroup(req.params.id);
+
+  const sensors = await Sensor.find(groupSensorFilter(group))
+    .select('-readings -alerts -maintenanceHistory')
+    .sort({ name: 1 });
+
+  res.json({ group, sensors });
+}));
+
+// @route   PUT /api/sensor-groups/:id
+// @desc    Update a sensor group
+// @access  Private (admin only)
+router.put('/:id', requireAdmin, validateGroup, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { name, description, membership, filter, sensors } = req.body;
+
+  const group = await findGroup(req.params.id);
+
+  // Check if the name is being changed and if it already exists
+  if (name !== group.name) {
+    const existingGroup = await SensorGroup.findOne({ name });
+    if (existingGroup) {
+      throw new AppError('Sensor group with this name already exists', 400);
+    }
+  }
+
+  // Update fields
+  group.name = name;
+  if (description !== undefined) group.description = description;
+  if (membership !== undefined) group.membership = membership;
+
+  // A group keeps either a sensor list or a filter
+  if (group.membership === 'filter') {
+    if (filter === undefined && !group.filter) {
+      throw new AppError('Filter groups need a filter', 400);
+    }
+    if (filter !== undefined) group.filter = filter;
+    group.sensors = [];
+  } else {
+    if (sensors !== undefined) group.sensors = await checkSensorsExist(sensors);
+    group.filter = undefined;
+  }
+
+  await group.save();
+
+  logger.info(`Sensor group updated by ${req.user.email}: ${group.name}`);
+
+  res.json({
+    message: 'Sensor group updated successfully',
+    group
+  });
+}));
+
+// @route   DELETE /api/sensor-groups/:id
+// @desc    Delete a sensor group (its sensors are kept)
+// @access  Private (admin only)
+router.delete('/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const group = await findGroup(req.params.id);
+
+  await SensorGroup.findByIdAndDelete(req.params.id);
+
+  logger.info(`Sensor group deleted by ${req.user.email}: ${group.name}`);
+
+  res.json({
+    message: 'Sensor group deleted successfully'
+  });
+}));
+
+// @route   POST /api/sensor-groups/:id/members
+// @desc    Add sensors to or remove them from a static group
+// @access  Private (admin only)
+router.post('/:id/members', requireAdmin, [
+  body(['add', 'remove'])
+    .optional()
+    .isArray()
+    .withMessage('Add and remove must be arrays'),
+  body(['add.*', 'remove.*'])
+    .isMongoId()
+    .withMessage('Sensor IDs must be valid IDs')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { add = [], remove = [] } = req.body;
+
+  const group = await findGroup(req.params.id);
+
+  if (group.membership !== 'static') {
+    throw new AppError('Members of filter groups follow their filter', 400);
+  }
+
+  const added = await checkSensorsExist(add);
+  const removed = new Set(remove.map(String));
+  const members = new Set(group.sensors.map(String));
+  added.forEach(id => members.add(id));
+  removed.forEach(id => members.delete(id));
+  group.sensors = [...members];
+
+  await group.save();
+
+  logger.info(`Sensor group ${group.name} members changed by ${req.user.email}: +${added.length} -${removed.size}`);
+
+  res.json({
+    message: 'Sensor group members updated successfully',
+    group
+  });
+}));
+
+// @route   GET /api/sensor-groups/:id/status
+// @desc    Get the status summary of a group's sensors
+// @access  Private
+router.get('/:id/status', asyncHandler(async (req, res) => {
+  const group = await findGroup(req.params.id);
+
+  const sensors = await Sensor.find(groupSensorFilter(group)).select('name type status alerts');
+
+  res.json({
+    groupId: group._id,
+    name: group.name,
+    ...summariseGroup(sensors)
+  });
+}));
+
+// @route   PUT /api/sensor-groups/:id/thresholds
+// @desc    Set the thresholds of a group's sensors of one type
+// @access  Private (admin only)
+router.put('/:id/thresholds', requireAdmin, [
+  body('sensorType')
+    .optional()
+    .custom(isSensorType)
+    .withMessage('Invalid sensor type'),
+  body('thresholdValue')
+    .optional()
+    .isNumeric()
+    .withMessage('Threshold value must be a number'),
+  body('thresholds')
+    .optional()
+    .isObject()
+    .withMessage('Thresholds must be an object'),
+  body([...BAND_FIELDS, 'hysteresis', 'dwellTimeMs'].map(field => `thresholds.${field}`))
+    .optional({ values: 'null' })
+    .isNumeric()
+    .withMessage('Threshold bounds must be numbers'),
+  body('thresholds')
+    .optional()
+    .custom((thresholds) => {
+      const error = validateBands(thresholds);
+      if (error) throw new Error(error);
+      return true;
+    })
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { sensorType, thresholdValue, thresholds, unit } = req.body;
+
+  if (thresholdValue === undefined && thresholds === undefined) {
+    throw new AppError('Threshold value or thresholds are required', 400);
+  }
+
+  const group = await findGroup(req.params.id);
+
+  const filter = groupSensorFilter(group);
+  const sensors = await Sensor.find(sensorType ? { $and: [filter, { type: sensorType }] } : filter);
+
+  if (sensors.length === 0) {
+    throw new AppError('No sensors in this group to update', 400);
+  }
+
+  // Thresholds are per type, so mixed groups need `sensorType`
+  const types = [...new Set(sensors.map(sensor => sensor.type))];
+  if (types.length > 1) {
+    throw new AppError(`Group has ${types.join(', ')} sensors; choose one sensor type`, 400);
+  }
+  if (unit && !isSupportedUnit(types[0], unit)) {
+    throw new AppError(`Unit ${unit} is not supported for ${types[0]} sensors`, 400);
+  }
+
+  // Values are given in `unit` (default canonical) and stored canonically
+  const { canonical } = getTypeUnits(types[0]);
+  const values = valuesToCanonical(unit || canonical, { thresholdValue, thresholds });
+
+  // Apply and validate on every sensor before writing any of them, so a
+  // rejected sensor does not leave the group half updated
+  const invalid = [];
+  for (const sensor of sensors) {
+    if (thresholdValue !== undefined) sensor.thresholdValue = values.thresholdValue;
+    if (thresholds !== undefined) sensor.thresholds = values.thresholds;
+    // Threshold changes by an admin take effect right away, as on save
+    sensor.evaluateStatus({ immediate: true });
+
+    const error = sensor.validateSync();
+    if (error) invalid.push(`${sensor.name}: ${Object.values(error.errors)[0].message}`);
+  }
+  if (invalid.length > 0) {
+    throw new AppError(`Thresholds rejected for ${invalid.join('; ')}`, 400);
+  }
+
+  await Sensor.bulkWrite(sensors.map(sensor => ({
+    updateOne: { filter: { _id: sensor._id }, update: sensor.getChanges() }
+  })));
+
+  const io = req.app.get('io');
+  sensors.forEach(sensor => io.emit('sensor:updated', { sensor }));
+
+  logger.info(`Thresholds of ${sensors.length} ${types[0]} sensors in group ${group.name} updated by ${req.user.email}`);
+
+  res.json({
+    message: 'Sensor thresholds updated successfully',
+    updated: sensors.length,
+    sensors: sensors.map(sensor => ({ id: sensor._id, name: sensor.name, status: sensor.status }))
+  });
+}));
+
+// @route   POST /api/sensor-groups/:id/maintenance
+// @desc    Add a maintenance record to every sensor in a group
+// @access  Private (admin only)
+router.post('/:id/maintenance', requireAdmin, [
+  body('type')
+    .isLength({ min: 1 })
+    .withMessage('Maintenance type is required'),
+  body('description')
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Maintenance description must be between 1 and 500 characters'),
+  body('sensorType')
+    .optional()
+    .custom(isSensorType)
+    .withMessage('Invalid sensor type')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { type, description, sensorType } = req.body;
+
+  const group = await findGroup(req.params.id);
+
+  const filter = groupSensorFilter(group);
+  const sensors = await Sensor.find(sensorType ? { $and: [filter, { type: sensorType }] } : filter);
+
+  for (const sensor of sensors) {
+    await sensor.addMaintenanceRecord(type, description, req.user.username);
+  }
+
+  logger.info(`Maintenance record added to ${sensors.length} sensors in group ${group.name} by ${req.user.email}`);
+
+  res.json({
+    message: 'Maintenance records added successfully',
+    updated: sensors.length
+  });
+}));
+
+module.exports = router;
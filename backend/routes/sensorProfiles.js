@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SensorProfile = require('../models/SensorProfile');
+const Sensor = require('../models/Sensor');
+const { requireAdmin } = require('../middleware/auth');
+const { getSensorTypes, getTypeDefaults } = require('../config/sensorTypes');
+const { BAND_FIELDS, validateBands } = require('../services/thresholds');
+const { unitFamily, valuesToCanonical } = require('../services/units');
+const {
+  loadSensorProfiles,
+  isBuiltInType,
+  validateHealthWeights,
+  validateProfileUnit
+} = require('../services/sensorProfiles');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const validateProfile = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Profile name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('type')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,49}$/)
+    .withMessage('Sensor type must be 2 to 50 lowercase letters, digits and dashes'),
+  body('unit')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Unit must be between 1 and 20 characters'),
+  body(['manufacturer', 'model'])
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Manufacturer and model cannot exceed 100 characters'),
+  body('thresholdValue')
+    .optional({ values: 'null' })
+    .isNumeric()
+    .withMessage('Threshold value must be a number'),
+  body('thresholds')
+    .optional()
+    .isObject()
+    .withMessage('Thresholds must be an object'),
+  body([...BAND_FIELDS, 'hysteresis', 'dwellTimeMs'].map(field => `thresholds.${field}`))
+    .optional({ values: 'null' })
+    .isNumeric()
+    .withMessage('Threshold bounds must be numbers'),
+  body('thresholds')
+    .optional()
+    .custom((thresholds) => {
+      const error = validateBands(thresholds);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('reportingIntervalMs')
+    .optional({ values: 'null' })
+    .isInt({ min: 1000 })
+    .withMessage('Reporting interval must be at least 1000 ms'),
+  body('calibrationIntervalDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Calibration interval must be a positive number of days'),
+  body('hygieneWeight')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Hygiene weight must be between 0 and 1'),
+  body('healthWeights')
+    .optional()
+    .custom((weights) => {
+      const error = validateHealthWeights(weights);
+      if (error) throw new Error(error);
+      return true;
+    })
+];
+
+const findProfile = async (id) => {
+  const profile = await SensorProfile.findById(id);
+  if (!profile) {
+    throw new AppError('Sensor profile not found', 404);
+  }
+  return profile;
+};
+
+// Sensors that rely on a profile: its own sensors, and for the last profile
+// of a profile-defined type every sensor of that type
+const countDependentSensors = async (profile) => {
+  const lastOfType = !isBuiltInType(profile.type)
+    && !(await SensorProfile.exists({ type: profile.type, _id: { $ne: profile._id } }));
+
+  return Sensor.countDocuments(lastOfType
+    ? { $or: [{ profile: profile._id }, { type: profile.type }] }
+    : { profile: profile._id });
+};
+
+// @route   GET /api/sensor-profiles
+// @desc    Get all sensor profiles with their number of sensors
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const [profiles, counts] = await Promise.all([
+    SensorProfile.find().sort({ type: 1, name: 1 }),
+    Sensor.aggregate([
+      { $match: { profile: { $ne: null }, isActive: true } },
+      { $group: { _id: '$profile', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countByProfile = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  res.json({
+    profiles: profiles.map(profile => ({
+      ...profile.toJSON(),
+      sensorCount: countByProfile.get(profile._id.toString()) || 0
+    }))
+  });
+}));
+
+// @route   GET /api/sensor-profiles/types
+// @desc    Get the built-in and profile-defined sensor types with their defaults
+// @access  Private
+router.get('/types', asyncHandler(async (req, res) => {
+  res.json({
+    types: getSensorTypes().map((type) => {
+      const { unit, units, calibrationIntervalDays, hygieneWeight } = getTypeDefaults(type);
+      return { type, builtIn: isBuiltInType(type), unit, units, calibrationIntervalDays, hygieneWeight };
+    })
+  });
+}));
+
+// @route   POST /api/sensor-profiles
+// @desc    Create a sensor profile, defining its type if it is new
+// @access  Private (admin only)
+router.post('/', requireAdmin, validateProfile, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const {
+    name,
+    description,
+    type,
+    unit,
+    manufacturer,
+    model,
+    thresholdValue,
+    thresholds,
+    reportingIntervalMs,
+    calibrationIntervalDays,
+    hygieneWeight,
+    healthWeights
+  } = req.body;
+
+  const existingProfile = await SensorProfile.findOne({ name });
+  if (existingProfile) {
+    throw new AppError('Sensor profile with this name already exists', 400);
+  }
+
+  const unitError = validateProfileUnit({ type, unit }, await SensorProfile.find({ type }).lean());
+  if (unitError) {
+    throw new AppError(unitError, 400);
+  }
+
+  // Thresholds are given in the profile's unit and stored canonically
+  const values = valuesToCanonical(unit, { thresholdValue, thresholds });
+
+  const profile = new SensorProfile({
+    name,
+    description,
+    type,
+    unit,
+    manufacturer,
+    model,
+    thresholdValue: values.thresholdValue,
+    thresholds: values.thresholds,
+    reportingIntervalMs,
+    calibrationIntervalDays,
+    hygieneWeight,
+    healthWeights,
+    createdBy: req.user._id
+  });
+
+  await profile.save();
+  await loadSensorProfiles();
+
+  logger.info(`Sensor profile created by ${req.user.email}: ${profile.name} (${profile.type})`);
+
+  res.status(201).json({
+    message: 'Sensor profile created successfully',
+    profile
+  });
+}));
+
+// @route   GET /api/sensor-profiles/:id
+// @desc    Get a sensor profile
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const profile = await findProfile(req.params.id);
+
+  res.json({ profile });
+}));
+
+// @route   PUT /api/sensor-profiles/:id
+// @desc    Update a sensor profile; its sensors pick up bands and weights right away
+// @access  Private (admin only)
+router.put('/:id', requireAdmin, validateProfile, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const {
+    name,
+    description,
+    type,
+    unit,
+    manufacturer,
+    model,
+    thresholdValue,
+    thresholds,
+    reportingIntervalMs,
+    calibrationIntervalDays,
+    hygieneWeight,
+    healthWeights
+  } = req.body;
+
+  const profile = await findProfile(req.params.id);
+
+  // Check if the name is being changed and if it already exists
+  if (name !== profile.name) {
+    const existingProfile = await SensorProfile.findOne({ name });
+    if (existingProfile) {
+      throw new AppError('Sensor profile with this name already exists', 400);
+    }
+  }
+
+  // Stored sensor values would no longer match a new type or stored unit
+  if (type !== profile.type || unitFamily(unit).canonical !== unitFamily(profile.unit).canonical) {
+    const dependents = await countDependentSensors(profile);
+    if (dependents > 0) {
+      throw new AppError(`Profile is used by ${dependents} sensors; its type and stored unit cannot change`, 400);
+    }
+  }
+
+  const others = await SensorProfile.find({ type, _id: { $ne: profile._id } }).lean();
+  const unitError = validateProfileUnit({ type, unit }, others);
+  if (unitError) {
+    throw new AppError(unitError, 400);
+  }
+
+  const values = valuesToCanonical(unit, { thresholdValue, thresholds });
+
+  // Update fields
+  profile.name = name;
+  profile.type = type;
+  profile.unit = unit;
+  if (description !== undefined) profile.description = description;
+  if (manufacturer !== undefined) profile.manufacturer = manufacturer;
+  if (model !== undefined) profile.model = model;
+  if (thresholdValue !== undefined) profile.thresholdValue = values.thresholdValue;
+  if (thresholds !== undefined) profile.thresholds = values.thresholds;
+  if (reportingIntervalMs !== undefined) profile.reportingIntervalMs = reportingIntervalMs;
+  if (calibrationIntervalDays !== undefined) profile.calibrationIntervalDays = calibrationIntervalDays;
+  if (hygieneWeight !== undefined) profile.hygieneWeight = hygieneWeight;
+  if (healthWeights !== undefined) profile.healthWeights = healthWeights;
+
+  await profile.save();
+  await loadSensorProfiles();
+
+  logger.info(`Sensor profile updated by ${req.user.email}: ${profile.name}`);
+
+  res.json({
+    message: 'Sensor profile updated successfully',
+    profile
+  });
+}));
+
+// @route   DELETE /api/sensor-profiles/:id
+// @desc    Delete a sensor profile that no sensor relies on
+// @access  Private (admin only)
+router.delete('/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const profile = await findProfile(req.params.id);
+
+  const dependents = await countDependentSensors(profile);
+  if (dependents > 0) {
+    throw new AppError(`Profile is used by ${dependents} sensors`, 400);
+  }
+
+  await SensorProfile.findByIdAndDelete(req.params.id);
+  await loadSensorProfiles();
+
+  logger.info(`Sensor profile deleted by ${req.user.email}: ${profile.name}`);
+
+  res.json({
+    message: 'Sensor profile deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -1,19 +1,61 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Sensor = require('../models/Sensor');
+const SensorGroup = require('../models/SensorGroup');
+const SensorProfile = require('../models/SensorProfile');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const BatteryReading = require('../models/BatteryReading');
+const DoorEvent = require('../models/DoorEvent');
 const { requireAdmin } = require('../middleware/auth');
+const { isSensorType } = require('../config/sensorTypes');
+const { BAND_FIELDS, validateBands } = require('../services/thresholds');
+const { FORECAST_HORIZON_HOURS, BATTERY_HISTORY_DAYS } = require('../services/forecasting');
+const { MAX_REFERENCE_READINGS, validateReferenceReadings, computeCorrection } = require('../services/calibration');
+const { resolveAlerts, publishAlertChanges } = require('../services/alertRules');
+const {
+  FOOTFALL_INTERVALS,
+  FOOTFALL_WINDOW_DAYS,
+  mergeBuckets,
+  summariseFootfall,
+  recommendCleaning
+} = require('../services/footfall');
+const { groupByLocation } = require('../services/locations');
+const { applyLocation } = require('../services/locationHierarchy');
+const {
+  NEAR_DEFAULT_RADIUS_M,
+  NEAR_MAX_RADIUS_M,
+  parseBbox,
+  toFeatureCollection
+} = require('../services/geo');
+const { normaliseTags, validateTags, groupSensorFilter } = require('../services/sensorGroups');
+const { getProfile, sensorDefaults } = require('../services/sensorProfiles');
+const {
+  UNITS,
+  getTypeUnits,
+  isSupportedUnit,
+  toCanonical,
+  fromCanonical,
+  valuesToCanonical,
+  sensorInUnit
+} = require('../services/units');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Validation middleware
+// Validation middleware; with a `profile`, type and threshold value default to the profile's
 const validateSensor = [
   body('name')
     .isLength({ min: 1, max: 100 })
     .withMessage('Sensor name must be between 1 and 100 characters'),
+  body('profile')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Profile must be a valid ID'),
   body('type')
-    .isIn(['door-tracking', 'odor', 'humidity', 'bin-level', 'temperature', 'air-quality'])
+    .if((type, { req }) => type !== undefined || !req.body.profile)
+    .custom(isSensorType)
     .withMessage('Invalid sensor type'),
   body('deviceId')
     .isLength({ min: 1 })
@@ -22,25 +64,148 @@ const validateSensor = [
     .isNumeric()
     .withMessage('Current value must be a number'),
   body('thresholdValue')
+    .if((thresholdValue, { req }) => thresholdValue !== undefined || !req.body.profile)
     .isNumeric()
     .withMessage('Threshold value must be a number'),
   body('unit')
-    .isLength({ min: 1 })
-    .withMessage('Unit is required')
+    .optional()
+    .custom((unit, { req }) => isSupportedUnit(req.body.type || getProfile(req.body.profile)?.type, unit))
+    .withMessage('Unit is not supported for this sensor type'),
+  body('reportingIntervalMs')
+    .optional()
+    .isInt({ min: 1000 })
+    .withMessage('Reporting interval must be at least 1000 ms'),
+  body('location')
+    .optional()
+    .isObject()
+    .withMessage('Location must be an object'),
+  body(['location.buildingId', 'location.floorId', 'location.roomId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Location references must be valid IDs'),
+  body('location.coordinates')
+    .optional()
+    .custom(coordinates => coordinates.latitude !== undefined && coordinates.longitude !== undefined)
+    .withMessage('Coordinates need both latitude and longitude'),
+  body('location.coordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('location.coordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('tags')
+    .optional()
+    .custom((tags) => {
+      const error = validateTags(tags);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('cleanAfterEntries')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Clean after entries must be a positive integer'),
+  body('thresholds')
+    .optional()
+    .isObject()
+    .withMessage('Thresholds must be an object'),
+  body([...BAND_FIELDS, 'hysteresis', 'dwellTimeMs'].map(field => `thresholds.${field}`))
+    .optional({ values: 'null' })
+    .isNumeric()
+    .withMessage('Threshold bounds must be numbers'),
+  body('thresholds')
+    .optional()
+    .custom((thresholds) => {
+      const error = validateBands(thresholds);
+      if (error) throw new Error(error);
+      return true;
+    })
 ];
 
+// Load the profile of a sensor create/update request and check that it is
+// for the sensor's type
+const findSensorProfile = async (id, type) => {
+  const profile = await SensorProfile.findById(id);
+  if (!profile) {
+    throw new AppError('Sensor profile not found', 400);
+  }
+  if (type && type !== profile.type) {
+    throw new AppError(`Profile ${profile.name} is for ${profile.type} sensors`, 400);
+  }
+  return profile;
+};
+
+// Optional `?unit=` for reads; checked against each sensor's type
+const validateReadUnit = query('unit')
+  .optional()
+  .isIn(Object.keys(UNITS))
+  .withMessage('Unknown unit');
+
+// Optional type/status filters and result limit shared by the geo queries
+const validateGeoFilters = [
+  query('type')
+    .optional()
+    .custom(isSensorType)
+    .withMessage('Invalid sensor type'),
+  query('status')
+    .optional()
+    .isIn(['normal', 'warning', 'critical', 'offline'])
+    .withMessage('Invalid status'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+];
+
+const geoFilter = ({ type, status }) => {
+  const filter = { isActive: true, geo: { $exists: true } };
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  return filter;
+};
+
+// Parse the `bbox` query parameter or throw a 400
+const bboxPolygon = (bbox) => {
+  const { polygon, error } = parseBbox(bbox);
+  if (error) {
+    throw new AppError(error, 400);
+  }
+  return polygon;
+};
+
+const checkReadUnit = (sensor, unit) => {
+  if (unit && !isSupportedUnit(sensor.type, unit)) {
+    throw new AppError(`Unit ${unit} is not supported for ${sensor.type} sensors`, 400);
+  }
+};
+
 // @route   GET /api/sensors
 // @desc    Get all sensors
 // @access  Private
 router.get('/', [
   query('type')
     .optional()
-    .isIn(['door-tracking', 'odor', 'humidity', 'bin-level', 'temperature', 'air-quality'])
+    .custom(isSensorType)
     .withMessage('Invalid sensor type'),
   query('status')
     .optional()
     .isIn(['normal', 'warning', 'critical', 'offline'])
     .withMessage('Invalid status'),
+  query(['buildingId', 'floorId', 'roomId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Location references must be valid IDs'),
+  query('groupId')
+    .optional()
+    .isMongoId()
+    .withMessage('Group ID must be a valid ID'),
+  query('tags')
+    .optional()
+    .custom(tags => [].concat(tags).every(tag => typeof tag === 'string' && tag.length > 0))
+    .withMessage('Tags cannot be empty'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -48,7 +213,8 @@ router.get('/', [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+  validateReadUnit
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -56,13 +222,28 @@ router.get('/', [
     throw new AppError(errors.array()[0].msg, 400);
   }
 
-  const { type, status, page = 1, limit = 10 } = req.query;
+  const { type, status, unit, page = 1, limit = 10 } = req.query;
   const skip = (page - 1) * limit;
 
   // Build filter
   let filter = { isActive: true };
   if (type) filter.type = type;
   if (status) filter.status = status;
+  if (req.query.buildingId) filter['locationIds.building'] = req.query.buildingId;
+  if (req.query.floorId) filter['locationIds.floor'] = req.query.floorId;
+  if (req.query.roomId) filter['locationIds.room'] = req.query.roomId;
+  // Comma-separated and/or repeated; sensors must carry every tag
+  if (req.query.tags) {
+    filter.tags = { $all: normaliseTags([].concat(req.query.tags).flatMap(tags => tags.split(','))) };
+  }
+
+  if (req.query.groupId) {
+    const group = await SensorGroup.findById(req.query.groupId);
+    if (!group) {
+      throw new AppError('Sensor group not found', 404);
+    }
+    filter = { $and: [filter, groupSensorFilter(group)] };
+  }
 
   // Get sensors with pagination
   const sensors = await Sensor.find(filter)
@@ -74,7 +255,10 @@ router.get('/', [
   const total = await Sensor.countDocuments(filter);
 
   res.json({
-    sensors,
+    // Sensors of types without the requested unit keep their own
+    sensors: unit
+      ? sensors.map(sensor => isSupportedUnit(sensor.type, unit) ? sensorInUnit(sensor.toJSON(), unit) : sensor)
+      : sensors,
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -84,17 +268,364 @@ router.get('/', [
   });
 }));
 
+// @route   GET /api/sensors/forecast
+// @desc    Get fill forecasts for bin-level sensors, soonest first
+// @access  Private
+router.get('/forecast', [
+  query('within')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Within must be a non-negative number of hours'),
+  query('building')
+    .optional()
+    .isLength({ min: 1 })
+    .withMessage('Building cannot be empty')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { within, building } = req.query;
+  const now = new Date();
+
+  const filter = { type: 'bin-level', isActive: true };
+  if (building) filter['location.building'] = building;
+  if (within !== undefined) {
+    filter['forecast.thresholdAt'] = { $lte: new Date(now.getTime() + parseFloat(within) * 60 * 60 * 1000) };
+  }
+
+  const sensors = await Sensor.find(filter);
+
+  const hoursUntil = (date) => date ? Math.round(((date - now) / (60 * 60 * 1000)) * 10) / 10 : null;
+
+  const forecasts = sensors
+    .map(sensor => ({
+      sensorId: sensor._id,
+      name: sensor.name,
+      location: sensor.location,
+      status: sensor.status,
+      currentValue: sensor.currentValue,
+      threshold: sensor.effectiveThresholds.upperWarning,
+      fillRatePerHour: sensor.forecast?.fillRatePerHour ?? null,
+      thresholdAt: sensor.forecast?.thresholdAt ?? null,
+      hoursToThreshold: hoursUntil(sensor.forecast?.thresholdAt),
+      fullAt: sensor.forecast?.fullAt ?? null,
+      hoursToFull: hoursUntil(sensor.forecast?.fullAt),
+      computedAt: sensor.forecast?.computedAt ?? null
+    }))
+    // Bins without a prediction go last
+    .sort((a, b) => (a.thresholdAt ?? Infinity) - (b.thresholdAt ?? Infinity));
+
+  res.json({
+    horizonHours: FORECAST_HORIZON_HOURS,
+    forecasts
+  });
+}));
+
+// Monday 00:00 UTC of the week containing a date
+const weekStart = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+// @route   GET /api/sensors/battery-plan
+// @desc    Get battery replacements grouped by predicted week and location
+// @access  Private (admin only)
+router.get('/battery-plan', requireAdmin, [
+  query('weeks')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Weeks must be between 1 and 52'),
+  query('building')
+    .optional()
+    .isLength({ min: 1 })
+    .withMessage('Building cannot be empty')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const weeks = parseInt(req.query.weeks) || 8;
+  const thisWeek = weekStart(new Date());
+  const horizon = new Date(thisWeek.getTime() + weeks * 7 * 24 * 60 * 60 * 1000);
+
+  const filter = {
+    isActive: true,
+    'batteryForecast.replaceBy': { $lt: horizon }
+  };
+  if (req.query.building) filter['location.building'] = req.query.building;
+
+  const sensors = await Sensor.find(filter)
+    .select('name type deviceId location batteryLevel batteryForecast')
+    .sort({ 'batteryForecast.replaceBy': 1 });
+
+  // Overdue replacements are planned for the current week
+  const plan = new Map();
+  for (const sensor of sensors) {
+    const replaceBy = sensor.batteryForecast.replaceBy;
+    const week = (replaceBy < thisWeek ? thisWeek : weekStart(replaceBy)).toISOString();
+    const building = sensor.location?.building || null;
+    const floor = sensor.location?.floor || null;
+    const locationKey = `${building}|${floor}`;
+
+    if (!plan.has(week)) plan.set(week, new Map());
+    const locations = plan.get(week);
+    if (!locations.has(locationKey)) locations.set(locationKey, { building, floor, sensors: [] });
+
+    locations.get(locationKey).sensors.push({
+      id: sensor._id,
+      name: sensor.name,
+      type: sensor.type,
+      deviceId: sensor.deviceId,
+      room: sensor.location?.room,
+      area: sensor.location?.area,
+      batteryLevel: sensor.batteryLevel,
+      drainPerDay: sensor.batteryForecast.drainPerDay,
+      remainingDays: sensor.batteryForecast.remainingDays,
+      replaceBy
+    });
+  }
+
+  res.json({
+    weeks: [...plan].map(([week, locations]) => ({
+      weekStart: week,
+      sensorCount: [...locations.values()].reduce((total, location) => total + location.sensors.length, 0),
+      locations: [...locations.values()]
+    })),
+    totalSensors: sensors.length
+  });
+}));
+
+// @route   GET /api/sensors/footfall
+// @desc    Get door-tracking entries per hour/day and cleaning recommendations per location
+// @access  Private
+router.get('/footfall', [
+  query('interval')
+    .optional()
+    .isIn(Object.keys(FOOTFALL_INTERVALS))
+    .withMessage(`Interval must be one of ${Object.keys(FOOTFALL_INTERVALS).join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('building')
+    .optional()
+    .isLength({ min: 1 })
+    .withMessage('Building cannot be empty')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { interval = 'hour', building } = req.query;
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - FOOTFALL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (from >= to) {
+    throw new AppError('From must be before to', 400);
+  }
+
+  const filter = { type: 'door-tracking', isActive: true };
+  if (building) filter['location.building'] = building;
+
+  const sensors = await Sensor.find(filter).select('name type deviceId location usage cleanAfterEntries');
+  const buckets = await DoorEvent.getBuckets(sensors.map(sensor => sensor._id), interval, from, to);
+
+  const bucketsBySensor = new Map();
+  for (const bucket of buckets) {
+    const key = bucket.sensorId.toString();
+    if (!bucketsBySensor.has(key)) bucketsBySensor.set(key, []);
+    bucketsBySensor.get(key).push(bucket);
+  }
+
+  // Sensors at the same building/floor/room/area (e.g. several doors of one
+  // washroom) are counted together
+  const footfall = groupByLocation(sensors)
+    .map(({ location, items }) => {
+      const series = mergeBuckets(items.flatMap(sensor => bucketsBySensor.get(sensor._id.toString()) || []));
+      const summary = summariseFootfall(series, from, to);
+      const cleanAfter = items.map(sensor => sensor.effectiveCleanAfterEntries).filter(Boolean);
+
+      return {
+        ...location,
+        sensors: items.map(sensor => ({ id: sensor._id, name: sensor.name, deviceId: sensor.deviceId })),
+        ...summary,
+        cleaning: recommendCleaning({
+          cleanAfterEntries: cleanAfter.length > 0 ? Math.min(...cleanAfter) : null,
+          entriesSinceCleaning: items.reduce((total, sensor) => total + (sensor.usage?.entriesSinceCleaning || 0), 0),
+          entriesPerDay: summary.entriesPerDay
+        }),
+        series
+      };
+    })
+    // Busiest locations first
+    .sort((a, b) => b.totalEntries - a.totalEntries);
+
+  res.json({
+    interval,
+    from,
+    to,
+    locations: footfall
+  });
+}));
+
+// @route   GET /api/sensors/tags
+// @desc    Get the tags in use with their number of active sensors
+// @access  Private
+router.get('/tags', asyncHandler(async (req, res) => {
+  const tags = await Sensor.aggregate([
+    { $match: { isActive: true } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', sensors: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', sensors: 1 } }
+  ]);
+
+  res.json({ tags });
+}));
+
+// @route   GET /api/sensors/near
+// @desc    Get sensors within `radius` metres of `lat`/`lng`, nearest first, with their distance
+// @access  Private
+router.get('/near', [
+  query('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  query('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  query('radius')
+    .optional()
+    .isFloat({ min: 1, max: NEAR_MAX_RADIUS_M })
+    .withMessage(`Radius must be between 1 and ${NEAR_MAX_RADIUS_M} metres`),
+  ...validateGeoFilters
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const point = { type: 'Point', coordinates: [parseFloat(req.query.lng), parseFloat(req.query.lat)] };
+  const radius = req.query.radius ? parseFloat(req.query.radius) : NEAR_DEFAULT_RADIUS_M;
+
+  // $geoNear must be the first stage; it uses the 2dsphere index on `geo`
+  const results = await Sensor.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'geo',
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true,
+        query: geoFilter(req.query)
+      }
+    },
+    { $limit: parseInt(req.query.limit) || 100 }
+  ]);
+
+  res.json({
+    center: point,
+    radius,
+    sensors: results.map(({ distance, ...doc }) => ({
+      ...Sensor.hydrate(doc).toJSON(),
+      distance: Math.round(distance * 10) / 10
+    }))
+  });
+}));
+
+// @route   GET /api/sensors/within
+// @desc    Get sensors inside a bounding box (`bbox=west,south,east,north`)
+// @access  Private
+router.get('/within', [
+  query('bbox')
+    .notEmpty()
+    .withMessage('Bounding box is required'),
+  ...validateGeoFilters
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const polygon = bboxPolygon(req.query.bbox);
+
+  const sensors = await Sensor.find({
+    ...geoFilter(req.query),
+    geo: { $geoWithin: { $geometry: polygon } }
+  })
+    .sort({ name: 1 })
+    .limit(parseInt(req.query.limit) || 100);
+
+  res.json({ bbox: polygon, sensors });
+}));
+
+// @route   GET /api/sensors/geojson
+// @desc    Export located sensors with their status as a GeoJSON FeatureCollection (`bbox`, `type`, `status`)
+// @access  Private
+router.get('/geojson', [
+  query('bbox')
+    .optional()
+    .notEmpty()
+    .withMessage('Bounding box cannot be empty'),
+  ...validateGeoFilters
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const filter = geoFilter(req.query);
+  if (req.query.bbox) {
+    filter.geo = { $geoWithin: { $geometry: bboxPolygon(req.query.bbox) } };
+  }
+
+  let sensorQuery = Sensor.find(filter)
+    .select('name type deviceId status currentValue thresholdValue unit location geo lastReading')
+    .sort({ name: 1 })
+    .lean();
+  if (req.query.limit) sensorQuery = sensorQuery.limit(parseInt(req.query.limit));
+
+  res.type('application/geo+json').send(JSON.stringify(toFeatureCollection(await sensorQuery)));
+}));
+
 // @route   GET /api/sensors/:id
 // @desc    Get sensor by ID
 // @access  Private
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', [
+  validateReadUnit
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
   const sensor = await Sensor.findById(req.params.id);
 
   if (!sensor) {
     throw new AppError('Sensor not found', 404);
   }
 
-  res.json({ sensor });
+  const { unit } = req.query;
+  checkReadUnit(sensor, unit);
+
+  res.json({ sensor: unit ? sensorInUnit(sensor.toJSON(), unit) : sensor });
 }));
 
 // @route   POST /api/sensors
@@ -113,11 +644,16 @@ router.post('/', requireAdmin, validateSensor, asyncHandler(async (req, res) =>
     deviceId,
     currentValue,
     thresholdValue,
+    thresholds,
     unit,
     location,
     manufacturer,
     model,
-    firmwareVersion
+    firmwareVersion,
+    reportingIntervalMs,
+    cleanAfterEntries,
+    tags,
+    profile: profileId
   } = req.body;
 
   // Check if device ID already exists
@@ -126,19 +662,37 @@ router.post('/', requireAdmin, validateSensor, asyncHandler(async (req, res) =>
     throw new AppError('Sensor with this device ID already exists', 400);
   }
 
+  // Request fields win over the profile's defaults
+  const defaults = profileId ? sensorDefaults(await findSensorProfile(profileId, type)) : {};
+  const sensorType = type || defaults.type;
+
+  // Values are given in `unit` (the device's unit) and stored canonically
+  const { canonical } = getTypeUnits(sensorType);
+  const deviceUnit = unit || defaults.deviceUnit || canonical;
+  const values = valuesToCanonical(deviceUnit, { currentValue, thresholdValue, thresholds });
+
   const sensor = new Sensor({
+    ...defaults,
     name,
-    type,
+    type: sensorType,
     deviceId,
-    currentValue,
-    thresholdValue,
-    unit,
-    location,
-    manufacturer,
-    model,
-    firmwareVersion
+    ...values,
+    thresholdValue: values.thresholdValue ?? defaults.thresholdValue,
+    unit: canonical,
+    deviceUnit,
+    manufacturer: manufacturer ?? defaults.manufacturer,
+    model: model ?? defaults.model,
+    firmwareVersion,
+    reportingIntervalMs: reportingIntervalMs ?? defaults.reportingIntervalMs,
+    cleanAfterEntries,
+    tags
   });
 
+  if (location !== undefined) {
+    const locationError = await applyLocation(sensor, location);
+    if (locationError) throw new AppError(locationError, 400);
+  }
+
   await sensor.save();
 
   logger.info(`New sensor created by ${req.user.email}: ${sensor.name}`);
@@ -169,11 +723,16 @@ router.put('/:id', requireAdmin, validateSensor, asyncHandler(async (req, res) =
     deviceId,
     currentValue,
     thresholdValue,
+    thresholds,
     unit,
     location,
     manufacturer,
     model,
-    firmwareVersion
+    firmwareVersion,
+    reportingIntervalMs,
+    cleanAfterEntries,
+    tags,
+    profile: profileId
   } = req.body;
 
   const sensor = await Sensor.findById(req.params.id);
@@ -182,6 +741,11 @@ router.put('/:id', requireAdmin, validateSensor, asyncHandler(async (req, res) =
     throw new AppError('Sensor not found', 404);
   }
 
+  // The sensor's profile (kept, replaced or cleared with null) must be for its type
+  const keptProfileId = profileId === undefined ? sensor.profile : profileId;
+  const profile = keptProfileId ? await findSensorProfile(keptProfileId, type) : null;
+  const sensorType = type || profile?.type || sensor.type;
+
   // Check if device ID is being changed and if it already exists
   if (deviceId !== sensor.deviceId) {
     const existingSensor = await Sensor.findOne({ deviceId });
@@ -190,17 +754,34 @@ router.put('/:id', requireAdmin, validateSensor, asyncHandler(async (req, res) =
     }
   }
 
+  // Values are given in `unit` (the device's unit, default canonical) and stored canonically
+  const { canonical } = getTypeUnits(sensorType);
+  const values = valuesToCanonical(unit || canonical, { currentValue, thresholdValue, thresholds });
+
   // Update fields
   if (name !== undefined) sensor.name = name;
-  if (type !== undefined) sensor.type = type;
+  sensor.type = sensorType;
+  if (profileId !== undefined) sensor.profile = profile?._id;
   if (deviceId !== undefined) sensor.deviceId = deviceId;
-  if (currentValue !== undefined) sensor.currentValue = currentValue;
-  if (thresholdValue !== undefined) sensor.thresholdValue = thresholdValue;
-  if (unit !== undefined) sensor.unit = unit;
-  if (location !== undefined) sensor.location = location;
+  if (currentValue !== undefined) sensor.currentValue = values.currentValue;
+  if (thresholdValue !== undefined) sensor.thresholdValue = values.thresholdValue;
+  if (thresholds !== undefined) sensor.thresholds = values.thresholds;
+  sensor.unit = canonical;
+  if (unit !== undefined) {
+    sensor.deviceUnit = unit;
+  } else if (!isSupportedUnit(sensorType, sensor.deviceUnit)) {
+    sensor.deviceUnit = canonical;
+  }
+  if (location !== undefined) {
+    const locationError = await applyLocation(sensor, location);
+    if (locationError) throw new AppError(locationError, 400);
+  }
   if (manufacturer !== undefined) sensor.manufacturer = manufacturer;
   if (model !== undefined) sensor.model = model;
   if (firmwareVersion !== undefined) sensor.firmwareVersion = firmwareVersion;
+  if (reportingIntervalMs !== undefined) sensor.reportingIntervalMs = reportingIntervalMs;
+  if (cleanAfterEntries !== undefined) sensor.cleanAfterEntries = cleanAfterEntries;
+  if (tags !== undefined) sensor.tags = tags;
 
   await sensor.save();
 
@@ -241,72 +822,91 @@ router.delete('/:id', requireAdmin, asyncHandler(async (req, res) => {
   });
 }));
 
-// @route   POST /api/sensors/:id/data
-// @desc    Add data point to sensor (for IoT devices)
-// @access  Public (for IoT devices)
-router.post('/:id/data', [
-  body('value')
-    .isNumeric()
-    .withMessage('Value must be a number'),
-  body('batteryLevel')
-    .optional()
-    .isInt({ min: 0, max: 100 })
-    .withMessage('Battery level must be between 0 and 100'),
-  body('signalStrength')
-    .optional()
-    .isInt({ min: 0, max: 100 })
-    .withMessage('Signal strength must be between 0 and 100')
-], asyncHandler(async (req, res) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    throw new AppError(errors.array()[0].msg, 400);
-  }
-
-  const { value, batteryLevel, signalStrength } = req.body;
-
+// @route   POST /api/sensors/:id/device-key
+// @desc    Issue a device API key for a sensor
+// @access  Private (admin only)
+router.post('/:id/device-key', requireAdmin, asyncHandler(async (req, res) => {
   const sensor = await Sensor.findById(req.params.id);
 
   if (!sensor) {
     throw new AppError('Sensor not found', 404);
   }
 
-  if (!sensor.isActive) {
-    throw new AppError('Sensor is inactive', 400);
+  if (sensor.hasDeviceKey) {
+    throw new AppError('Sensor already has an active device key. Rotate it instead.', 400);
   }
 
-  // Add data point
-  await sensor.addDataPoint(value);
+  const deviceKey = await sensor.issueDeviceKey(req.user._id);
 
-  // Update battery and signal strength if provided
-  if (batteryLevel !== undefined) sensor.batteryLevel = batteryLevel;
-  if (signalStrength !== undefined) sensor.signalStrength = signalStrength;
+  logger.info(`Device key issued by ${req.user.email} for sensor ${sensor.name}`);
 
-  await sensor.save();
+  res.status(201).json({
+    message: 'Device key issued successfully. Store it now, it will not be shown again.',
+    deviceKey,
+    sensor: {
+      id: sensor._id,
+      name: sensor.name,
+      deviceId: sensor.deviceId,
+      keyPrefix: sensor.deviceKey.prefix
+    }
+  });
+}));
 
-  logger.info(`Data point added to sensor ${sensor.name}: ${value} ${sensor.unit}`);
+// @route   POST /api/sensors/:id/device-key/rotate
+// @desc    Replace a sensor's device API key
+// @access  Private (admin only)
+router.post('/:id/device-key/rotate', requireAdmin, asyncHandler(async (req, res) => {
+  const sensor = await Sensor.findById(req.params.id);
 
-  // Emit socket event for real-time updates
-  const io = req.app.get('io');
-  io.emit('sensor:data', { sensor });
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  const deviceKey = await sensor.issueDeviceKey(req.user._id);
+
+  logger.info(`Device key rotated by ${req.user.email} for sensor ${sensor.name}`);
 
   res.json({
-    message: 'Data point added successfully',
+    message: 'Device key rotated successfully. Store it now, it will not be shown again.',
+    deviceKey,
     sensor: {
       id: sensor._id,
       name: sensor.name,
-      currentValue: sensor.currentValue,
-      status: sensor.status
+      deviceId: sensor.deviceId,
+      keyPrefix: sensor.deviceKey.prefix
     }
   });
 }));
 
+// @route   DELETE /api/sensors/:id/device-key
+// @desc    Revoke a sensor's device API key
+// @access  Private (admin only)
+router.delete('/:id/device-key', requireAdmin, asyncHandler(async (req, res) => {
+  const sensor = await Sensor.findById(req.params.id);
+
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  if (!sensor.hasDeviceKey) {
+    throw new AppError('Sensor has no active device key', 400);
+  }
+
+  await sensor.revokeDeviceKey();
+
+  logger.info(`Device key revoked by ${req.user.email} for sensor ${sensor.name}`);
+
+  res.json({
+    message: 'Device key revoked successfully'
+  });
+}));
+
 // @route   POST /api/sensors/:id/alert
 // @desc    Add alert to sensor
 // @access  Private (admin only)
 router.post('/:id/alert', requireAdmin, [
   body('type')
-    .isIn(['threshold-exceeded', 'device-offline', 'battery-low', 'calibration-due'])
+    .isIn(['threshold-exceeded', 'device-offline', 'battery-low', 'calibration-due', 'anomaly', 'fill-forecast'])
     .withMessage('Invalid alert type'),
   body('message')
     .isLength({ min: 1, max: 200 })
@@ -403,6 +1003,151 @@ router.post('/:id/maintenance', requireAdmin, [
   });
 }));
 
+// @route   POST /api/sensors/:id/cleaned
+// @desc    Record that the area of a door-tracking sensor was cleaned
+// @access  Private (admin only)
+router.post('/:id/cleaned', requireAdmin, [
+  body('cleanedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Cleaned at must be a valid ISO 8601 date')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const sensor = await Sensor.findById(req.params.id);
+
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  if (sensor.type !== 'door-tracking') {
+    throw new AppError('Cleaning is only tracked for door-tracking sensors', 400);
+  }
+
+  const cleanedAt = req.body.cleanedAt ? new Date(req.body.cleanedAt) : new Date();
+  await sensor.markCleaned(cleanedAt);
+
+  logger.info(`Area of sensor ${sensor.name} marked as cleaned by ${req.user.email}`);
+
+  res.json({
+    message: 'Cleaning recorded successfully',
+    sensor
+  });
+}));
+
+// @route   POST /api/sensors/:id/calibration
+// @desc    Record a calibration from reference readings
+// @access  Private (admin only)
+router.post('/:id/calibration', requireAdmin, [
+  body('referenceReadings')
+    .isArray({ min: 1, max: MAX_REFERENCE_READINGS })
+    .withMessage(`Reference readings must be an array of 1 to ${MAX_REFERENCE_READINGS} items`),
+  body('referenceReadings.*.reference')
+    .isNumeric()
+    .withMessage('Reference value must be a number')
+    .toFloat(),
+  body('referenceReadings.*.measured')
+    .isNumeric()
+    .withMessage('Measured value must be a number')
+    .toFloat(),
+  body('performedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Performed at must be a valid ISO 8601 date')
+    .custom((value) => {
+      if (new Date(value) > new Date()) throw new Error('Performed at cannot be in the future');
+      return true;
+    }),
+  body('certificateNumber')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Certificate number must be between 1 and 100 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { performedAt, certificateNumber, notes } = req.body;
+
+  const sensor = await Sensor.findById(req.params.id);
+
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  // Reference readings are taken in the device's unit, while the correction
+  // applies to values already converted to the canonical unit on ingestion
+  const deviceUnit = sensor.deviceUnit || sensor.unit;
+  const referenceReadings = req.body.referenceReadings.map(({ reference, measured }) => ({
+    reference: toCanonical(reference, deviceUnit),
+    measured: toCanonical(measured, deviceUnit)
+  }));
+
+  const readingsError = validateReferenceReadings(referenceReadings);
+  if (readingsError) {
+    throw new AppError(readingsError, 400);
+  }
+
+  const correction = computeCorrection(referenceReadings);
+  if (correction.error) {
+    throw new AppError(correction.error, 400);
+  }
+
+  // The calibration is done, so any calibration-due alert is resolved
+  const alertChanges = resolveAlerts(sensor, 'calibration-due');
+
+  await sensor.recordCalibration({
+    date: performedAt ? new Date(performedAt) : new Date(),
+    performedBy: req.user.username,
+    referenceReadings,
+    certificateNumber,
+    notes,
+    ...correction
+  });
+
+  publishAlertChanges(sensor, alertChanges, req.app.get('io'));
+
+  logger.info(`Sensor ${sensor.name} calibrated by ${req.user.email}: gain ${correction.gain}, offset ${correction.offset}`);
+
+  res.status(201).json({
+    message: 'Calibration recorded successfully',
+    calibration: sensor.calibrationHistory[sensor.calibrationHistory.length - 1],
+    sensor
+  });
+}));
+
+// @route   GET /api/sensors/:id/calibration
+// @desc    Get sensor calibration history, newest first
+// @access  Private
+router.get('/:id/calibration', asyncHandler(async (req, res) => {
+  const sensor = await Sensor.findById(req.params.id)
+    .select('name type calibration calibrationDate nextCalibrationDate calibrationHistory maintenanceHistory');
+
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  res.json({
+    sensorId: sensor._id,
+    sensorName: sensor.name,
+    calibration: sensor.calibration,
+    calibrationDate: sensor.calibrationDate,
+    nextCalibrationDate: sensor.nextCalibrationDate,
+    calibrationHistory: [...sensor.calibrationHistory].reverse(),
+    maintenanceHistory: [...sensor.maintenanceHistory].reverse()
+  });
+}));
+
 // @route   GET /api/sensors/stats/overview
 // @desc    Get sensor statistics
 // @access  Private (admin only)
@@ -437,13 +1182,73 @@ router.get('/maintenance-required', requireAdmin, asyncHandler(async (req, res)
 }));
 
 // @route   GET /api/sensors/:id/data
-// @desc    Get sensor data points
+// @desc    Get sensor data points (newest first, cursor paginated)
 // @access  Private
 router.get('/:id/data', [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('cursor')
+    .optional()
+    .custom((value) => SensorReading.isValidCursor(value))
+    .withMessage('Invalid cursor'),
   query('limit')
     .optional()
     .isInt({ min: 1, max: 1000 })
-    .withMessage('Limit must be between 1 and 1000')
+    .withMessage('Limit must be between 1 and 1000'),
+  validateReadUnit
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const { from, to, cursor, limit = 100 } = req.query;
+
+  const sensor = await Sensor.findById(req.params.id);
+
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  checkReadUnit(sensor, req.query.unit);
+  const unit = req.query.unit || sensor.unit;
+  const convert = (value) => unit === sensor.unit ? value : fromCanonical(value, unit);
+
+  const { readings, nextCursor } = await SensorReading.getRange(sensor._id, {
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    limit: parseInt(limit),
+    cursor
+  });
+
+  res.json({
+    sensorId: sensor._id,
+    sensorName: sensor.name,
+    unit,
+    dataPoints: readings.map(({ value, rawValue, timestamp }) => ({ value: convert(value), rawValue, timestamp })),
+    pagination: {
+      limit: parseInt(limit),
+      nextCursor,
+      hasMore: nextCursor !== null
+    }
+  });
+}));
+
+// @route   GET /api/sensors/:id/battery
+// @desc    Get sensor battery history and forecast
+// @access  Private
+router.get('/:id/battery', [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -451,7 +1256,56 @@ router.get('/:id/data', [
     throw new AppError(errors.array()[0].msg, 400);
   }
 
-  const { limit = 100 } = req.query;
+  const sensor = await Sensor.findById(req.params.id);
+
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404);
+  }
+
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(Date.now() - BATTERY_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const history = await BatteryReading.getHistory(sensor._id, from);
+
+  res.json({
+    sensorId: sensor._id,
+    sensorName: sensor.name,
+    batteryLevel: sensor.batteryLevel,
+    forecast: sensor.batteryForecast,
+    history: history.map(({ timestamp, level }) => ({ timestamp, level }))
+  });
+}));
+
+// @route   GET /api/sensors/:id/series
+// @desc    Get downsampled sensor history for charts
+// @access  Private
+router.get('/:id/series', [
+  query('resolution')
+    .optional()
+    .isIn(['auto', 'raw', ...Object.keys(SensorRollup.RESOLUTIONS)])
+    .withMessage('Resolution must be one of auto, raw, 1m, 1h, 1d'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  validateReadUnit
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError(errors.array()[0].msg, 400);
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (from >= to) {
+    throw new AppError('From must be before to', 400);
+  }
 
   const sensor = await Sensor.findById(req.params.id);
 
@@ -459,15 +1313,47 @@ router.get('/:id/data', [
     throw new AppError('Sensor not found', 404);
   }
 
-  // Get recent data points
-  const dataPoints = sensor.dataPoints
-    .sort((a, b) => b.timestamp - a.timestamp)
-    .slice(0, parseInt(limit));
+  checkReadUnit(sensor, req.query.unit);
+  const unit = req.query.unit || sensor.unit;
+  const convert = (value) => unit === sensor.unit ? value : fromCanonical(value, unit);
+
+  let { resolution = 'auto' } = req.query;
+  if (resolution === 'auto') {
+    resolution = SensorRollup.resolutionFor(from, to);
+  }
+
+  let points;
+  if (resolution === 'raw') {
+    const readings = await SensorReading.find({
+      sensorId: sensor._id,
+      timestamp: { $gte: from, $lte: to }
+    })
+      .sort({ timestamp: 1 })
+      .limit(5000)
+      .lean();
+
+    points = readings.map(({ timestamp, value }) => ({ timestamp, value: convert(value) }));
+  } else {
+    const rollups = await SensorRollup.getSeries(sensor._id, resolution, from, to);
+
+    points = rollups.map(rollup => ({
+      timestamp: rollup.bucket,
+      min: convert(rollup.min),
+      max: convert(rollup.max),
+      avg: convert(rollup.avg),
+      count: rollup.count,
+      last: convert(rollup.last)
+    }));
+  }
 
   res.json({
     sensorId: sensor._id,
     sensorName: sensor.name,
-    dataPoints
+    unit,
+    resolution,
+    from,
+    to,
+    points
   });
 }));
 
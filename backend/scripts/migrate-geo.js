@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Sensor = require('../models/Sensor');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+// Fills the GeoJSON `geo` point of sensors that have valid
+// `location.coordinates` but were saved before geo queries existed, and
+// replaces the old whole-subdocument `location` index with the 2dsphere
+// index. Sensors that already have `geo` are skipped, so it can be re-run.
+async function main() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-hygiene-system');
+    logger.info('Connected to MongoDB');
+
+    const result = await Sensor.updateMany(
+      {
+        geo: { $exists: false },
+        'location.coordinates.latitude': { $type: 'number', $gte: -90, $lte: 90 },
+        'location.coordinates.longitude': { $type: 'number', $gte: -180, $lte: 180 }
+      },
+      [{
+        $set: {
+          geo: {
+            type: 'Point',
+            coordinates: ['$location.coordinates.longitude', '$location.coordinates.latitude']
+          }
+        }
+      }]
+    );
+    logger.info(`- Sensors located: ${result.modifiedCount}`);
+
+    try {
+      await Sensor.collection.dropIndex('location_1');
+      logger.info('- Dropped index location_1');
+    } catch (error) {
+      // IndexNotFound: already dropped
+      if (error.code !== 27) throw error;
+    }
+
+    await Sensor.createIndexes();
+    logger.info('Geo migration completed successfully!');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating sensor coordinates:', error);
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  logger.info('Received SIGINT, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  logger.info('Received SIGTERM, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+// Run the migration
+main();
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Sensor = require('../models/Sensor');
+const Complaint = require('../models/Complaint');
+const { matchLocation } = require('../services/locationHierarchy');
+const { locationLabel } = require('../services/locations');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+// Builds the Building -> Floor -> Room hierarchy from the free-text
+// locations of sensors and complaints. Each location is matched with
+// normalised names and floor levels, so "Floor 2" and "2nd floor" end up on
+// the same floor; missing places are created. Documents get `locationIds`
+// and canonical `location` strings. Documents already matched down to their
+// floor are skipped, so the script can be re-run after adding floors by hand.
+async function migrateModel(Model, label) {
+  const cursor = Model.find(
+    {
+      'location.building': { $nin: [null, ''] },
+      $or: [
+        { 'locationIds.building': null },
+        { 'location.floor': { $nin: [null, ''] }, 'locationIds.floor': null }
+      ]
+    },
+    { location: 1 }
+  ).lean().cursor();
+
+  let migrated = 0;
+  const unresolved = new Set();
+
+  for await (const doc of cursor) {
+    const { location, locationIds } = await matchLocation(doc.location, { create: true });
+
+    // Floors that do not read as a level (e.g. "Mezzanine") need to be created by hand
+    if (doc.location.floor && !locationIds.floor) {
+      unresolved.add(locationLabel(doc.location));
+    }
+
+    const $set = { locationIds };
+    for (const [field, value] of Object.entries(location)) {
+      if (value) $set[`location.${field}`] = value;
+    }
+
+    await Model.updateOne({ _id: doc._id }, { $set });
+    migrated += 1;
+  }
+
+  logger.info(`- ${label} migrated: ${migrated}`);
+  for (const location of unresolved) {
+    logger.warn(`  Floor not recognised, left as text: ${location}`);
+  }
+
+  return migrated;
+}
+
+async function main() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-hygiene-system');
+    logger.info('Connected to MongoDB');
+
+    await migrateModel(Sensor, 'Sensors');
+    await migrateModel(Complaint, 'Complaints');
+
+    logger.info('Location migration completed successfully!');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating locations:', error);
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  logger.info('Received SIGINT, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  logger.info('Received SIGTERM, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+// Run the migration
+main();
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+const readingKey = reading => `${reading.timestamp.getTime()}:${reading.value}`;
+
+// Moves the legacy embedded `dataPoints` arrays into the SensorReading
+// time-series collection, one sensor at a time. The array is removed from a
+// sensor only after its readings were inserted, so an interrupted run can
+// be resumed; readings the interrupted run already copied are skipped.
+async function migrateSensor(rawSensor) {
+  const dataPoints = rawSensor.dataPoints || [];
+
+  for (let i = 0; i < dataPoints.length; i += BATCH_SIZE) {
+    const batch = dataPoints.slice(i, i + BATCH_SIZE)
+      .filter(point => typeof point.value === 'number')
+      .map(point => ({
+        sensorId: rawSensor._id,
+        value: point.value,
+        timestamp: point.timestamp || rawSensor.updatedAt || new Date()
+      }));
+
+    if (batch.length === 0) continue;
+
+    const existing = await SensorReading.find({
+      sensorId: rawSensor._id,
+      timestamp: { $in: batch.map(reading => reading.timestamp) }
+    })
+      .select('timestamp value')
+      .lean();
+    const copied = new Set(existing.map(readingKey));
+    const missing = batch.filter(reading => !copied.has(readingKey(reading)));
+
+    if (missing.length > 0) {
+      await SensorReading.insertMany(missing, { ordered: false });
+    }
+  }
+
+  await Sensor.collection.updateOne(
+    { _id: rawSensor._id },
+    { $unset: { dataPoints: '' } }
+  );
+
+  return dataPoints.length;
+}
+
+async function main() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-hygiene-system');
+    logger.info('Connected to MongoDB');
+
+    // Make sure the time-series collection exists before inserting
+    await SensorReading.createCollection();
+    await SensorReading.syncIndexes();
+
+    // Read the raw documents, the dataPoints path is no longer in the schema
+    const cursor = Sensor.collection.find(
+      { dataPoints: { $exists: true } },
+      { projection: { dataPoints: 1, name: 1, updatedAt: 1 } }
+    );
+
+    let sensors = 0;
+    let readings = 0;
+
+    for await (const rawSensor of cursor) {
+      const migrated = await migrateSensor(rawSensor);
+      sensors += 1;
+      readings += migrated;
+      logger.info(`Migrated ${migrated} data points for sensor ${rawSensor.name}`);
+    }
+
+    logger.info('Reading migration completed successfully!');
+    logger.info(`- Sensors migrated: ${sensors}`);
+    logger.info(`- Readings moved: ${readings}`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating sensor readings:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  // Handle process termination
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT, closing database connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM, closing database connection...');
+    await mongoose.connection.close();
+    process.exit(0);
+  });
+
+  // Run the migration
+  main();
+}
+
+module.exports = { migrateSensor };
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const { UNITS, getTypeUnits, toCanonical, valuesToCanonical } = require('../services/units');
+const { loadSensorProfiles } = require('../services/sensorProfiles');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Sensors saved before canonical units store their values, thresholds,
+// calibration and readings in the unit the device reports in, so `?unit=`
+// reads mislabel them. This converts each such sensor to its type's canonical
+// unit and keeps the old unit as `deviceUnit`. Run it with ingestion stopped.
+//
+// A sensor is marked with `unitMigration` before its readings are converted
+// and unmarked with the rest of its fields, so a re-run never converts
+// readings twice: sensors still marked after an interrupted run are only
+// reported and need checking by hand.
+async function migrateSensor(rawSensor, canonical) {
+  const unit = rawSensor.unit;
+  const { scale, offset } = UNITS[unit];
+
+  await Sensor.collection.updateOne(
+    { _id: rawSensor._id },
+    { $set: { unitMigration: { from: unit, startedAt: new Date() } } }
+  );
+
+  // Readings keep the device value as rawValue, like readings ingested since
+  // (updating measurements of a time-series collection needs MongoDB 7.0)
+  const readings = await SensorReading.updateMany({ sensorId: rawSensor._id }, [{
+    $set: {
+      rawValue: { $ifNull: ['$rawValue', '$value'] },
+      value: { $round: [{ $add: [{ $multiply: ['$value', scale] }, offset] }, 6] }
+    }
+  }]);
+
+  const values = valuesToCanonical(unit, {
+    currentValue: rawSensor.currentValue,
+    thresholdValue: rawSensor.thresholdValue,
+    thresholds: rawSensor.thresholds
+  });
+
+  const update = {
+    unit: canonical,
+    deviceUnit: rawSensor.deviceUnit || unit
+  };
+  ['currentValue', 'thresholdValue', 'thresholds'].forEach(field => {
+    if (rawSensor[field] !== undefined && rawSensor[field] !== null) update[field] = values[field];
+  });
+  if (rawSensor.lastReading && typeof rawSensor.lastReading.value === 'number') {
+    update['lastReading.value'] = toCanonical(rawSensor.lastReading.value, unit);
+  }
+
+  // The correction now applies after conversion: scale * (gain * raw + o) + offset
+  // equals gain * (scale * raw + offset) + (scale * o + offset * (1 - gain))
+  if (rawSensor.calibration) {
+    const { gain = 1, offset: correctionOffset = 0 } = rawSensor.calibration;
+    update['calibration.offset'] = round(scale * correctionOffset + offset * (1 - gain));
+  }
+
+  await Sensor.collection.updateOne(
+    { _id: rawSensor._id },
+    // The anomaly baseline was learnt in the old unit and is rebuilt from new readings
+    { $set: update, $unset: { unitMigration: '', anomalyState: '' } }
+  );
+
+  await SensorRollup.rebuild({ sensorId: rawSensor._id });
+
+  return readings.modifiedCount;
+}
+
+async function main() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-hygiene-system');
+    logger.info('Connected to MongoDB');
+
+    // Profile-defined types need their canonical units
+    await loadSensorProfiles();
+
+    const cursor = Sensor.collection.find({}, {
+      projection: {
+        name: 1,
+        type: 1,
+        unit: 1,
+        deviceUnit: 1,
+        currentValue: 1,
+        thresholdValue: 1,
+        thresholds: 1,
+        lastReading: 1,
+        calibration: 1,
+        unitMigration: 1
+      }
+    });
+
+    let sensors = 0;
+    let readings = 0;
+    let skipped = 0;
+
+    for await (const rawSensor of cursor) {
+      if (rawSensor.unitMigration) {
+        skipped += 1;
+        logger.warn(`Sensor ${rawSensor.name} was interrupted while converting from ${rawSensor.unitMigration.from}; check its readings and unset unitMigration`);
+        continue;
+      }
+
+      const { canonical } = getTypeUnits(rawSensor.type);
+      if (!canonical || rawSensor.unit === canonical) continue;
+
+      if (!Object.hasOwn(UNITS, rawSensor.unit) || UNITS[rawSensor.unit].canonical !== canonical) {
+        skipped += 1;
+        logger.warn(`Sensor ${rawSensor.name} has unit ${rawSensor.unit}, which does not convert to ${canonical}; skipped`);
+        continue;
+      }
+
+      const converted = await migrateSensor(rawSensor, canonical);
+      sensors += 1;
+      readings += converted;
+      logger.info(`Converted sensor ${rawSensor.name} and ${converted} readings from ${rawSensor.unit} to ${canonical}`);
+    }
+
+    logger.info('Unit migration completed successfully!');
+    logger.info(`- Sensors converted: ${sensors}`);
+    logger.info(`- Readings converted: ${readings}`);
+    logger.info(`- Sensors skipped: ${skipped}`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating sensor units:', error);
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  logger.info('Received SIGINT, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  logger.info('Received SIGTERM, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+// Run the migration
+main();
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+// Optional start date: node scripts/rebuild-rollups.js --from=2024-01-01
+const fromArg = process.argv.find(arg => arg.startsWith('--from='));
+const from = fromArg ? new Date(fromArg.split('=')[1]) : undefined;
+
+async function main() {
+  try {
+    if (from && isNaN(from.getTime())) {
+      throw new Error('Invalid --from date');
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-hygiene-system');
+    logger.info('Connected to MongoDB');
+
+    // $merge needs the unique index on sensorId/resolution/bucket
+    await SensorRollup.syncIndexes();
+
+    logger.info(`Rebuilding sensor rollups${from ? ` from ${from.toISOString()}` : ''}...`);
+    await SensorRollup.rebuild({ from });
+
+    const total = await SensorRollup.countDocuments();
+    logger.info('Rollup rebuild completed successfully!');
+    logger.info(`- Rollup buckets: ${total}`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error rebuilding sensor rollups:', error);
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  logger.info('Received SIGINT, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  logger.info('Received SIGTERM, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+// Run the rebuild
+main();
@@ -7,6 +7,9 @@ const dotenv = require('dotenv');
 const http = require('http');
 const socketIo = require('socket.io');
 const logger = require('./utils/logger');
+const { startMqttBridge, stopMqttBridge } = require('./services/mqttBridge');
+const { startScheduler, stopScheduler } = require('./jobs');
+const { loadSensorProfiles } = require('./services/sensorProfiles');
 
 // Load environment variables
 dotenv.config();
@@ -16,8 +19,15 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const complaintRoutes = require('./routes/complaints');
 const sensorRoutes = require('./routes/sensors');
+const ingestionRoutes = require('./routes/ingestion');
 const feedbackRoutes = require('./routes/feedback');
 const adminRoutes = require('./routes/admin');
+const cleaningRuleRoutes = require('./routes/cleaningRules');
+const hygieneRoutes = require('./routes/hygiene');
+const locationRoutes = require('./routes/locations');
+const sensorGroupRoutes = require('./routes/sensorGroups');
+const pendingDeviceRoutes = require('./routes/pendingDevices');
+const sensorProfileRoutes = require('./routes/sensorProfiles');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
@@ -36,6 +46,12 @@ const io = socketIo(server, {
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/iot-hygiene-system')
   .then(() => {
     logger.info('Connected to MongoDB');
+    // Profile-defined sensor types must be known before sensors are validated
+    return loadSensorProfiles()
+      .catch((error) => {
+        logger.error('Failed to load sensor profiles:', error);
+        process.exit(1);
+      });
   })
   .catch((error) => {
     logger.error('MongoDB connection error:', error);
@@ -82,9 +98,17 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/complaints', authenticateToken, complaintRoutes);
+// Device ingestion authenticates with X-Device-Key instead of a user JWT
+app.use('/api/sensors', ingestionRoutes);
 app.use('/api/sensors', authenticateToken, sensorRoutes);
 app.use('/api/feedback', authenticateToken, feedbackRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
+app.use('/api/cleaning-rules', authenticateToken, cleaningRuleRoutes);
+app.use('/api/hygiene', authenticateToken, hygieneRoutes);
+app.use('/api/locations', authenticateToken, locationRoutes);
+app.use('/api/sensor-groups', authenticateToken, sensorGroupRoutes);
+app.use('/api/pending-devices', authenticateToken, pendingDeviceRoutes);
+app.use('/api/sensor-profiles', authenticateToken, sensorProfileRoutes);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -103,6 +127,14 @@ io.on('connection', (socket) => {
 // Make io available to routes
 app.set('io', io);
 
+// Start MQTT ingestion bridge (no-op unless MQTT_BROKER_URL is set)
+startMqttBridge({ io });
+
+// Start scheduled jobs (kept out of test runs)
+if (process.env.NODE_ENV !== 'test') {
+  startScheduler({ io });
+}
+
 // Error handling middleware
 app.use(errorHandler);
 
@@ -124,6 +156,8 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopMqttBridge();
+  stopScheduler();
   server.close(() => {
     logger.info('Process terminated');
     mongoose.connection.close();
@@ -132,6 +166,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopMqttBridge();
+  stopScheduler();
   server.close(() => {
     logger.info('Process terminated');
     mongoose.connection.close();
@@ -0,0 +1,179 @@
+const { classify } = require('./thresholds');
+const logger = require('../utils/logger');
+
+// Rules run on every ingested reading (and by scheduled jobs) to raise,
+// escalate and resolve sensor alerts. They only mutate the sensor; the
+// caller saves it and then publishes the returned changes.
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+// Battery levels (%) below which battery-low alerts are raised / become critical
+const BATTERY_LOW_THRESHOLD = parseInt(process.env.BATTERY_LOW_THRESHOLD) || 20;
+const BATTERY_CRITICAL_THRESHOLD = parseInt(process.env.BATTERY_CRITICAL_THRESHOLD) || 10;
+
+const emptyChanges = () => ({ raised: [], escalated: [], resolved: [] });
+
+const mergeChanges = (target, source) => {
+  target.raised.push(...source.raised);
+  target.escalated.push(...source.escalated);
+  target.resolved.push(...source.resolved);
+  return target;
+};
+
+// Map how far a reading is past its warning bound to an alert severity
+const severityForRatio = (ratio) => {
+  if (ratio >= 2) return 'critical';
+  if (ratio >= 1.5) return 'high';
+  if (ratio >= 1.25) return 'medium';
+  return 'low';
+};
+
+// Raise an alert unless one of the same type is already open, in which case
+// it is escalated when the new severity is higher. Keeps one open alert per
+// type, or per type and detector for anomaly alerts.
+const raiseAlert = (sensor, type, message, severity, { detector, score } = {}) => {
+  const changes = emptyChanges();
+  const openAlert = sensor.getOpenAlert(type, detector);
+
+  if (!openAlert) {
+    sensor.alerts.push({
+      type,
+      detector,
+      score,
+      message,
+      severity,
+      timestamp: new Date()
+    });
+    changes.raised.push(sensor.alerts[sensor.alerts.length - 1]);
+  } else if (SEVERITY_RANK[severity] > SEVERITY_RANK[openAlert.severity]) {
+    openAlert.severity = severity;
+    openAlert.message = message;
+    openAlert.score = score;
+    changes.escalated.push(openAlert);
+  }
+
+  return changes;
+};
+
+const resolveAlerts = (sensor, type, detector) => {
+  const changes = emptyChanges();
+  changes.resolved.push(...sensor.resolveAlerts(type, detector));
+  return changes;
+};
+
+const thresholdMessage = (sensor) => {
+  const reading = `${sensor.name} reading ${sensor.currentValue} ${sensor.unit}`;
+  const { direction, bound } = classify(sensor.currentValue, sensor.effectiveThresholds);
+
+  if (!direction) {
+    return `${reading} is outside its ${sensor.status} thresholds`;
+  }
+
+  return `${reading} is ${direction === 'lower' ? 'below' : 'above'} the ${sensor.status} threshold of ${bound} ${sensor.unit}`;
+};
+
+// Raise a threshold-exceeded alert when a sensor enters warning/critical,
+// escalate it while the reading gets worse, and resolve it on return to normal
+const thresholdRule = (sensor) => {
+  if (sensor.status === 'warning' || sensor.status === 'critical') {
+    return raiseAlert(sensor, 'threshold-exceeded', thresholdMessage(sensor), severityForRatio(sensor.thresholdRatio));
+  }
+
+  if (sensor.status === 'normal') {
+    return resolveAlerts(sensor, 'threshold-exceeded');
+  }
+
+  return emptyChanges();
+};
+
+// A sensor that reports again is back online
+const connectivityRule = (sensor) => {
+  if (sensor.status !== 'offline') {
+    return resolveAlerts(sensor, 'device-offline');
+  }
+
+  return emptyChanges();
+};
+
+// Raise a battery-low alert below the low threshold, escalate it below the
+// critical threshold, and resolve it once the battery has been replaced
+const batteryRule = (sensor) => {
+  if (sensor.batteryLevel === undefined || sensor.batteryLevel === null) {
+    return emptyChanges();
+  }
+
+  if (sensor.batteryLevel < BATTERY_CRITICAL_THRESHOLD) {
+    return raiseAlert(sensor, 'battery-low', `${sensor.name} battery critically low (${sensor.batteryLevel}%)`, 'critical');
+  }
+
+  if (sensor.batteryLevel < BATTERY_LOW_THRESHOLD) {
+    return raiseAlert(sensor, 'battery-low', `${sensor.name} battery low (${sensor.batteryLevel}%)`, 'medium');
+  }
+
+  return resolveAlerts(sensor, 'battery-low');
+};
+
+const readingRules = [thresholdRule, connectivityRule, batteryRule];
+
+const anomalyMessage = (sensor, finding) => {
+  const reading = `${sensor.name} reading ${finding.value} ${sensor.unit}`;
+
+  switch (finding.detector) {
+    case 'ewma':
+      return `${reading} is ${finding.score} standard deviations from its recent average of ${finding.mean} ${sensor.unit}`;
+    case 'flatline':
+      return `${sensor.name} has reported ${finding.value} ${sensor.unit} unchanged for ${finding.score} hours`;
+    default:
+      return `${reading} changed by ${finding.score} ${sensor.unit} per minute`;
+  }
+};
+
+// Raise an anomaly alert per detector that fired (see services/anomalyDetection.js)
+// and resolve the alerts of detectors that no longer do
+const applyAnomalyAlerts = (sensor, findings) =>
+  Object.entries(findings).reduce((changes, [detector, finding]) => mergeChanges(changes, finding
+    ? raiseAlert(sensor, 'anomaly', anomalyMessage(sensor, finding), severityForRatio(finding.ratio), {
+      detector,
+      score: finding.score
+    })
+    : resolveAlerts(sensor, 'anomaly', detector)
+  ), emptyChanges());
+
+// Run every reading rule against a sensor whose status was just evaluated
+const applyAlertRules = (sensor) =>
+  readingRules.reduce((changes, rule) => mergeChanges(changes, rule(sensor)), emptyChanges());
+
+// Log alert changes and broadcast them over Socket.IO (call after saving)
+const publishAlertChanges = (sensor, changes, io) => {
+  changes.raised.forEach(alert => {
+    logger.warn(`Alert raised for sensor ${sensor.name}: ${alert.message}`);
+  });
+  changes.escalated.forEach(alert => {
+    logger.warn(`Alert escalated to ${alert.severity} for sensor ${sensor.name}: ${alert.message}`);
+  });
+  changes.resolved.forEach(alert => {
+    logger.info(`Alert resolved for sensor ${sensor.name}: ${alert.type}`);
+  });
+
+  if (!io) return;
+
+  [...changes.raised, ...changes.escalated].forEach(alert => {
+    io.emit('sensor:alert', { sensor, alert });
+  });
+  changes.resolved.forEach(alert => {
+    io.emit('sensor:alert-resolved', { sensor, alert });
+  });
+};
+
+module.exports = {
+  BATTERY_LOW_THRESHOLD,
+  BATTERY_CRITICAL_THRESHOLD,
+  severityForRatio,
+  emptyChanges,
+  mergeChanges,
+  raiseAlert,
+  resolveAlerts,
+  applyAlertRules,
+  applyAnomalyAlerts,
+  publishAlertChanges
+};
@@ -0,0 +1,147 @@
+const { getTypeDefaults } = require('../config/sensorTypes');
+
+// Statistical checks run on every new reading, complementing the fixed
+// thresholds: deviation from an exponentially weighted moving average,
+// values stuck for too long (flatline) and changes that are too fast.
+// Detector settings come from the sensor type (config/sensorTypes.js); the
+// running state lives on the sensor as `anomalyState`.
+
+const STATE_FIELDS = ['mean', 'variance', 'samples', 'lastValue', 'lastTimestamp', 'flatlineSince'];
+
+const MINUTE_MS = 60 * 1000;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Each detector returns a finding ({ detector, score, ratio, ... }) or null.
+// `score` is the detector's own measure; `ratio` is score over its limit (>= 1).
+
+const ewmaDetector = (state, value, config) => {
+  const deviation = Math.sqrt(state.variance || 0);
+
+  if ((state.samples || 0) < config.minSamples || deviation === 0) {
+    return null;
+  }
+
+  const score = Math.abs(value - state.mean) / deviation;
+  if (score < config.zThreshold) {
+    return null;
+  }
+
+  return { detector: 'ewma', score: round(score), ratio: score / config.zThreshold, mean: round(state.mean) };
+};
+
+const flatlineDetector = (state, value, timestamp, config) => {
+  if (!state.flatlineSince) {
+    return null;
+  }
+
+  const duration = timestamp - state.flatlineSince;
+  if (duration < config.durationMs) {
+    return null;
+  }
+
+  // Score is the time stuck in hours
+  const score = duration / (60 * MINUTE_MS);
+  return { detector: 'flatline', score: round(score), ratio: duration / config.durationMs };
+};
+
+const rateOfChangeDetector = (state, value, timestamp, config) => {
+  if (state.lastValue === undefined || state.lastValue === null || !state.lastTimestamp) {
+    return null;
+  }
+
+  const elapsedMinutes = (timestamp - state.lastTimestamp) / MINUTE_MS;
+  if (elapsedMinutes <= 0) {
+    return null;
+  }
+
+  const change = value - state.lastValue;
+  if ((config.direction === 'rise' && change <= 0) || (config.direction === 'fall' && change >= 0)) {
+    return null;
+  }
+
+  // Score is the change per minute
+  const score = Math.abs(change) / elapsedMinutes;
+  if (score <= config.maxPerMinute) {
+    return null;
+  }
+
+  return { detector: 'rateOfChange', score: round(score), ratio: score / config.maxPerMinute };
+};
+
+// Run the enabled detectors on one reading and return the updated state
+// together with a finding (or null) for every enabled detector
+const evaluateReading = (state, { value, timestamp }, config = {}) => {
+  const findings = {};
+  const next = { ...state };
+
+  if (config.flatline) {
+    // Track when the value last changed by more than the tolerance
+    const unchanged = state.lastValue !== undefined && state.lastValue !== null &&
+      Math.abs(value - state.lastValue) <= (config.flatline.tolerance || 0);
+    next.flatlineSince = unchanged && state.flatlineSince ? state.flatlineSince : timestamp;
+  }
+
+  if (config.ewma) {
+    findings.ewma = ewmaDetector(state, value, config.ewma);
+  }
+  if (config.flatline) {
+    findings.flatline = flatlineDetector(next, value, timestamp, config.flatline);
+  }
+  if (config.rateOfChange) {
+    findings.rateOfChange = rateOfChangeDetector(state, value, timestamp, config.rateOfChange);
+  }
+
+  if (config.ewma) {
+    // Incremental EWMA mean and variance; the first reading seeds the mean
+    const { alpha } = config.ewma;
+    if (!state.samples) {
+      next.mean = value;
+      next.variance = 0;
+    } else {
+      const diff = value - state.mean;
+      const increment = alpha * diff;
+      next.mean = state.mean + increment;
+      next.variance = (1 - alpha) * ((state.variance || 0) + diff * increment);
+    }
+    next.samples = (state.samples || 0) + 1;
+  }
+
+  next.lastValue = value;
+  next.lastTimestamp = timestamp;
+
+  return { state: next, findings };
+};
+
+// Feed new readings (in timestamp order) through the sensor type's detectors,
+// updating sensor.anomalyState. Returns the strongest finding of the batch for
+// every enabled detector, or null for detectors that did not fire.
+const detectAnomalies = (sensor, readings) => {
+  const config = getTypeDefaults(sensor.type).anomaly || {};
+  const current = sensor.anomalyState || {};
+  let state = Object.fromEntries(STATE_FIELDS.map(field => [field, current[field]]));
+  const findings = {};
+
+  for (const reading of readings) {
+    const result = evaluateReading(state, reading, config);
+    state = result.state;
+
+    for (const [detector, finding] of Object.entries(result.findings)) {
+      if (finding) {
+        findings[detector] = !findings[detector] || finding.ratio > findings[detector].ratio
+          ? { ...finding, value: reading.value }
+          : findings[detector];
+      } else if (!(detector in findings)) {
+        findings[detector] = null;
+      }
+    }
+  }
+
+  sensor.anomalyState = state;
+  return findings;
+};
+
+module.exports = {
+  evaluateReading,
+  detectAnomalies
+};
@@ -0,0 +1,82 @@
+// Calibration corrections: a linear correction (value = gain * raw + offset)
+// fitted from reference readings taken during a calibration, where each
+// reference reading pairs the true value from a reference instrument with
+// the raw value the sensor reported at the same time.
+
+const MAX_REFERENCE_READINGS = 20;
+
+// Corrections outside this gain range point at a faulty sensor or a data entry error
+const MIN_GAIN = 0.5;
+const MAX_GAIN = 2;
+
+const IDENTITY = { offset: 0, gain: 1 };
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Validate reference readings ({ reference, measured }). Returns an error message or null.
+const validateReferenceReadings = (readings) => {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return 'At least one reference reading is required';
+  }
+
+  if (readings.length > MAX_REFERENCE_READINGS) {
+    return `At most ${MAX_REFERENCE_READINGS} reference readings are allowed`;
+  }
+
+  const invalid = readings.some(reading => !reading ||
+    !Number.isFinite(reading.reference) || !Number.isFinite(reading.measured));
+  if (invalid) {
+    return 'Reference readings need numeric reference and measured values';
+  }
+
+  return null;
+};
+
+// Fit the correction from reference readings. A single reading, or readings
+// at one measured value, only determine an offset; two or more distinct
+// points are fitted by least squares. Returns the correction with the RMS
+// error left after applying it, or an error message for implausible gains.
+const computeCorrection = (readings) => {
+  const meanMeasured = readings.reduce((sum, reading) => sum + reading.measured, 0) / readings.length;
+  const meanReference = readings.reduce((sum, reading) => sum + reading.reference, 0) / readings.length;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const reading of readings) {
+    covariance += (reading.measured - meanMeasured) * (reading.reference - meanReference);
+    variance += (reading.measured - meanMeasured) ** 2;
+  }
+
+  const gain = variance > 0 ? covariance / variance : 1;
+  if (gain < MIN_GAIN || gain > MAX_GAIN) {
+    return { error: `Calibration gain ${round(gain)} is outside the plausible range ${MIN_GAIN}-${MAX_GAIN}` };
+  }
+
+  const correction = { offset: round(meanReference - gain * meanMeasured), gain: round(gain) };
+  const squaredError = readings.reduce(
+    (sum, reading) => sum + (applyCorrection(reading.measured, correction) - reading.reference) ** 2,
+    0
+  );
+
+  return {
+    ...correction,
+    residualError: round(Math.sqrt(squaredError / readings.length))
+  };
+};
+
+// Apply a correction to a raw value; sensors without one are left unchanged
+const applyCorrection = (value, correction) => {
+  const { offset = 0, gain = 1 } = correction || IDENTITY;
+  return round(gain * value + offset);
+};
+
+const isIdentity = (correction) =>
+  !correction || ((correction.offset ?? 0) === 0 && (correction.gain ?? 1) === 1);
+
+module.exports = {
+  MAX_REFERENCE_READINGS,
+  validateReferenceReadings,
+  computeCorrection,
+  applyCorrection,
+  isIdentity
+};
@@ -0,0 +1,110 @@
+// Cleaning trigger engine: evaluates cleaning rules against the sensors at a
+// location, e.g. "door entries since cleaning > 150" or "odor past its
+// threshold and bin level > 80". Pure functions; jobs/cleaningTriggers.js
+// loads the data and opens the cleaning tasks.
+
+const { isSensorType } = require('../config/sensorTypes');
+
+const OPERATORS = {
+  gt: { symbol: '>', test: (a, b) => a > b },
+  gte: { symbol: '>=', test: (a, b) => a >= b },
+  lt: { symbol: '<', test: (a, b) => a < b },
+  lte: { symbol: '<=', test: (a, b) => a <= b }
+};
+
+const METRICS = {
+  value: sensor => sensor.currentValue,
+  thresholdRatio: sensor => sensor.thresholdRatio,
+  entriesSinceCleaning: sensor => sensor.usage?.entriesSinceCleaning
+};
+
+// Validate a rule's conditions from a request body. Returns an error message or null.
+const validateConditions = (conditions) => {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return 'A rule needs at least one condition';
+  }
+
+  for (const [index, condition] of conditions.entries()) {
+    if (!condition || typeof condition !== 'object') {
+      return `Condition ${index} must be an object`;
+    }
+    if (!isSensorType(condition.sensorType)) {
+      return `Condition ${index}: invalid sensor type`;
+    }
+    if (condition.metric !== undefined && !METRICS[condition.metric]) {
+      return `Condition ${index}: metric must be one of ${Object.keys(METRICS).join(', ')}`;
+    }
+    if (!OPERATORS[condition.operator]) {
+      return `Condition ${index}: operator must be one of ${Object.keys(OPERATORS).join(', ')}`;
+    }
+    if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+      return `Condition ${index}: value must be a number`;
+    }
+    if (condition.metric === 'entriesSinceCleaning' && condition.sensorType !== 'door-tracking') {
+      return `Condition ${index}: entriesSinceCleaning only applies to door-tracking sensors`;
+    }
+  }
+
+  return null;
+};
+
+// Sensors that satisfy a condition
+const matchCondition = (condition, sensors) => {
+  const metric = METRICS[condition.metric || 'value'];
+  const operator = OPERATORS[condition.operator];
+
+  return sensors.filter(sensor => {
+    if (sensor.type !== condition.sensorType) return false;
+    const actual = metric(sensor);
+    return typeof actual === 'number' && operator.test(actual, condition.value);
+  });
+};
+
+const describeMatch = (condition, sensor) => {
+  const metric = condition.metric || 'value';
+  const actual = METRICS[metric](sensor);
+  const shown = metric === 'value' ? `${actual}${sensor.unit || ''}` : `${metric} ${Math.round(actual * 100) / 100}`;
+
+  return `${sensor.name}: ${shown} (${OPERATORS[condition.operator].symbol} ${condition.value})`;
+};
+
+// Evaluate a rule against the sensors at one location. Returns null when it
+// does not match, otherwise the matching sensors and one reason per match.
+const evaluateRule = (rule, sensors) => {
+  const results = rule.conditions.map(condition => ({ condition, sensors: matchCondition(condition, sensors) }));
+  const held = results.filter(result => result.sensors.length > 0);
+
+  const matched = rule.match === 'any' ? held.length > 0 : held.length === results.length;
+  if (!matched) {
+    return null;
+  }
+
+  return {
+    sensors: [...new Set(held.flatMap(result => result.sensors))],
+    reasons: held.flatMap(result => result.sensors.map(sensor => describeMatch(result.condition, sensor)))
+  };
+};
+
+// Whether a location falls within a rule's building/floor scope
+const inScope = (rule, location) => {
+  const scope = rule.scope || {};
+  return (!scope.building || scope.building === location.building) &&
+    (!scope.floor || scope.floor === location.floor);
+};
+
+// Locations (`{ location, items }` from groupByLocation) where a rule
+// currently matches, with the match
+const findMatches = (rule, locations) => locations
+  .filter(({ location }) => inScope(rule, location))
+  .map(({ location, items }) => ({ location, match: evaluateRule(rule, items) }))
+  .filter(({ match }) => match);
+
+module.exports = {
+  OPERATORS,
+  METRICS,
+  validateConditions,
+  matchCondition,
+  evaluateRule,
+  inScope,
+  findMatches
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+// Floor plans: one PNG or SVG image per floor, stored on disk, with sensors
+// placed as points and rooms/areas as rectangles on it. Placements are
+// fractions (0-1) of the plan's width and height so they survive replacing
+// the image with one of another resolution.
+
+const FLOOR_PLAN_DIR = process.env.FLOOR_PLAN_DIR || path.join('uploads', 'floor-plans');
+const FLOOR_PLAN_MAX_BYTES = (parseInt(process.env.FLOOR_PLAN_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+const PLAN_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Size of an SVG from its viewBox, or its width/height attributes when they
+// are plain or pixel lengths
+const svgSize = (svg) => {
+  const viewBox = svg.match(/\sviewBox\s*=\s*["']([^"']+)["']/);
+  if (viewBox) {
+    const [, , width, height] = viewBox[1].trim().split(/[\s,]+/).map(Number);
+    if (width > 0 && height > 0) return { width, height };
+  }
+
+  const attribute = name => {
+    const match = svg.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)\\s*(?:px)?\\s*["']`));
+    return match ? parseFloat(match[1]) : undefined;
+  };
+
+  return { width: attribute('width'), height: attribute('height') };
+};
+
+// Identify an uploaded plan from its content rather than the client's
+// mimetype. Returns { type, contentType, width, height } (sizes may be
+// missing for SVGs that do not state them) or null for anything else.
+const inspectPlan = (buffer) => {
+  if (buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return {
+      type: 'png',
+      contentType: PLAN_TYPES.png,
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20)
+    };
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const root = text.match(/^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg\b[^>]*>/i);
+  if (root) {
+    return { type: 'svg', contentType: PLAN_TYPES.svg, ...svgSize(root[0]) };
+  }
+
+  return null;
+};
+
+// Check a placement; rooms and areas also need a size. Returns an error message or null.
+const validatePlacement = (placement, { withSize = false } = {}) => {
+  const fields = withSize ? ['x', 'y', 'width', 'height'] : ['x', 'y'];
+
+  for (const field of fields) {
+    const value = placement[field];
+    if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+      return `Placement ${field} must be a number between 0 and 1`;
+    }
+  }
+
+  if (withSize && (placement.x + placement.width > 1 || placement.y + placement.height > 1)) {
+    return 'Placement must lie within the floor plan';
+  }
+
+  return null;
+};
+
+const roomCentre = ({ x, y, width, height }) => ({ x: x + width / 2, y: y + height / 2 });
+
+// Pin open complaints to the centre of their room or area on the plan. One
+// pin per placed room; complaints without a placed room share a pin with no
+// position (shown beside the plan).
+const pinComplaints = (complaints, rooms) => {
+  const placedRooms = new Map(rooms
+    .filter(room => room.placement?.width)
+    .map(room => [room._id.toString(), room]));
+  const pins = new Map();
+
+  for (const complaint of complaints) {
+    const room = placedRooms.get(complaint.locationIds?.room?.toString());
+    const key = room ? room._id.toString() : null;
+
+    if (!pins.has(key)) {
+      pins.set(key, { roomId: room?._id || null, position: room ? roomCentre(room.placement) : null, complaints: [] });
+    }
+    pins.get(key).complaints.push(complaint);
+  }
+
+  return [...pins.values()];
+};
+
+// Fields of a floor needed to show its plan; the stored file name stays private
+const layoutFloor = (floor) => {
+  const plan = floor.plan?.filename ? floor.plan : null;
+
+  return {
+    id: floor._id,
+    name: floor.name,
+    level: floor.level,
+    building: floor.building,
+    plan: plan && {
+      contentType: plan.contentType,
+      size: plan.size,
+      width: plan.width,
+      height: plan.height,
+      uploadedAt: plan.uploadedAt
+    }
+  };
+};
+
+// Fields of a sensor needed to draw it on a plan
+const layoutSensor = (sensor) => ({
+  id: sensor._id,
+  name: sensor.name,
+  type: sensor.type,
+  status: sensor.status,
+  currentValue: sensor.currentValue,
+  thresholdValue: sensor.thresholdValue,
+  thresholdRatio: sensor.thresholdRatio,
+  unit: sensor.unit,
+  lastReading: sensor.lastReading,
+  location: sensor.location,
+  roomId: sensor.locationIds?.room || null,
+  placement: sensor.placement?.x !== undefined ? sensor.placement : null
+});
+
+const planPath = filename => path.join(FLOOR_PLAN_DIR, path.basename(filename));
+
+// Write a plan image for a floor and return its file name; each upload gets
+// a new name so cached images are never stale
+async function storePlanFile(floorId, buffer, type) {
+  await fs.promises.mkdir(FLOOR_PLAN_DIR, { recursive: true });
+
+  const filename = `${floorId}-${Date.now()}.${type}`;
+  await fs.promises.writeFile(planPath(filename), buffer);
+  return filename;
+}
+
+async function removePlanFile(filename) {
+  if (!filename) return;
+
+  try {
+    await fs.promises.unlink(planPath(filename));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  FLOOR_PLAN_DIR,
+  FLOOR_PLAN_MAX_BYTES,
+  inspectPlan,
+  validatePlacement,
+  pinComplaints,
+  layoutFloor,
+  layoutSensor,
+  planPath,
+  storePlanFile,
+  removePlanFile
+};
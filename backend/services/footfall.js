@@ -0,0 +1,70 @@
+// Footfall analytics for door-tracking sensors: entries per hour/day and
+// usage-based cleaning recommendations ("clean after every N entries").
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const FOOTFALL_INTERVALS = {
+  hour: HOUR_MS,
+  day: DAY_MS
+};
+
+// Days of door events used by default for footfall analytics
+const FOOTFALL_WINDOW_DAYS = parseInt(process.env.FOOTFALL_WINDOW_DAYS) || 7;
+
+// Merge `{ timestamp, entries }` buckets from several sensors into one series,
+// oldest first
+const mergeBuckets = (buckets) => {
+  const merged = new Map();
+  for (const { timestamp, entries } of buckets) {
+    const key = new Date(timestamp).getTime();
+    merged.set(key, (merged.get(key) || 0) + entries);
+  }
+
+  return [...merged]
+    .sort(([a], [b]) => a - b)
+    .map(([key, entries]) => ({ timestamp: new Date(key), entries }));
+};
+
+// Totals of a footfall series over [from, to]: entries, average per day and
+// the busiest bucket
+const summariseFootfall = (series, from, to) => {
+  const totalEntries = series.reduce((total, bucket) => total + bucket.entries, 0);
+  const days = Math.max((new Date(to) - new Date(from)) / DAY_MS, 1 / 24);
+  const peak = series.reduce((busiest, bucket) => !busiest || bucket.entries > busiest.entries ? bucket : busiest, null);
+
+  return {
+    totalEntries,
+    entriesPerDay: Math.round((totalEntries / days) * 10) / 10,
+    peak: peak && peak.entries > 0 ? peak : null
+  };
+};
+
+// Cleaning recommendation from usage: how many entries are left before the
+// next cleaning and, at the observed rate, how often the area needs cleaning.
+// Returns null when no cleaning interval is configured.
+const recommendCleaning = ({ cleanAfterEntries, entriesSinceCleaning = 0, entriesPerDay = 0 }) => {
+  if (!(cleanAfterEntries > 0)) {
+    return null;
+  }
+
+  const entriesUntilCleaning = Math.max(cleanAfterEntries - entriesSinceCleaning, 0);
+  const cleaningsPerDay = entriesPerDay / cleanAfterEntries;
+
+  return {
+    cleanAfterEntries,
+    entriesSinceCleaning,
+    entriesUntilCleaning,
+    cleaningDue: entriesUntilCleaning === 0,
+    cleaningsPerDay: Math.round(cleaningsPerDay * 10) / 10,
+    intervalHours: cleaningsPerDay > 0 ? Math.round((24 / cleaningsPerDay) * 10) / 10 : null
+  };
+};
+
+module.exports = {
+  FOOTFALL_INTERVALS,
+  FOOTFALL_WINDOW_DAYS,
+  mergeBuckets,
+  summariseFootfall,
+  recommendCleaning
+};
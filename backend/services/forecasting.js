@@ -0,0 +1,174 @@
+// Linear forecasts from sensor history: bin fill levels (when a bin reaches
+// its threshold and when it is full) and battery drain (remaining life).
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours of history used to fit the fill rate
+const FORECAST_WINDOW_HOURS = parseFloat(process.env.FILL_FORECAST_WINDOW_HOURS) || 24;
+
+// Bins predicted to reach their threshold within this many hours get an early warning
+const FORECAST_HORIZON_HOURS = parseFloat(process.env.FILL_FORECAST_HORIZON_HOURS) || 2;
+
+// Days of battery history used to fit the discharge rate
+const BATTERY_HISTORY_DAYS = parseInt(process.env.BATTERY_HISTORY_DAYS) || 90;
+
+// A drop larger than this (in %) between readings means the bin was emptied
+const EMPTY_DROP = 10;
+const MIN_POINTS = 3;
+const MIN_SPAN_MS = 15 * 60 * 1000;
+
+// A rise larger than this (in %) means the battery was replaced or recharged
+const BATTERY_SWAP_RISE = 10;
+const BATTERY_MIN_SPAN_MS = 24 * HOUR_MS;
+
+// Least-squares slope of `{ value, timestamp }` readings, per `unitMs`.
+// Returns null for fewer than minPoints readings or a span below minSpanMs.
+const fitTrend = (readings, { unitMs, minPoints, minSpanMs }) => {
+  if (readings.length < minPoints) {
+    return null;
+  }
+
+  const origin = new Date(readings[0].timestamp).getTime();
+  const span = new Date(readings[readings.length - 1].timestamp).getTime() - origin;
+  if (span < minSpanMs) {
+    return null;
+  }
+
+  const points = readings.map(reading => ({
+    x: (new Date(reading.timestamp).getTime() - origin) / unitMs,
+    y: reading.value
+  }));
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+
+  let covariance = 0;
+  let varianceX = 0;
+  for (const point of points) {
+    covariance += (point.x - meanX) * (point.y - meanY);
+    varianceX += (point.x - meanX) ** 2;
+  }
+
+  return covariance / varianceX;
+};
+
+// Readings after the last jump between consecutive readings (jump > 0 for a
+// rise, < 0 for a drop), e.g. since a bin was emptied or a battery swapped
+const sinceLastJump = (readings, jump) => {
+  let start = 0;
+  for (let index = 1; index < readings.length; index++) {
+    const change = readings[index].value - readings[index - 1].value;
+    if (jump > 0 ? change > jump : change < jump) {
+      start = index;
+    }
+  }
+
+  return readings.slice(start);
+};
+
+// Least-squares fill rate (% per hour) over the readings since the bin was
+// last emptied. Returns null when there is too little history to fit.
+const fitFillRate = (readings, { emptyDrop = EMPTY_DROP, minPoints = MIN_POINTS, minSpanMs = MIN_SPAN_MS } = {}) => {
+  const segment = sinceLastJump(readings, -emptyDrop);
+  const ratePerHour = fitTrend(segment, { unitMs: HOUR_MS, minPoints, minSpanMs });
+
+  if (ratePerHour === null) {
+    return null;
+  }
+
+  return {
+    ratePerHour,
+    samples: segment.length,
+    since: segment[0].timestamp
+  };
+};
+
+// When a bin at `value` (read at `from`) reaches `target` at `ratePerHour`.
+// Returns `from` if it is already there, or null if it is not filling up.
+const predictTimeToLevel = (value, from, ratePerHour, target) => {
+  if (value >= target) {
+    return new Date(from);
+  }
+
+  if (!(ratePerHour > 0)) {
+    return null;
+  }
+
+  return new Date(new Date(from).getTime() + ((target - value) / ratePerHour) * HOUR_MS);
+};
+
+// Forecast for a bin from its readings (oldest first), current value and
+// fill threshold. Returns null when no fill rate can be fitted.
+const forecastBin = ({ readings, value, timestamp, threshold, capacity = 100 }) => {
+  const fit = fitFillRate(readings);
+
+  if (!fit) {
+    return null;
+  }
+
+  return {
+    fillRatePerHour: Math.round(fit.ratePerHour * 100) / 100,
+    thresholdAt: predictTimeToLevel(value, timestamp, fit.ratePerHour, threshold),
+    fullAt: predictTimeToLevel(value, timestamp, fit.ratePerHour, capacity),
+    samples: fit.samples,
+    computedAt: new Date()
+  };
+};
+
+// Battery discharge (% per day, positive while draining) over the history
+// since the battery was last replaced. `history` holds `{ level, timestamp }`
+// points, oldest first. Returns null when there is too little history to fit.
+const fitDischargeRate = (history) => {
+  const readings = history.map(({ level, timestamp }) => ({ value: level, timestamp }));
+  const segment = sinceLastJump(readings, BATTERY_SWAP_RISE);
+  const slope = fitTrend(segment, { unitMs: DAY_MS, minPoints: 2, minSpanMs: BATTERY_MIN_SPAN_MS });
+
+  if (slope === null) {
+    return null;
+  }
+
+  return {
+    drainPerDay: -slope,
+    samples: segment.length,
+    since: segment[0].timestamp
+  };
+};
+
+// Battery life forecast from the level history plus the current level.
+// `replaceAt` is the level at which the battery should be swapped.
+const forecastBattery = ({ history, level, timestamp, replaceAt }) => {
+  const fit = fitDischargeRate([...history, { level, timestamp }]);
+
+  if (!fit) {
+    return null;
+  }
+
+  const draining = fit.drainPerDay > 0;
+  const daysUntil = (target) => {
+    if (level <= target) return 0;
+    return draining ? (level - target) / fit.drainPerDay : null;
+  };
+  const dateIn = (days) => days === null ? null : new Date(new Date(timestamp).getTime() + days * DAY_MS);
+
+  const remainingDays = daysUntil(0);
+
+  return {
+    drainPerDay: Math.round(fit.drainPerDay * 100) / 100,
+    remainingDays: remainingDays === null ? null : Math.round(remainingDays * 10) / 10,
+    depletedAt: dateIn(remainingDays),
+    replaceBy: dateIn(daysUntil(replaceAt)),
+    samples: fit.samples,
+    computedAt: new Date()
+  };
+};
+
+module.exports = {
+  FORECAST_WINDOW_HOURS,
+  FORECAST_HORIZON_HOURS,
+  BATTERY_HISTORY_DAYS,
+  fitFillRate,
+  predictTimeToLevel,
+  forecastBin,
+  fitDischargeRate,
+  forecastBattery
+};
@@ -0,0 +1,79 @@
+// Geospatial helpers. Sensors keep `location.coordinates` ({ latitude,
+// longitude }) as entered and a GeoJSON point in `geo` for the 2dsphere index.
+// GeoJSON orders positions longitude first.
+
+// Default and largest radius (metres) of /api/sensors/near
+const NEAR_DEFAULT_RADIUS_M = parseInt(process.env.GEO_NEAR_DEFAULT_RADIUS_M) || 500;
+const NEAR_MAX_RADIUS_M = parseInt(process.env.GEO_NEAR_MAX_RADIUS_M) || 50000;
+
+const isLatitude = value => typeof value === 'number' && value >= -90 && value <= 90;
+const isLongitude = value => typeof value === 'number' && value >= -180 && value <= 180;
+
+// GeoJSON point for `location.coordinates`, or undefined unless both
+// latitude and longitude are valid
+const toGeoPoint = (coordinates) => {
+  if (!coordinates || !isLatitude(coordinates.latitude) || !isLongitude(coordinates.longitude)) {
+    return undefined;
+  }
+
+  return { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] };
+};
+
+// Parse a `west,south,east,north` bounding box (GeoJSON bbox order) into a
+// polygon for $geoWithin. Returns { polygon } or { error }.
+const parseBbox = (bbox) => {
+  const values = String(bbox).split(',').map(value => value.trim() === '' ? NaN : Number(value));
+  if (values.length !== 4 || values.some(isNaN)) {
+    return { error: 'Bounding box must be west,south,east,north' };
+  }
+
+  const [west, south, east, north] = values;
+  if (!isLongitude(west) || !isLongitude(east) || !isLatitude(south) || !isLatitude(north)) {
+    return { error: 'Bounding box is outside valid longitudes and latitudes' };
+  }
+  if (west >= east || south >= north) {
+    return { error: 'Bounding box west/south must be less than east/north' };
+  }
+
+  return {
+    polygon: {
+      type: 'Polygon',
+      coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+    }
+  };
+};
+
+// GeoJSON feature of a sensor with its status, for GIS tools
+const toFeature = (sensor) => ({
+  type: 'Feature',
+  id: sensor._id.toString(),
+  geometry: sensor.geo,
+  properties: {
+    name: sensor.name,
+    type: sensor.type,
+    deviceId: sensor.deviceId,
+    status: sensor.status,
+    currentValue: sensor.currentValue,
+    thresholdValue: sensor.thresholdValue,
+    unit: sensor.unit,
+    building: sensor.location?.building || null,
+    floor: sensor.location?.floor || null,
+    room: sensor.location?.room || null,
+    area: sensor.location?.area || null,
+    lastReadingAt: sensor.lastReading?.timestamp || null
+  }
+});
+
+const toFeatureCollection = sensors => ({
+  type: 'FeatureCollection',
+  features: sensors.filter(sensor => sensor.geo).map(toFeature)
+});
+
+module.exports = {
+  NEAR_DEFAULT_RADIUS_M,
+  NEAR_MAX_RADIUS_M,
+  toGeoPoint,
+  parseBbox,
+  toFeature,
+  toFeatureCollection
+};
@@ -0,0 +1,136 @@
+const Sensor = require('../models/Sensor');
+const Complaint = require('../models/Complaint');
+const { getSensorTypes } = require('../config/sensorTypes');
+const { profileSetting } = require('./sensorProfiles');
+const { groupByLocation } = require('./locations');
+
+// Composite hygiene index per location (0-100, higher is cleaner). Each
+// sensor type with a `hygieneWeight` (config/sensorTypes.js, or the sensors'
+// profiles) and the open complaints contribute a component score; components
+// without data at a location are left out and the remaining weights rescaled.
+
+const COMPLAINT_WEIGHT = 0.15;
+
+// Points lost per open complaint, and per open high-priority complaint
+const COMPLAINT_PENALTY = 20;
+const URGENT_COMPLAINT_PENALTY = 35;
+
+// Index levels from which a location is rated good / fair (below: poor)
+const GOOD_SCORE = 80;
+const FAIR_SCORE = 60;
+
+const clamp = (value) => Math.min(100, Math.max(0, value));
+const round = (value) => Math.round(value * 10) / 10;
+
+// Score of a gauge sensor: 100 down to 70 as it approaches its upper warning
+// bound, then down to 0 once it is 50% past the breached bound
+const gaugeScore = (sensor) => {
+  if (sensor.thresholdRatio >= 1) {
+    return clamp(70 - (sensor.thresholdRatio - 1) * 140);
+  }
+
+  const upperWarning = sensor.effectiveThresholds?.upperWarning;
+  const closeness = upperWarning > 0 ? Math.min(Math.max(sensor.currentValue / upperWarning, 0), 1) : 0;
+
+  return 100 - 30 * closeness;
+};
+
+// Score of a door-tracking sensor from usage since the last cleaning: 30 once
+// cleaning is due, 0 at 1.4 times the cleaning interval
+const usageScore = (sensor) => {
+  const cleanAfter = sensor.effectiveCleanAfterEntries;
+  if (!cleanAfter) return null;
+
+  return clamp(100 - ((sensor.usage?.entriesSinceCleaning || 0) / cleanAfter) * 70);
+};
+
+const sensorScore = (sensor) => sensor.type === 'door-tracking' ? usageScore(sensor) : gaugeScore(sensor);
+
+const complaintScore = (complaints) => clamp(100 - complaints.reduce(
+  (penalty, complaint) => penalty + (complaint.priority === 'high' || complaint.isUrgent ? URGENT_COMPLAINT_PENALTY : COMPLAINT_PENALTY),
+  0
+));
+
+const gradeFor = (score) => {
+  if (score >= GOOD_SCORE) return 'good';
+  if (score >= FAIR_SCORE) return 'fair';
+  return 'poor';
+};
+
+// Hygiene score of one location from its sensors and open complaints. The
+// worst sensor of a type sets that component, which takes the largest weight
+// of the type's sensors. Returns null without any data.
+const scoreLocation = (sensors, complaints = []) => {
+  const components = [];
+
+  for (const type of getSensorTypes()) {
+    const typeSensors = sensors.filter(sensor => sensor.type === type);
+    const weight = Math.max(0, ...typeSensors.map(sensor => profileSetting(sensor, 'hygieneWeight') || 0));
+    if (!weight) continue;
+
+    const scores = typeSensors
+      .map(sensorScore)
+      .filter(score => typeof score === 'number' && !isNaN(score));
+    if (scores.length > 0) {
+      components.push({ component: type, score: round(Math.min(...scores)), weight });
+    }
+  }
+
+  if (components.length === 0 && complaints.length === 0) {
+    return null;
+  }
+
+  components.push({ component: 'complaints', score: complaintScore(complaints), weight: COMPLAINT_WEIGHT });
+
+  const totalWeight = components.reduce((total, component) => total + component.weight, 0);
+  const score = round(components.reduce((total, component) => total + component.score * component.weight, 0) / totalWeight);
+
+  return {
+    score,
+    grade: gradeFor(score),
+    components
+  };
+};
+
+// Current hygiene index of every location with active, online sensors or
+// open complaints, optionally limited to a building/floor. Worst first.
+const computeHygieneIndex = async ({ building, floor } = {}) => {
+  const filter = {};
+  if (building) filter['location.building'] = building;
+  if (floor) filter['location.floor'] = floor;
+
+  const sensors = await Sensor.find({ ...filter, isActive: true, status: { $ne: 'offline' } });
+  const complaints = await Complaint.find({ ...filter, status: { $in: ['pending', 'in-progress'] } })
+    .select('priority isUrgent location')
+    .lean();
+
+  // Locations that only have complaints are scored on those alone
+  return groupByLocation([...sensors, ...complaints])
+    .map(({ location, items }) => {
+      const result = scoreLocation(
+        items.filter(item => item instanceof Sensor),
+        items.filter(item => !(item instanceof Sensor))
+      );
+      return result && { ...location, ...result };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score);
+};
+
+// Mean score over locations, or null without any
+const averageScore = (locations) => locations.length > 0
+  ? round(locations.reduce((total, location) => total + location.score, 0) / locations.length)
+  : null;
+
+module.exports = {
+  COMPLAINT_WEIGHT,
+  GOOD_SCORE,
+  FAIR_SCORE,
+  gaugeScore,
+  usageScore,
+  complaintScore,
+  gradeFor,
+  scoreLocation,
+  averageScore,
+  computeHygieneIndex
+};
@@ -0,0 +1,362 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const BatteryReading = require('../models/BatteryReading');
+const DoorEvent = require('../models/DoorEvent');
+const { mergeChanges, applyAlertRules, applyAnomalyAlerts, publishAlertChanges } = require('./alertRules');
+const { detectAnomalies } = require('./anomalyDetection');
+const { applyCorrection, isIdentity } = require('./calibration');
+const { UNITS, toCanonical } = require('./units');
+const logger = require('../utils/logger');
+
+// How far ahead of the server clock a device timestamp may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Parse a device-supplied timestamp (ISO 8601 string or epoch milliseconds).
+// Returns a Date, or null when missing/invalid.
+const parseTimestamp = (timestamp) => {
+  if (timestamp === undefined || timestamp === null) return null;
+
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Message IDs remembered per sensor for duplicate detection
+const MESSAGE_ID_WINDOW = 100;
+
+// Claim attempts before giving up on a sensor under concurrent deliveries
+const MAX_CLAIM_ATTEMPTS = 3;
+
+const DOOR_EVENT_TYPES = ['open', 'close', 'count'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const isInFuture = (date) => date.getTime() > Date.now() + MAX_CLOCK_SKEW_MS;
+
+// Validate a reading payload from transports that do not go through
+// express-validator (e.g. MQTT, batch uploads). Returns an error message or null.
+const validateReading = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return 'Payload must be an object';
+  }
+
+  if (typeof payload.value !== 'number' || !Number.isFinite(payload.value)) {
+    return 'Value must be a number';
+  }
+
+  for (const field of ['batteryLevel', 'signalStrength']) {
+    const level = payload[field];
+    if (level !== undefined && (!Number.isInteger(level) || level < 0 || level > 100)) {
+      return `${field} must be an integer between 0 and 100`;
+    }
+  }
+
+  if (payload.sequence !== undefined && (!Number.isInteger(payload.sequence) || payload.sequence < 0)) {
+    return 'Sequence must be a non-negative integer';
+  }
+
+  if (payload.messageId !== undefined &&
+      (typeof payload.messageId !== 'string' || payload.messageId.length < 1 || payload.messageId.length > 128)) {
+    return 'Message ID must be a string of 1 to 128 characters';
+  }
+
+  if (payload.timestamp !== undefined) {
+    const timestamp = parseTimestamp(payload.timestamp);
+    if (!timestamp) {
+      return 'Timestamp must be an ISO 8601 date or epoch milliseconds';
+    }
+    if (isInFuture(timestamp)) {
+      return 'Timestamp cannot be in the future';
+    }
+  }
+
+  return null;
+};
+
+// Validate a door event payload ({ type, count, timestamp, sequence, messageId }).
+// Returns an error message or null.
+const validateDoorEvent = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return 'Event must be an object';
+  }
+
+  if (!DOOR_EVENT_TYPES.includes(payload.type)) {
+    return `Event type must be one of ${DOOR_EVENT_TYPES.join(', ')}`;
+  }
+
+  if (payload.type === 'count' && (!Number.isInteger(payload.count) || payload.count < 0)) {
+    return 'Count events need a non-negative integer count';
+  }
+
+  // Reuse the reading checks for the delivery and timestamp fields
+  return validateReading({ ...payload, value: 0 });
+};
+
+// Decide which readings are new, given the sensor's delivery state: a
+// reading is a duplicate when its sequence is not above the last accepted
+// one, or its message ID was already seen
+const selectNewReadings = (readings, state) => {
+  const seenIds = new Set(state.recentMessageIds || []);
+  let lastSequence = state.lastSequence;
+  const newIds = [];
+
+  const accepted = readings.map(reading => {
+    if (reading.sequence !== undefined && lastSequence !== undefined && lastSequence !== null &&
+        reading.sequence <= lastSequence) {
+      return false;
+    }
+    if (reading.messageId !== undefined && seenIds.has(reading.messageId)) {
+      return false;
+    }
+
+    if (reading.sequence !== undefined) lastSequence = reading.sequence;
+    if (reading.messageId !== undefined) {
+      seenIds.add(reading.messageId);
+      newIds.push(reading.messageId);
+    }
+    return true;
+  });
+
+  return { accepted, lastSequence, newIds };
+};
+
+// Atomically record the sequence numbers and message IDs of new readings.
+// The update only matches if the delivery state is unchanged since it was
+// read, so two concurrent retries of the same message cannot both be stored.
+const claimReadings = async (sensor, readings) => {
+  const tracked = readings.some(reading => reading.sequence !== undefined || reading.messageId !== undefined);
+  let state = {
+    lastSequence: sensor.ingestion?.lastSequence,
+    recentMessageIds: [...(sensor.ingestion?.recentMessageIds || [])]
+  };
+
+  if (!tracked) {
+    return { accepted: readings.map(() => true), lastSequence: state.lastSequence };
+  }
+
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const { accepted, lastSequence, newIds } = selectNewReadings(readings, state);
+
+    if (!accepted.includes(true)) {
+      return { accepted, lastSequence: state.lastSequence };
+    }
+
+    const update = {};
+    if (lastSequence !== state.lastSequence) {
+      update.$set = { 'ingestion.lastSequence': lastSequence };
+    }
+    if (newIds.length > 0) {
+      update.$push = { 'ingestion.recentMessageIds': { $each: newIds, $slice: -MESSAGE_ID_WINDOW } };
+    }
+
+    const result = await Sensor.updateOne({
+      _id: sensor._id,
+      'ingestion.lastSequence': state.lastSequence ?? null,
+      'ingestion.recentMessageIds': { $nin: newIds }
+    }, update);
+
+    if (result.matchedCount === 1) {
+      return { accepted, lastSequence };
+    }
+
+    // Another delivery got in first: reload the state and try again
+    const fresh = await Sensor.findById(sensor._id).select('ingestion').lean();
+    state = (fresh && fresh.ingestion) || {};
+  }
+
+  throw new Error(`Could not claim readings for sensor ${sensor.name}: too many concurrent deliveries`);
+};
+
+// Apply one or more readings from the same sensor and broadcast the result.
+// Values are converted to the sensor's canonical unit and corrected by its
+// calibration (raw device values are kept).
+// Readings are processed in timestamp order using the device's timestamps;
+// only readings newer than the sensor's last reading move its current value.
+// Status evaluation and alert rules run once, on the latest reading.
+// Shared by every transport so HTTP, MQTT and batch uploads behave identically.
+// Resolves with `accepted` (one flag per input reading, false for duplicates)
+// and the sensor's last accepted sequence number.
+const ingestReadings = async (sensor, readings, { io, source = 'http', derived = false } = {}) => {
+  const receivedAt = new Date();
+
+  // Convert from the device's unit and apply the sensor's calibration
+  // correction, keeping the device's raw value
+  // (derived readings are computed server-side and already canonical)
+  const deviceUnit = !derived && sensor.deviceUnit && sensor.deviceUnit !== sensor.unit && UNITS[sensor.deviceUnit]
+    ? sensor.deviceUnit
+    : null;
+  const correction = derived || isIdentity(sensor.calibration) ? null : sensor.calibration;
+  const calibrate = (raw) => {
+    let value = deviceUnit ? toCanonical(raw, deviceUnit) : raw;
+    if (correction) value = applyCorrection(value, correction);
+    return value === raw ? { value } : { value, rawValue: raw };
+  };
+
+  // Rollups and status checks do arithmetic on the value, so make sure it is
+  // a number whichever transport delivered it
+  const sorted = readings
+    .map((reading, index) => ({
+      ...reading,
+      ...calibrate(Number(reading.value)),
+      index,
+      timestamp: parseTimestamp(reading.timestamp) || receivedAt
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  // Drop readings the device already delivered (retries and replays)
+  const claim = await claimReadings(sensor, sorted);
+  const accepted = new Array(readings.length);
+  sorted.forEach((reading, position) => {
+    accepted[reading.index] = claim.accepted[position];
+  });
+  const result = { sensor, accepted, lastSequence: claim.lastSequence };
+
+  const duplicates = accepted.filter(isAccepted => !isAccepted).length;
+  if (duplicates > 0) {
+    logger.info(`Ignored ${duplicates} duplicate reading(s) for sensor ${sensor.name} via ${source}`);
+  }
+
+  const ordered = sorted.filter((reading, position) => claim.accepted[position]);
+
+  if (ordered.length === 0) {
+    return result;
+  }
+
+  const lastTimestamp = sensor.lastReading && sensor.lastReading.value !== undefined
+    ? sensor.lastReading.timestamp
+    : null;
+  const fresh = ordered.filter(reading => !lastTimestamp || reading.timestamp >= lastTimestamp);
+
+  const wasOffline = sensor.status === 'offline';
+  let alertChanges = { raised: [], escalated: [], resolved: [] };
+  const batteryHistory = [];
+
+  if (fresh.length > 0) {
+    // Update battery and signal strength from the newest readings that carry
+    // them, recording battery history whenever the level changes
+    for (const reading of fresh) {
+      if (reading.batteryLevel !== undefined && reading.batteryLevel !== sensor.batteryLevel) {
+        batteryHistory.push({ sensorId: sensor._id, level: reading.batteryLevel, timestamp: reading.timestamp });
+        sensor.batteryLevel = reading.batteryLevel;
+      }
+      if (reading.signalStrength !== undefined) sensor.signalStrength = reading.signalStrength;
+    }
+
+    const latest = fresh[fresh.length - 1];
+    sensor.currentValue = latest.value;
+    sensor.lastReading = { value: latest.value, timestamp: latest.timestamp };
+
+    // Evaluate status up front so the alert rules see the new reading
+    sensor.evaluateStatus({ now: latest.timestamp });
+    alertChanges = mergeChanges(
+      applyAlertRules(sensor),
+      applyAnomalyAlerts(sensor, detectAnomalies(sensor, fresh))
+    );
+  }
+
+  await SensorReading.insertMany(ordered.map(reading => ({
+    sensorId: sensor._id,
+    value: reading.value,
+    rawValue: reading.rawValue,
+    timestamp: reading.timestamp
+  })));
+  await SensorRollup.recordReadings(sensor._id, ordered);
+  if (batteryHistory.length > 0) {
+    await BatteryReading.insertMany(batteryHistory);
+  }
+
+  // Saves the sensor together with any alert changes
+  await sensor.save();
+
+  logger.info(`${ordered.length} data point(s) added to sensor ${sensor.name} via ${source}: latest ${sensor.currentValue} ${sensor.unit}`);
+
+  const backOnline = wasOffline && sensor.status !== 'offline';
+  if (backOnline) {
+    logger.info(`Sensor ${sensor.name} is back online`);
+  }
+
+  // Emit socket events for real-time updates
+  if (io) {
+    io.emit('sensor:data', { sensor });
+
+    if (backOnline) {
+      io.emit('sensor:online', { sensor });
+    }
+  }
+
+  publishAlertChanges(sensor, alertChanges, io);
+
+  return result;
+};
+
+// Apply a single reading to a sensor
+const ingestReading = (sensor, reading, options) => ingestReadings(sensor, [reading], options);
+
+// Store door-tracking events (opens, closes, or counter deltas), add their
+// entries to the sensor's usage counters, and feed the entries of the past
+// hour through the reading pipeline as the sensor's value, so thresholds,
+// alerts and rollups work on entries/hour. Duplicates are dropped like readings.
+// `status` carries optional batteryLevel/signalStrength for the derived reading.
+const ingestDoorEvents = async (sensor, events, { io, source = 'http', status = {} } = {}) => {
+  const receivedAt = new Date();
+  const sorted = events
+    .map((event, index) => ({ ...event, index, timestamp: parseTimestamp(event.timestamp) || receivedAt }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const claim = await claimReadings(sensor, sorted);
+  const accepted = new Array(events.length);
+  sorted.forEach((event, position) => {
+    accepted[event.index] = claim.accepted[position];
+  });
+
+  const fresh = sorted.filter((event, position) => claim.accepted[position]);
+  const result = { sensor, accepted, lastSequence: claim.lastSequence, entries: 0 };
+
+  if (fresh.length === 0) {
+    return result;
+  }
+
+  const documents = fresh.map(event => ({
+    sensorId: sensor._id,
+    timestamp: event.timestamp,
+    type: event.type,
+    entries: event.type === 'open' ? 1 : event.type === 'count' ? event.count : 0
+  }));
+  await DoorEvent.insertMany(documents);
+
+  result.entries = documents.reduce((total, event) => total + event.entries, 0);
+  if (result.entries > 0) {
+    await Sensor.updateOne({ _id: sensor._id }, {
+      $inc: {
+        'usage.totalEntries': result.entries,
+        'usage.entriesSinceCleaning': result.entries
+      }
+    });
+
+    // Mirror the increment in memory without saving it a second time
+    sensor.set('usage.totalEntries', (sensor.usage?.totalEntries || 0) + result.entries);
+    sensor.set('usage.entriesSinceCleaning', (sensor.usage?.entriesSinceCleaning || 0) + result.entries);
+    sensor.unmarkModified('usage.totalEntries');
+    sensor.unmarkModified('usage.entriesSinceCleaning');
+  }
+
+  const latest = fresh[fresh.length - 1].timestamp;
+  const entriesPerHour = await DoorEvent.countEntries(sensor._id, new Date(latest.getTime() - HOUR_MS), latest);
+
+  await ingestReadings(sensor, [{ value: entriesPerHour, timestamp: latest, ...status }], { io, source, derived: true });
+
+  return result;
+};
+
+module.exports = {
+  MAX_CLOCK_SKEW_MS,
+  MAX_CLAIM_ATTEMPTS,
+  DOOR_EVENT_TYPES,
+  validateReading,
+  validateDoorEvent,
+  selectNewReadings,
+  claimReadings,
+  ingestReading,
+  ingestReadings,
+  ingestDoorEvents
+};
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Building = require('../models/Building');
+const Floor = require('../models/Floor');
+const Room = require('../models/Room');
+const Sensor = require('../models/Sensor');
+const Complaint = require('../models/Complaint');
+const { normaliseName, parseFloorLevel, floorName } = require('./locations');
+
+// Building -> Floor -> Room/Area hierarchy. Sensors and complaints reference
+// it through `locationIds` and keep the canonical names in `location`, so
+// everything that groups by `location` strings sees one name per place.
+
+const SENSOR_STATUSES = ['normal', 'warning', 'critical', 'offline'];
+
+const pickStrings = ({ building, floor, room, area } = {}) => ({ building, floor, room, area });
+
+// `location` strings for a resolved building/floor/room
+const describe = (building, floor, room) => {
+  const location = { building: building.name };
+  if (floor) location.floor = floor.name;
+  if (room) location[room.kind] = room.name;
+  return location;
+};
+
+// Resolve hierarchy references; a room implies its floor and building.
+// Returns { location, locationIds } or { error } when a reference is unknown
+// or does not belong to the given parent.
+const resolveLocationRefs = async ({ buildingId, floorId, roomId }) => {
+  const room = roomId ? await Room.findById(roomId) : null;
+  if (roomId && !room) return { error: 'Room not found' };
+
+  const floor = floorId || room ? await Floor.findById(floorId || room.floor) : null;
+  // A room's floor may have been deleted since
+  if ((floorId || room) && !floor) return { error: 'Floor not found' };
+  if (room && !floor._id.equals(room.floor)) return { error: 'Room is not on this floor' };
+
+  const building = await Building.findById(buildingId || floor?.building);
+  if (!building) return { error: 'Building not found' };
+  if (floor && !building._id.equals(floor.building)) return { error: 'Floor is not in this building' };
+
+  return {
+    location: describe(building, floor, room),
+    locationIds: { building: building._id, floor: floor?._id, room: room?._id }
+  };
+};
+
+// Match free-text location strings against the hierarchy, level by level.
+// Matched levels take their canonical names; the rest are kept as given.
+// With `create`, missing buildings, floors and rooms are added (used by the
+// location migration).
+const matchLocation = async (location = {}, { create = false } = {}) => {
+  const result = { location: pickStrings(location), locationIds: {} };
+  if (!location.building || !normaliseName(location.building)) return result;
+
+  let building = await Building.findOne({ key: normaliseName(location.building) });
+  if (!building && create) building = await Building.create({ name: location.building });
+  if (!building) return result;
+
+  result.location.building = building.name;
+  result.locationIds.building = building._id;
+  if (!location.floor) return result;
+
+  // Floors are matched by level, or by name when it does not read as a level
+  const level = parseFloorLevel(location.floor);
+  let floor;
+  if (level !== null) {
+    floor = await Floor.findOne({ building: building._id, level });
+    if (!floor && create) floor = await Floor.create({ building: building._id, level, name: floorName(level) });
+  } else {
+    const floors = await Floor.find({ building: building._id });
+    floor = floors.find(candidate => normaliseName(candidate.name) === normaliseName(location.floor));
+  }
+  if (!floor) return result;
+
+  result.location.floor = floor.name;
+  result.locationIds.floor = floor._id;
+
+  // A room name wins over an area name; an area next to a room stays free text
+  const roomName = location.room || location.area;
+  if (!roomName || !normaliseName(roomName)) return result;
+
+  let room = await Room.findOne({ floor: floor._id, key: normaliseName(roomName) });
+  if (!room && create) {
+    room = await Room.create({
+      floor: floor._id,
+      building: building._id,
+      name: roomName,
+      kind: location.room ? 'room' : 'area'
+    });
+  }
+  if (!room) return result;
+
+  if (room.kind === 'area') delete result.location.room;
+  result.location[room.kind] = room.name;
+  result.locationIds.room = room._id;
+
+  return result;
+};
+
+// Set `location` and `locationIds` on a sensor or complaint from request
+// input: hierarchy references (`buildingId`, `floorId`, `roomId`) or legacy
+// strings, which are matched against the hierarchy. Returns an error message or null.
+const applyLocation = async (target, input = {}) => {
+  const { buildingId, floorId, roomId, coordinates } = input;
+  let resolved;
+
+  if (buildingId || floorId || roomId) {
+    resolved = await resolveLocationRefs({ buildingId, floorId, roomId });
+    if (resolved.error) return resolved.error;
+    // Free-text area within a referenced room
+    if (resolved.location.room && input.area) resolved.location.area = input.area;
+  } else {
+    resolved = await matchLocation(input);
+  }
+
+  // A floor plan placement only applies to the floor it was made on
+  if (target.placement?.x !== undefined && String(target.locationIds?.floor) !== String(resolved.locationIds.floor)) {
+    target.placement = undefined;
+  }
+
+  target.location = coordinates ? { ...resolved.location, coordinates } : resolved.location;
+  target.locationIds = resolved.locationIds;
+  return null;
+};
+
+// Copy a renamed building, floor or room into the `location` strings of the
+// sensors and complaints referencing it
+const propagateName = async (level, doc) => {
+  const field = level === 'room' ? doc.kind : level;
+  const update = { $set: { [`location.${field}`]: doc.name } };
+
+  await Promise.all([Sensor, Complaint].map(Model => Model.updateMany({ [`locationIds.${level}`]: doc._id }, update)));
+};
+
+const emptySummary = () => ({
+  sensors: { total: 0, ...Object.fromEntries(SENSOR_STATUSES.map(status => [status, 0])) },
+  complaints: { open: 0, highPriority: 0 }
+});
+
+// Hierarchy tree with sensor status and open complaint counts rolled up to
+// every level. `sensorCounts` and `complaintCounts` are aggregation rows
+// `{ _id: { building, floor, room, status | priority }, count }`.
+const buildHierarchyTree = ({ buildings, floors, rooms, sensorCounts = [], complaintCounts = [] }) => {
+  const nodes = new Map();
+
+  const tree = buildings.map(building => {
+    const node = { id: building._id, name: building.name, code: building.code, ...emptySummary(), floors: [] };
+    nodes.set(building._id.toString(), node);
+    return node;
+  });
+
+  for (const floor of [...floors].sort((a, b) => a.level - b.level)) {
+    const parent = nodes.get(floor.building.toString());
+    if (!parent) continue;
+    const node = { id: floor._id, name: floor.name, level: floor.level, ...emptySummary(), rooms: [] };
+    nodes.set(floor._id.toString(), node);
+    parent.floors.push(node);
+  }
+
+  for (const room of [...rooms].sort((a, b) => a.name.localeCompare(b.name))) {
+    const parent = nodes.get(room.floor.toString());
+    if (!parent) continue;
+    const node = { id: room._id, name: room.name, kind: room.kind, ...emptySummary() };
+    nodes.set(room._id.toString(), node);
+    parent.rooms.push(node);
+  }
+
+  // Each count adds to its room, floor and building
+  const nodesFor = ({ building, floor, room }) => [building, floor, room]
+    .filter(Boolean)
+    .map(id => nodes.get(id.toString()))
+    .filter(Boolean);
+
+  for (const { _id, count } of sensorCounts) {
+    for (const node of nodesFor(_id)) {
+      node.sensors.total += count;
+      if (_id.status in node.sensors) node.sensors[_id.status] += count;
+    }
+  }
+
+  for (const { _id, count } of complaintCounts) {
+    for (const node of nodesFor(_id)) {
+      node.complaints.open += count;
+      if (_id.priority === 'high') node.complaints.highPriority += count;
+    }
+  }
+
+  return tree;
+};
+
+// Load the hierarchy (optionally one building) with its rollups
+const getHierarchyTree = async ({ buildingId } = {}) => {
+  // Aggregations do not cast, so the ID is converted here
+  const id = buildingId && new mongoose.Types.ObjectId(buildingId);
+  const buildingFilter = id ? { _id: id } : {};
+  const childFilter = id ? { building: id } : {};
+  const refFilter = { 'locationIds.building': id || { $ne: null } };
+
+  const groupByRefs = (extra) => ({
+    $group: {
+      _id: {
+        building: '$locationIds.building',
+        floor: '$locationIds.floor',
+        room: '$locationIds.room',
+        ...extra
+      },
+      count: { $sum: 1 }
+    }
+  });
+
+  const [buildings, floors, rooms, sensorCounts, complaintCounts] = await Promise.all([
+    Building.find(buildingFilter).sort({ name: 1 }).lean(),
+    Floor.find(childFilter).lean(),
+    Room.find(childFilter).lean(),
+    Sensor.aggregate([
+      { $match: { ...refFilter, isActive: true } },
+      groupByRefs({ status: '$status' })
+    ]),
+    Complaint.aggregate([
+      { $match: { ...refFilter, status: { $in: ['pending', 'in-progress'] } } },
+      groupByRefs({ priority: '$priority' })
+    ])
+  ]);
+
+  return buildHierarchyTree({ buildings, floors, rooms, sensorCounts, complaintCounts });
+};
+
+module.exports = {
+  resolveLocationRefs,
+  matchLocation,
+  applyLocation,
+  propagateName,
+  buildHierarchyTree,
+  getHierarchyTree
+};
@@ -0,0 +1,78 @@
+// Helpers for the building/floor/room/area locations carried by sensors and
+// complaints, used wherever data is aggregated per location.
+
+const LOCATION_FIELDS = ['building', 'floor', 'room', 'area'];
+
+// The location of a sensor or complaint, with missing levels as null
+const locationOf = (item) => Object.fromEntries(
+  LOCATION_FIELDS.map(field => [field, item.location?.[field] || null])
+);
+
+const locationKey = (location) => LOCATION_FIELDS.map(field => location[field] || '').join('|');
+
+// Human-readable label such as "Main / 2 / Washroom B"
+const locationLabel = (location) => LOCATION_FIELDS
+  .map(field => location[field])
+  .filter(Boolean)
+  .join(' / ') || 'Unknown location';
+
+// Group items by location into `{ location, items }` entries
+const groupByLocation = (items) => {
+  const groups = new Map();
+
+  for (const item of items) {
+    const location = locationOf(item);
+    const key = locationKey(location);
+    if (!groups.has(key)) groups.set(key, { location, items: [] });
+    groups.get(key).items.push(item);
+  }
+
+  return [...groups.values()];
+};
+
+// MongoDB filter on `location.*` for exactly this location (missing levels
+// only match missing levels)
+const locationFilter = (location) => Object.fromEntries(
+  LOCATION_FIELDS.map(field => [`location.${field}`, location[field] || null])
+);
+
+// Matching key for a building or room name: "Main  Block " -> "main block"
+const normaliseName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const ORDINAL_LEVEL = /^(\d+)(?:st|nd|rd|th)?(?:\s*(?:floor|fl|f|level|lvl))?$/;
+const PREFIXED_LEVEL = /^(?:floor|fl|f|level|lvl|l)\s*(\d+)$/;
+const BASEMENT_LEVEL = /^(?:basement|b)\s*(\d*)$/;
+
+// Floor level from a free-text floor name, e.g. "2", "Floor 2", "2nd floor",
+// "L2" and "2F" are all 2, "Ground" is 0 and "Basement 1"/"B1" is -1.
+// Returns null when the name cannot be read as a level.
+const parseFloorLevel = (name) => {
+  const text = normaliseName(name).replace(/[._-]/g, ' ').replace(/\s+/g, ' ');
+  if (!text) return null;
+
+  if (/^(?:g|gf|ground|ground floor|ground level)$/.test(text)) return 0;
+
+  const basement = text.match(BASEMENT_LEVEL);
+  if (basement) return -(parseInt(basement[1]) || 1);
+
+  const level = text.match(ORDINAL_LEVEL) || text.match(PREFIXED_LEVEL);
+  return level ? parseInt(level[1]) : null;
+};
+
+// Default display name of a floor level
+const floorName = (level) => {
+  if (level === 0) return 'Ground';
+  return level > 0 ? `Floor ${level}` : `Basement ${-level}`;
+};
+
+module.exports = {
+  LOCATION_FIELDS,
+  locationOf,
+  locationKey,
+  locationLabel,
+  groupByLocation,
+  locationFilter,
+  normaliseName,
+  parseFloorLevel,
+  floorName
+};
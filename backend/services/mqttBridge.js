@@ -0,0 +1,175 @@
+const mqtt = require('mqtt');
+const Sensor = require('../models/Sensor');
+const { validateReading, ingestReading } = require('./ingestion');
+const logger = require('../utils/logger');
+
+const topicPrefix = process.env.MQTT_TOPIC_PREFIX || 'hygiene';
+
+// Counters exposed through the system health endpoint
+const stats = {
+  received: 0,
+  processed: 0,
+  duplicates: 0,
+  malformed: 0,
+  unauthorized: 0,
+  rejected: 0,
+  failed: 0,
+  lastMessageAt: null
+};
+
+let client = null;
+
+// Extract the device ID from a `<prefix>/<deviceId>/reading` topic
+const parseTopic = (topic) => {
+  const parts = topic.split('/');
+  if (parts.length !== 3 || parts[0] !== topicPrefix || parts[2] !== 'reading' || !parts[1]) {
+    return null;
+  }
+  return parts[1];
+};
+
+// Payloads are JSON objects carrying the device key next to the reading
+const parsePayload = (message) => JSON.parse(message.toString().trim());
+
+const handleMessage = async (topic, message, io) => {
+  stats.received += 1;
+  stats.lastMessageAt = new Date();
+
+  const deviceId = parseTopic(topic);
+  if (!deviceId) {
+    stats.malformed += 1;
+    logger.warn(`MQTT message on unexpected topic ignored: ${topic}`);
+    return;
+  }
+
+  let payload;
+  try {
+    payload = parsePayload(message);
+  } catch (error) {
+    stats.malformed += 1;
+    logger.warn(`Malformed MQTT payload from device ${deviceId}: ${error.message}`);
+    return;
+  }
+
+  const validationError = validateReading(payload);
+  if (validationError) {
+    stats.malformed += 1;
+    logger.warn(`Invalid MQTT reading from device ${deviceId}: ${validationError}`);
+    return;
+  }
+
+  // Anyone may publish to the broker, so readings must carry the key issued
+  // to the sensor whose device ID is in the topic
+  const { deviceKey } = payload;
+  if (typeof deviceKey !== 'string' || !deviceKey) {
+    stats.unauthorized += 1;
+    logger.warn(`MQTT reading without device key from device ${deviceId} ignored`);
+    return;
+  }
+
+  const sensor = await Sensor.findByDeviceKey(deviceKey);
+  if (!sensor) {
+    stats.unauthorized += 1;
+    logger.warn(`MQTT reading with invalid or revoked device key for device ${deviceId} ignored`);
+    return;
+  }
+
+  if (sensor.deviceId !== deviceId) {
+    stats.unauthorized += 1;
+    logger.warn(`MQTT reading for device ${deviceId} signed with the key of sensor ${sensor.name} ignored`);
+    return;
+  }
+
+  if (!sensor.isActive) {
+    stats.rejected += 1;
+    logger.warn(`MQTT reading from inactive sensor ${sensor.name} ignored`);
+    return;
+  }
+
+  // The broker does not tell us the publisher's address
+  await sensor.recordDeviceKeyUsage(null);
+
+  // Only the reading fields are taken from the payload, as for batch uploads
+  const reading = {
+    value: payload.value,
+    timestamp: payload.timestamp,
+    batteryLevel: payload.batteryLevel,
+    signalStrength: payload.signalStrength,
+    sequence: payload.sequence,
+    messageId: payload.messageId
+  };
+
+  const { accepted } = await ingestReading(sensor, reading, { io, source: 'mqtt' });
+  if (accepted[0]) {
+    stats.processed += 1;
+  } else {
+    stats.duplicates += 1;
+  }
+};
+
+// Connect to the configured broker and subscribe to device readings.
+// The bridge stays disabled when MQTT_BROKER_URL is not set.
+const startMqttBridge = ({ io }) => {
+  const brokerUrl = process.env.MQTT_BROKER_URL;
+
+  if (!brokerUrl) {
+    logger.info('MQTT bridge disabled (MQTT_BROKER_URL not set)');
+    return null;
+  }
+
+  client = mqtt.connect(brokerUrl, {
+    clientId: process.env.MQTT_CLIENT_ID || `iot-hygiene-backend-${process.pid}`,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD
+  });
+
+  const readingTopic = `${topicPrefix}/+/reading`;
+
+  client.on('connect', () => {
+    logger.info(`Connected to MQTT broker at ${brokerUrl}`);
+    client.subscribe(readingTopic, { qos: 1 }, (error) => {
+      if (error) {
+        logger.error(`MQTT subscription to ${readingTopic} failed:`, error);
+      } else {
+        logger.info(`Subscribed to MQTT topic ${readingTopic}`);
+      }
+    });
+  });
+
+  client.on('message', (topic, message) => {
+    handleMessage(topic, message, io).catch((error) => {
+      stats.failed += 1;
+      logger.error(`Error processing MQTT message on ${topic}:`, error);
+    });
+  });
+
+  client.on('error', (error) => {
+    logger.error('MQTT client error:', error);
+  });
+
+  client.on('offline', () => {
+    logger.warn('MQTT client offline, reconnecting...');
+  });
+
+  return client;
+};
+
+const stopMqttBridge = () => {
+  if (client) {
+    client.end();
+    client = null;
+  }
+};
+
+const getMqttStats = () => ({
+  enabled: !!process.env.MQTT_BROKER_URL,
+  connected: !!(client && client.connected),
+  ...stats
+});
+
+module.exports = {
+  handleMessage,
+  startMqttBridge,
+  stopMqttBridge,
+  getMqttStats
+};
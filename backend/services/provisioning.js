@@ -0,0 +1,81 @@
+// Device provisioning. Devices without credentials announce themselves with
+// POST /api/sensors/announce and wait in the pending devices queue until an
+// admin claims them (creating the sensor and its device key) or they expire.
+
+// Hours an unclaimed device stays in the queue after its first announcement
+const PENDING_DEVICE_TTL_HOURS = parseInt(process.env.PENDING_DEVICE_TTL_HOURS) || 72;
+
+// Shortest time between two announcements of the same device
+const ANNOUNCE_INTERVAL_SECONDS = parseInt(process.env.PROVISIONING_ANNOUNCE_INTERVAL_SECONDS) || 60;
+
+// Unknown devices are turned away once the queue holds this many
+const MAX_PENDING_DEVICES = parseInt(process.env.PROVISIONING_MAX_PENDING) || 200;
+
+// Pending devices one client address may announce, so a single client cycling
+// device IDs cannot fill the queue
+const MAX_PENDING_PER_IP = parseInt(process.env.PROVISIONING_MAX_PENDING_PER_IP) || 10;
+
+// Fields a device may report about itself
+const ANNOUNCED_FIELDS = ['manufacturer', 'model', 'firmwareVersion', 'type', 'unit', 'value'];
+
+const pendingExpiry = (firstSeenAt) => new Date(firstSeenAt.getTime() + PENDING_DEVICE_TTL_HOURS * 60 * 60 * 1000);
+
+// Seconds a pending device must wait before announcing again; 0 when it may
+const announceRetryAfter = (pending, now = new Date()) => {
+  const nextAllowed = pending.lastSeenAt.getTime() + ANNOUNCE_INTERVAL_SECONDS * 1000;
+  return Math.max(0, Math.ceil((nextAllowed - now.getTime()) / 1000));
+};
+
+// The announced fields that were given, so a later announcement only
+// overwrites what the device reports again
+const announcedDetails = (payload) => Object.fromEntries(
+  ANNOUNCED_FIELDS
+    .filter(field => payload[field] !== undefined && payload[field] !== null)
+    .map(field => [field, payload[field]])
+);
+
+// Settings for the sensor created by a claim: the admin's choices win over
+// the chosen sensor profile (`defaults`, see services/sensorProfiles.js),
+// which wins over what the device announced. Returns { settings } or { error }.
+const claimSettings = (pending, input = {}, defaults = {}) => {
+  const type = input.type || defaults.type || pending.type;
+  if (!type) {
+    return { error: 'Sensor type is required as the device did not announce one' };
+  }
+  if (defaults.type && type !== defaults.type) {
+    return { error: `The profile is for ${defaults.type} sensors` };
+  }
+
+  // An announced unit and value only apply to the announced type
+  const announced = type === pending.type ? pending : {};
+  const unit = input.unit || defaults.deviceUnit || announced.unit;
+  const manufacturer = pending.manufacturer || defaults.manufacturer;
+  const model = pending.model || defaults.model;
+
+  return {
+    settings: {
+      name: input.name || [manufacturer, model, pending.deviceId].filter(Boolean).join(' '),
+      type,
+      profile: defaults.profile,
+      deviceId: pending.deviceId,
+      unit,
+      currentValue: input.currentValue ?? (unit === announced.unit ? announced.value : undefined) ?? 0,
+      thresholdValue: defaults.thresholdValue,
+      reportingIntervalMs: defaults.reportingIntervalMs,
+      manufacturer,
+      model,
+      firmwareVersion: pending.firmwareVersion
+    }
+  };
+};
+
+module.exports = {
+  PENDING_DEVICE_TTL_HOURS,
+  ANNOUNCE_INTERVAL_SECONDS,
+  MAX_PENDING_DEVICES,
+  MAX_PENDING_PER_IP,
+  pendingExpiry,
+  announceRetryAfter,
+  announcedDetails,
+  claimSettings
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const BatteryReading = require('../models/BatteryReading');
+const DoorEvent = require('../models/DoorEvent');
+const HygieneScore = require('../models/HygieneScore');
+const Complaint = require('../models/Complaint');
+const RetentionRun = require('../models/RetentionRun');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention in days; 0 keeps the data forever
+const parseDays = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const days = parseInt(value);
+  return isNaN(days) || days < 0 ? fallback : days;
+};
+
+const RETENTION_DAYS = {
+  readings: parseDays(process.env.RETENTION_READINGS_DAYS, 90),
+  'rollups-1m': parseDays(process.env.RETENTION_ROLLUPS_1M_DAYS, 30),
+  'rollups-1h': parseDays(process.env.RETENTION_ROLLUPS_1H_DAYS, 365),
+  'rollups-1d': parseDays(process.env.RETENTION_ROLLUPS_1D_DAYS, 0),
+  'battery-history': parseDays(process.env.RETENTION_BATTERY_DAYS, 365),
+  'door-events': parseDays(process.env.RETENTION_DOOR_EVENTS_DAYS, 90),
+  'hygiene-history': parseDays(process.env.RETENTION_HYGIENE_DAYS, 365),
+  'closed-alerts': parseDays(process.env.RETENTION_ALERTS_DAYS, 90),
+  'resolved-complaints': parseDays(process.env.RETENTION_COMPLAINTS_DAYS, 365)
+};
+
+const RETENTION_SCHEDULE = process.env.RETENTION_CRON || '30 3 * * *';
+const ARCHIVE_ENABLED = process.env.RETENTION_ARCHIVE === 'true';
+const ARCHIVE_DIR = process.env.RETENTION_ARCHIVE_DIR || 'archives';
+
+// Alerts are closed once acknowledged or resolved (alert rules and jobs
+// resolve most alerts without anyone acknowledging them). Each falls back to
+// the raise time when its date is missing. `prefix` addresses the alert
+// fields, e.g. 'alert.' after unwinding.
+const expiredAlert = (cutoff, prefix = '') => ({
+  $or: [
+    { [`${prefix}isAcknowledged`]: true, [`${prefix}acknowledgedAt`]: { $lt: cutoff } },
+    { [`${prefix}isAcknowledged`]: true, [`${prefix}acknowledgedAt`]: null, [`${prefix}timestamp`]: { $lt: cutoff } },
+    { [`${prefix}isResolved`]: true, [`${prefix}resolvedAt`]: { $lt: cutoff } },
+    { [`${prefix}isResolved`]: true, [`${prefix}resolvedAt`]: null, [`${prefix}timestamp`]: { $lt: cutoff } }
+  ]
+});
+
+// Expired alerts flattened with the sensor they belong to
+const expiredAlertsPipeline = cutoff => [
+  { $unwind: '$alerts' },
+  { $project: { _id: 0, sensorId: '$_id', sensorName: '$name', alert: '$alerts' } },
+  { $match: expiredAlert(cutoff, 'alert.') }
+];
+
+const expiredComplaints = cutoff => ({
+  status: { $in: ['resolved', 'closed'] },
+  $or: [
+    { actualResolutionTime: { $lt: cutoff } },
+    { actualResolutionTime: null, updatedAt: { $lt: cutoff } }
+  ]
+});
+
+const rollupClass = resolution => ({
+  name: `rollups-${resolution}`,
+  find: cutoff => SensorRollup.find({ resolution, bucket: { $lt: cutoff } }).lean().cursor(),
+  purge: async cutoff => {
+    const result = await SensorRollup.deleteMany({ resolution, bucket: { $lt: cutoff } });
+    return result.deletedCount;
+  }
+});
+
+// Data classes in purge order: find() streams what would be removed (for the
+// archive), purge() removes it and returns the number of records deleted
+const dataClasses = [
+  {
+    name: 'readings',
+    // Deleting from a time-series collection by timestamp needs MongoDB 7.0+
+    find: cutoff => SensorReading.find({ timestamp: { $lt: cutoff } }).lean().cursor(),
+    purge: async cutoff => {
+      const result = await SensorReading.deleteMany({ timestamp: { $lt: cutoff } });
+      return result.deletedCount;
+    }
+  },
+  rollupClass('1m'),
+  rollupClass('1h'),
+  rollupClass('1d'),
+  {
+    name: 'battery-history',
+    find: cutoff => BatteryReading.find({ timestamp: { $lt: cutoff } }).lean().cursor(),
+    purge: async cutoff => {
+      const result = await BatteryReading.deleteMany({ timestamp: { $lt: cutoff } });
+      return result.deletedCount;
+    }
+  },
+  {
+    name: 'door-events',
+    find: cutoff => DoorEvent.find({ timestamp: { $lt: cutoff } }).lean().cursor(),
+    purge: async cutoff => {
+      const result = await DoorEvent.deleteMany({ timestamp: { $lt: cutoff } });
+      return result.deletedCount;
+    }
+  },
+  {
+    name: 'hygiene-history',
+    find: cutoff => HygieneScore.find({ timestamp: { $lt: cutoff } }).lean().cursor(),
+    purge: async cutoff => {
+      const result = await HygieneScore.deleteMany({ timestamp: { $lt: cutoff } });
+      return result.deletedCount;
+    }
+  },
+  {
+    name: 'closed-alerts',
+    find: cutoff => Sensor.aggregate(expiredAlertsPipeline(cutoff)).cursor(),
+    purge: async cutoff => {
+      const [expired] = await Sensor.aggregate([
+        ...expiredAlertsPipeline(cutoff),
+        { $count: 'total' }
+      ]);
+
+      const match = expiredAlert(cutoff);
+      await Sensor.updateMany(
+        { alerts: { $elemMatch: match } },
+        { $pull: { alerts: match } }
+      );
+
+      return expired?.total || 0;
+    }
+  },
+  {
+    name: 'resolved-complaints',
+    find: cutoff => Complaint.find(expiredComplaints(cutoff)).lean().cursor(),
+    purge: async cutoff => {
+      const result = await Complaint.deleteMany(expiredComplaints(cutoff));
+      return result.deletedCount;
+    }
+  }
+];
+
+// Stream documents into a gzipped NDJSON file; empty archives are removed
+async function archiveDocuments(name, cursor, runAt) {
+  await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+
+  const stamp = runAt.toISOString().replace(/[:.]/g, '-');
+  const file = path.join(ARCHIVE_DIR, `${name}-${stamp}.ndjson.gz`);
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, fs.createWriteStream(file));
+
+  let count = 0;
+  for await (const doc of cursor) {
+    if (!gzip.write(`${JSON.stringify(doc)}\n`)) {
+      await once(gzip, 'drain');
+    }
+    count++;
+  }
+
+  gzip.end();
+  await written;
+
+  if (count === 0) {
+    await fs.promises.unlink(file);
+    return { count, file: undefined };
+  }
+
+  return { count, file };
+}
+
+let running = false;
+
+// Purge every data class past its retention, archiving first when enabled.
+// A failure in one class is recorded and does not stop the others. Returns
+// the saved RetentionRun, or null when a purge is already in progress.
+async function runRetention({ trigger = 'scheduled', triggeredBy } = {}) {
+  if (running) {
+    return null;
+  }
+
+  running = true;
+  try {
+    const run = new RetentionRun({ trigger, triggeredBy, startedAt: new Date() });
+
+    for (const dataClass of dataClasses) {
+      const retentionDays = RETENTION_DAYS[dataClass.name];
+      const result = { dataClass: dataClass.name, retentionDays };
+
+      if (retentionDays > 0) {
+        result.cutoff = new Date(run.startedAt.getTime() - retentionDays * DAY_MS);
+
+        try {
+          if (ARCHIVE_ENABLED) {
+            const archive = await archiveDocuments(dataClass.name, dataClass.find(result.cutoff), run.startedAt);
+            result.archived = archive.count;
+            result.archiveFile = archive.file;
+          }
+
+          result.deleted = await dataClass.purge(result.cutoff);
+        } catch (error) {
+          logger.error(`Retention purge failed for ${dataClass.name}:`, error);
+          result.error = error.message;
+        }
+      }
+
+      run.results.push(result);
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+
+    const deleted = run.results.reduce((total, result) => total + (result.deleted || 0), 0);
+    logger.info(`Retention purge removed ${deleted} records (${trigger})`);
+
+    return run;
+  } finally {
+    running = false;
+  }
+}
+
+// Current retention settings, as shown to admins
+const getRetentionSettings = () => ({
+  schedule: RETENTION_SCHEDULE,
+  archive: {
+    enabled: ARCHIVE_ENABLED,
+    directory: ARCHIVE_DIR
+  },
+  dataClasses: dataClasses.map(({ name }) => ({
+    dataClass: name,
+    retentionDays: RETENTION_DAYS[name]
+  }))
+});
+
+module.exports = {
+  RETENTION_SCHEDULE,
+  RETENTION_DAYS,
+  expiredAlert,
+  archiveDocuments,
+  runRetention,
+  getRetentionSettings
+};
@@ -0,0 +1,126 @@
+// Sensor tags and groups. A group either lists its sensors (`static`) or
+// saves a filter (`filter`), e.g. "odor sensors from vendor X" or "tagged
+// washroom on floor 3", so new sensors join it automatically. Pure functions;
+// routes/sensorGroups.js loads the sensors.
+
+const mongoose = require('mongoose');
+const { isSensorType } = require('../config/sensorTypes');
+
+const SENSOR_STATUSES = ['normal', 'warning', 'critical', 'offline'];
+const MAX_TAG_LENGTH = 50;
+
+// Severity order for the sensors needing attention
+const STATUS_SEVERITY = { critical: 0, offline: 1, warning: 2 };
+
+// Tags are trimmed, lowercase and unique, so "Washroom" and "washroom " are one tag
+const normaliseTags = (tags) => [...new Set((tags || [])
+  .map(tag => String(tag).trim().replace(/\s+/g, ' ').toLowerCase())
+  .filter(Boolean))];
+
+// Validate tags from a request body. Returns an error message or null.
+const validateTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return 'Tags must be an array';
+  }
+  if (tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH)) {
+    return `Tags must be non-empty strings of at most ${MAX_TAG_LENGTH} characters`;
+  }
+  return null;
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validate the saved filter of a `filter` group. Returns an error message or null.
+const validateGroupFilter = (filter) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return 'Filter must be an object';
+  }
+
+  const { types, statuses, tags, manufacturer, model, buildingId, floorId, roomId } = filter;
+
+  if (types !== undefined && (!Array.isArray(types) || types.some(type => !isSensorType(type)))) {
+    return 'Filter types must be valid sensor types';
+  }
+  if (statuses !== undefined && (!Array.isArray(statuses) || statuses.some(status => !SENSOR_STATUSES.includes(status)))) {
+    return `Filter statuses must be any of ${SENSOR_STATUSES.join(', ')}`;
+  }
+  if (tags !== undefined) {
+    const error = validateTags(tags);
+    if (error) return `Filter ${error.charAt(0).toLowerCase()}${error.slice(1)}`;
+  }
+  for (const [field, value] of Object.entries({ manufacturer, model })) {
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      return `Filter ${field} must be a non-empty string`;
+    }
+  }
+  for (const id of [buildingId, floorId, roomId]) {
+    if (id !== undefined && !mongoose.isValidObjectId(id)) {
+      return 'Filter location references must be valid IDs';
+    }
+  }
+
+  const criteria = [types, statuses, tags, manufacturer, model, buildingId, floorId, roomId]
+    .filter(value => value !== undefined && !(Array.isArray(value) && value.length === 0));
+  if (criteria.length === 0) {
+    return 'Filter needs at least one criterion';
+  }
+
+  return null;
+};
+
+// Sensor query for a group's members. Only active sensors are members.
+const groupSensorFilter = (group) => {
+  if (group.membership === 'static') {
+    return { _id: { $in: group.sensors || [] }, isActive: true };
+  }
+
+  const { types, statuses, tags, manufacturer, model, buildingId, floorId, roomId } = group.filter || {};
+  const filter = { isActive: true };
+
+  if (types?.length) filter.type = { $in: types };
+  if (statuses?.length) filter.status = { $in: statuses };
+  if (tags?.length) filter.tags = { $all: normaliseTags(tags) };
+  // Vendor names are matched whole, ignoring case
+  if (manufacturer) filter.manufacturer = new RegExp(`^${escapeRegExp(manufacturer.trim())}$`, 'i');
+  if (model) filter.model = new RegExp(`^${escapeRegExp(model.trim())}$`, 'i');
+  if (buildingId) filter['locationIds.building'] = buildingId;
+  if (floorId) filter['locationIds.floor'] = floorId;
+  if (roomId) filter['locationIds.room'] = roomId;
+
+  return filter;
+};
+
+// Status summary of a group's sensors
+const summariseGroup = (sensors) => {
+  const byStatus = Object.fromEntries(SENSOR_STATUSES.map(status => [status, 0]));
+  const byType = {};
+  let openAlerts = 0;
+
+  for (const sensor of sensors) {
+    if (sensor.status in byStatus) byStatus[sensor.status] += 1;
+    byType[sensor.type] = (byType[sensor.type] || 0) + 1;
+    openAlerts += (sensor.alerts || []).filter(alert => !alert.isResolved).length;
+  }
+
+  const attention = sensors
+    .filter(sensor => sensor.status in STATUS_SEVERITY)
+    .sort((a, b) => STATUS_SEVERITY[a.status] - STATUS_SEVERITY[b.status] || a.name.localeCompare(b.name))
+    .map(sensor => ({ id: sensor._id, name: sensor.name, type: sensor.type, status: sensor.status }));
+
+  return {
+    total: sensors.length,
+    byStatus,
+    byType,
+    openAlerts,
+    attention
+  };
+};
+
+module.exports = {
+  SENSOR_STATUSES,
+  normaliseTags,
+  validateTags,
+  validateGroupFilter,
+  groupSensorFilter,
+  summariseGroup
+};
@@ -0,0 +1,135 @@
+const SensorProfile = require('../models/SensorProfile');
+const { SENSOR_TYPES, HEALTH_SCORE_WEIGHTS, setCustomTypes, getTypeDefaults } = require('../config/sensorTypes');
+const { unitFamily, isSupportedUnit } = require('./units');
+const logger = require('../utils/logger');
+
+// Sensor profiles are device templates: new sensors take their type, unit,
+// threshold value, reporting interval and vendor details from a profile, and
+// keep referencing it for its threshold bands, calibration interval, hygiene
+// weight and health score weights. A profile whose type is not built in
+// defines a new type, so admins can add e.g. ammonia sensors without code
+// changes.
+//
+// Profiles are cached in memory because status evaluation reads them
+// synchronously; routes/sensorProfiles.js reloads the cache on every change.
+
+let profiles = new Map();
+
+const isBuiltInType = type => SENSOR_TYPES.includes(type);
+
+// Type definitions (in the shape of config/sensorTypes.js) for the profile
+// types that are not built in. The oldest profile of a type defines it.
+const customTypeDefaults = (list) => {
+  const types = {};
+
+  for (const profile of [...list].sort((a, b) => a.createdAt - b.createdAt)) {
+    if (isBuiltInType(profile.type) || types[profile.type]) continue;
+
+    const { canonical, supported } = unitFamily(profile.unit);
+    types[profile.type] = {
+      unit: canonical,
+      units: supported,
+      calibrationIntervalDays: profile.calibrationIntervalDays,
+      hygieneWeight: profile.hygieneWeight,
+      thresholds: { ...profile.thresholds },
+      // Anomaly detectors need tuning per type, so they stay off for new types
+      anomaly: {}
+    };
+  }
+
+  return types;
+};
+
+const setProfiles = (list) => {
+  profiles = new Map(list.map(profile => [profile._id.toString(), profile]));
+  setCustomTypes(customTypeDefaults(list));
+};
+
+// Refresh the cache and the profile-defined types from the database
+const loadSensorProfiles = async () => {
+  const list = await SensorProfile.find().lean();
+  setProfiles(list);
+  logger.info(`Loaded ${list.length} sensor profiles`);
+  return list;
+};
+
+const getProfile = id => (id ? profiles.get(id.toString()) || null : null);
+
+// A setting of the sensor's profile, falling back to its type's default
+const profileSetting = (sensor, field) => {
+  const value = getProfile(sensor.profile)?.[field];
+  return value ?? getTypeDefaults(sensor.type)[field];
+};
+
+// Threshold bands of the sensor's profile (empty without one)
+const profileBands = sensor => ({ ...getProfile(sensor.profile)?.thresholds });
+
+// Health score deductions of the sensor, with its profile's overrides
+const healthWeights = (sensor) => {
+  const overrides = getProfile(sensor.profile)?.healthWeights || {};
+  return Object.fromEntries(Object.entries(HEALTH_SCORE_WEIGHTS).map(([issue, weight]) => [issue, overrides[issue] ?? weight]));
+};
+
+// Validate health score weights from a request body. Returns an error message or null.
+const validateHealthWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return 'Health weights must be an object';
+  }
+
+  for (const [issue, weight] of Object.entries(weights)) {
+    if (!Object.hasOwn(HEALTH_SCORE_WEIGHTS, issue)) {
+      return `Health weights may only set ${Object.keys(HEALTH_SCORE_WEIGHTS).join(', ')}`;
+    }
+    if (typeof weight !== 'number' || weight < 0 || weight > 100) {
+      return 'Health score weights must be between 0 and 100';
+    }
+  }
+
+  return null;
+};
+
+// Check a profile's type and unit against the built-in types and the other
+// profiles of its type. Returns an error message or null.
+const validateProfileUnit = ({ type, unit }, others = []) => {
+  if (isBuiltInType(type)) {
+    return isSupportedUnit(type, unit) ? null : `Unit ${unit} is not supported for ${type} sensors`;
+  }
+
+  // Values of a type are stored in one unit, whichever profile they come from
+  const { canonical } = unitFamily(unit);
+  const conflicting = others.find(other => other.type === type && unitFamily(other.unit).canonical !== canonical);
+  if (conflicting) {
+    return `${type} sensors are stored in ${unitFamily(conflicting.unit).canonical}; use a unit that converts to it`;
+  }
+
+  return null;
+};
+
+// Fields of a new sensor created from a profile; given request fields win
+const sensorDefaults = (profile) => {
+  const defaults = {
+    profile: profile._id,
+    type: profile.type,
+    deviceUnit: profile.unit,
+    thresholdValue: profile.thresholdValue,
+    reportingIntervalMs: profile.reportingIntervalMs,
+    manufacturer: profile.manufacturer,
+    model: profile.model
+  };
+
+  return Object.fromEntries(Object.entries(defaults).filter(([, value]) => value !== undefined && value !== null));
+};
+
+module.exports = {
+  customTypeDefaults,
+  setProfiles,
+  loadSensorProfiles,
+  getProfile,
+  profileSetting,
+  profileBands,
+  healthWeights,
+  isBuiltInType,
+  validateHealthWeights,
+  validateProfileUnit,
+  sensorDefaults
+};
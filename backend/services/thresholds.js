@@ -0,0 +1,143 @@
+const { getTypeDefaults } = require('../config/sensorTypes');
+const { profileBands } = require('./sensorProfiles');
+
+// Status evaluation against threshold bands:
+//
+//   critical | warning | normal | warning | critical
+//          lowerCritical  lowerWarning  upperWarning  upperCritical
+//
+// Any bound may be missing. `hysteresis` is how far (in the sensor's unit) a
+// value must move back past a bound before the status improves, and
+// `dwellTimeMs` is how long a new status must persist before it is applied.
+
+const BAND_FIELDS = ['lowerCritical', 'lowerWarning', 'upperWarning', 'upperCritical'];
+
+const STATUS_RANK = { normal: 0, offline: 0, warning: 1, critical: 2 };
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const pick = (...values) => values.find(isSet);
+
+// Combine per-sensor bands with those of the sensor's profile and the
+// per-type defaults. The legacy `thresholdValue` is shorthand for
+// upperWarning, with upperCritical at 1.5x the warning bound, matching the
+// original status logic.
+const resolveThresholds = (sensor) => {
+  const own = (sensor.thresholds && typeof sensor.thresholds.toObject === 'function')
+    ? sensor.thresholds.toObject()
+    : (sensor.thresholds || {});
+  const profile = profileBands(sensor);
+  const defaults = getTypeDefaults(sensor.type).thresholds;
+
+  const upperWarning = pick(own.upperWarning, profile.upperWarning, sensor.thresholdValue);
+
+  return {
+    lowerCritical: pick(own.lowerCritical, profile.lowerCritical, defaults.lowerCritical),
+    lowerWarning: pick(own.lowerWarning, profile.lowerWarning, defaults.lowerWarning),
+    upperWarning,
+    upperCritical: pick(own.upperCritical, profile.upperCritical, isSet(upperWarning) ? upperWarning * 1.5 : undefined),
+    hysteresis: pick(own.hysteresis, profile.hysteresis, defaults.hysteresis, 0),
+    dwellTimeMs: pick(own.dwellTimeMs, profile.dwellTimeMs, defaults.dwellTimeMs, 0)
+  };
+};
+
+// Check that the bands are ordered; returns an error message or null
+const validateBands = (bands) => {
+  const ordered = BAND_FIELDS.filter(field => isSet(bands[field]));
+
+  for (let i = 1; i < ordered.length; i++) {
+    if (bands[ordered[i - 1]] > bands[ordered[i]]) {
+      return `${ordered[i - 1]} must not be greater than ${ordered[i]}`;
+    }
+  }
+
+  if (isSet(bands.hysteresis) && bands.hysteresis < 0) {
+    return 'Hysteresis cannot be negative';
+  }
+
+  if (isSet(bands.dwellTimeMs) && bands.dwellTimeMs < 0) {
+    return 'Dwell time cannot be negative';
+  }
+
+  return null;
+};
+
+// Classify a value without hysteresis; also reports the bound it breached
+const classify = (value, bands) => {
+  if (isSet(bands.upperCritical) && value >= bands.upperCritical) {
+    return { status: 'critical', direction: 'upper', bound: bands.upperCritical };
+  }
+  if (isSet(bands.lowerCritical) && value <= bands.lowerCritical) {
+    return { status: 'critical', direction: 'lower', bound: bands.lowerCritical };
+  }
+  if (isSet(bands.upperWarning) && value >= bands.upperWarning) {
+    return { status: 'warning', direction: 'upper', bound: bands.upperWarning };
+  }
+  if (isSet(bands.lowerWarning) && value <= bands.lowerWarning) {
+    return { status: 'warning', direction: 'lower', bound: bands.lowerWarning };
+  }
+  return { status: 'normal', direction: null, bound: null };
+};
+
+// Move every bound towards the normal band by the hysteresis margin
+const relaxBands = (bands, hysteresis) => ({
+  lowerCritical: isSet(bands.lowerCritical) ? bands.lowerCritical + hysteresis : undefined,
+  lowerWarning: isSet(bands.lowerWarning) ? bands.lowerWarning + hysteresis : undefined,
+  upperWarning: isSet(bands.upperWarning) ? bands.upperWarning - hysteresis : undefined,
+  upperCritical: isSet(bands.upperCritical) ? bands.upperCritical - hysteresis : undefined
+});
+
+// How far past the breached warning bound a value is, as a ratio (>= 1).
+// For an upper bound this is value / bound, as in the original logic.
+const exceedanceRatio = (value, bands) => {
+  const { direction } = classify(value, bands);
+  if (!direction) return 0;
+
+  const bound = direction === 'upper'
+    ? pick(bands.upperWarning, bands.upperCritical)
+    : pick(bands.lowerWarning, bands.lowerCritical);
+  const scale = Math.abs(bound) || 1;
+
+  return 1 + Math.abs(value - bound) / scale;
+};
+
+// Decide the next status for a reading.
+// Returns { status, candidate } where candidate is the pending status still
+// waiting out its dwell time (or null).
+const evaluateThresholdStatus = ({ value, bands, currentStatus = 'normal', candidate = null, now = new Date() }) => {
+  let target = classify(value, bands).status;
+
+  // Improving: the value has to clear the bound by the hysteresis margin
+  if (STATUS_RANK[target] < STATUS_RANK[currentStatus] && bands.hysteresis > 0) {
+    const relaxed = classify(value, relaxBands(bands, bands.hysteresis)).status;
+    target = STATUS_RANK[relaxed] >= STATUS_RANK[currentStatus] ? currentStatus : relaxed;
+  }
+
+  if (target === currentStatus) {
+    return { status: currentStatus, candidate: null };
+  }
+
+  // An offline sensor takes its new status immediately
+  if (!bands.dwellTimeMs || currentStatus === 'offline') {
+    return { status: target, candidate: null };
+  }
+
+  if (!candidate || candidate.status !== target) {
+    return { status: currentStatus, candidate: { status: target, since: now } };
+  }
+
+  if (now - candidate.since >= bands.dwellTimeMs) {
+    return { status: target, candidate: null };
+  }
+
+  return { status: currentStatus, candidate };
+};
+
+module.exports = {
+  BAND_FIELDS,
+  resolveThresholds,
+  validateBands,
+  classify,
+  exceedanceRatio,
+  evaluateThresholdStatus
+};
@@ -0,0 +1,126 @@
+const { getTypeDefaults } = require('../config/sensorTypes');
+
+// Unit registry. Every unit converts linearly into the canonical unit of its
+// quantity: canonical = value * scale + offset. Which units a sensor type
+// accepts, and its canonical unit, come from config/sensorTypes.js.
+// Profile-defined types may use a unit outside the registry; it is then the
+// type's only unit and needs no conversion.
+const UNITS = {
+  '°C': { canonical: '°C', scale: 1, offset: 0 },
+  '°F': { canonical: '°C', scale: 5 / 9, offset: -160 / 9 },
+  K: { canonical: '°C', scale: 1, offset: -273.15 },
+  '%': { canonical: '%', scale: 1, offset: 0 },
+  '%RH': { canonical: '%', scale: 1, offset: 0 },
+  ppm: { canonical: 'ppm', scale: 1, offset: 0 },
+  ppb: { canonical: 'ppm', scale: 0.001, offset: 0 },
+  'entries/hour': { canonical: 'entries/hour', scale: 1, offset: 0 },
+  'entries/minute': { canonical: 'entries/hour', scale: 60, offset: 0 },
+  'entries/day': { canonical: 'entries/hour', scale: 1 / 24, offset: 0 },
+  AQI: { canonical: 'AQI', scale: 1, offset: 0 }
+};
+
+const IDENTITY = { scale: 1, offset: 0 };
+
+const BAND_VALUES = ['lowerCritical', 'lowerWarning', 'upperWarning', 'upperCritical'];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Convert threshold bands value by value (hysteresis is a difference)
+const convertBands = (bands, convert) => {
+  const converted = { ...bands, hysteresis: convert(bands.hysteresis, { delta: true }) };
+  BAND_VALUES.forEach(field => {
+    converted[field] = convert(bands[field]);
+  });
+  return converted;
+};
+
+// Canonical unit and accepted units for a sensor type
+const getTypeUnits = (type) => {
+  const { unit, units = [] } = getTypeDefaults(type);
+  return { canonical: unit, supported: units };
+};
+
+const isSupportedUnit = (type, unit) => getTypeUnits(type).supported.includes(unit);
+
+// Canonical unit and the units converting into it, for a type defined with `unit`
+const unitFamily = (unit) => {
+  if (!Object.hasOwn(UNITS, unit)) {
+    return { canonical: unit, supported: [unit] };
+  }
+
+  const { canonical } = UNITS[unit];
+  return { canonical, supported: Object.keys(UNITS).filter(other => UNITS[other].canonical === canonical) };
+};
+
+// Convert a value between a unit and its canonical unit. Differences (e.g.
+// hysteresis) only scale, so pass `{ delta: true }` for those.
+const toCanonical = (value, unit, { delta = false } = {}) => {
+  const { scale, offset } = UNITS[unit] || IDENTITY;
+  return round(value * scale + (delta ? 0 : offset));
+};
+
+const fromCanonical = (value, unit, { delta = false } = {}) => {
+  const { scale, offset } = UNITS[unit] || IDENTITY;
+  return round((value - (delta ? 0 : offset)) / scale);
+};
+
+// Convert the value fields of a sensor create/update request from `unit`
+// into the type's canonical unit. Missing fields are left out.
+const valuesToCanonical = (unit, { currentValue, thresholdValue, thresholds }) => {
+  const convert = (value, options) =>
+    value === undefined || value === null ? value : toCanonical(Number(value), unit, options);
+
+  const converted = {
+    currentValue: convert(currentValue),
+    thresholdValue: convert(thresholdValue)
+  };
+
+  if (thresholds) {
+    converted.thresholds = convertBands(thresholds, convert);
+  }
+
+  return converted;
+};
+
+// Express a sensor (plain JSON) in another unit of its type, for reads with
+// `?unit=`. Returns the sensor unchanged when it is already in that unit.
+const sensorInUnit = (sensor, unit) => {
+  if (!unit || sensor.unit === unit) {
+    return sensor;
+  }
+
+  const convert = (value, options) =>
+    value === undefined || value === null ? value : fromCanonical(value, unit, options);
+
+  const converted = {
+    ...sensor,
+    unit,
+    currentValue: convert(sensor.currentValue),
+    thresholdValue: convert(sensor.thresholdValue)
+  };
+
+  if (sensor.lastReading) {
+    converted.lastReading = { ...sensor.lastReading, value: convert(sensor.lastReading.value) };
+  }
+
+  if (sensor.thresholds) {
+    converted.thresholds = convertBands(sensor.thresholds, convert);
+  }
+
+  if (sensor.effectiveThresholds) {
+    converted.effectiveThresholds = convertBands(sensor.effectiveThresholds, convert);
+  }
+
+  return converted;
+};
+
+module.exports = {
+  UNITS,
+  getTypeUnits,
+  isSupportedUnit,
+  unitFamily,
+  toCanonical,
+  fromCanonical,
+  valuesToCanonical,
+  sensorInUnit
+};
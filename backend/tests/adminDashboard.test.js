@@ -0,0 +1,109 @@
+jest.mock('../services/hygieneIndex', () => ({
+  ...jest.requireActual('../services/hygieneIndex'),
+  computeHygieneIndex: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Complaint = require('../models/Complaint');
+const Sensor = require('../models/Sensor');
+const Feedback = require('../models/Feedback');
+const HygieneScore = require('../models/HygieneScore');
+const { computeHygieneIndex } = require('../services/hygieneIndex');
+const adminRoutes = require('../routes/admin');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { role: 'admin', email: 'admin@example.com' };
+  next();
+});
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+// A chainable query resolving with `result`
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('Hygiene on the admin dashboard', () => {
+  const computedAt = new Date('2025-03-10T10:15:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    [User, Complaint, Sensor, Feedback].forEach((Model) => {
+      jest.spyOn(Model, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Model, 'find').mockImplementation(() => query([]));
+      jest.spyOn(Model, 'aggregate').mockResolvedValue([]);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should show the scores the hygiene-index job stored last', async () => {
+    jest.spyOn(HygieneScore, 'getLatest').mockResolvedValue({
+      timestamp: computedAt,
+      scores: [
+        { location: { building: 'HQ', floor: '1', room: 'Washroom 1' }, score: 55, components: [] },
+        { location: { building: 'HQ', floor: '1', room: 'Washroom 2' }, score: 85, components: [] }
+      ]
+    });
+
+    const res = await request(app).get('/api/admin/dashboard');
+
+    expect(res.status).toBe(200);
+    expect(computeHygieneIndex).not.toHaveBeenCalled();
+    expect(res.body.hygiene).toMatchObject({
+      computedAt: computedAt.toISOString(),
+      average: 70,
+      byGrade: [{ _id: 'good', count: 1 }, { _id: 'fair', count: 0 }, { _id: 'poor', count: 1 }]
+    });
+    expect(res.body.hygiene.worstLocations[0]).toEqual({
+      building: 'HQ',
+      floor: '1',
+      room: 'Washroom 1',
+      score: 55,
+      grade: 'poor',
+      components: []
+    });
+  });
+
+  it('should compute the index live until the job has run', async () => {
+    jest.spyOn(HygieneScore, 'getLatest').mockResolvedValue({ timestamp: null, scores: [] });
+    computeHygieneIndex.mockResolvedValue([{ building: 'HQ', score: 90, grade: 'good', components: [] }]);
+
+    const res = await request(app).get('/api/admin/dashboard');
+
+    expect(computeHygieneIndex).toHaveBeenCalledTimes(1);
+    expect(res.body.hygiene.average).toBe(90);
+  });
+
+  describe('HygieneScore.getLatest', () => {
+    it('should return every location of the latest run, worst first', async () => {
+      const scores = [{ score: 40 }, { score: 90 }];
+      jest.spyOn(HygieneScore, 'findOne').mockReturnValue(query({ timestamp: computedAt }));
+      const find = jest.spyOn(HygieneScore, 'find').mockReturnValue(query(scores));
+
+      await expect(HygieneScore.getLatest()).resolves.toEqual({ timestamp: computedAt, scores });
+      expect(find).toHaveBeenCalledWith({ timestamp: computedAt });
+    });
+
+    it('should return no scores before the first run', async () => {
+      jest.spyOn(HygieneScore, 'findOne').mockReturnValue(query(null));
+
+      await expect(HygieneScore.getLatest()).resolves.toEqual({ timestamp: null, scores: [] });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const {
+  BATTERY_LOW_THRESHOLD,
+  BATTERY_CRITICAL_THRESHOLD,
+  raiseAlert,
+  applyAlertRules,
+  applyAnomalyAlerts
+} = require('../services/alertRules');
+const { newSensor, openAlerts } = require('./helpers/sensors');
+
+describe('Alert rules', () => {
+  describe('raiseAlert', () => {
+    it('should keep one open alert per type', () => {
+      const sensor = newSensor();
+
+      expect(raiseAlert(sensor, 'battery-low', 'Battery low', 'medium').raised).toHaveLength(1);
+      const again = raiseAlert(sensor, 'battery-low', 'Battery low', 'medium');
+
+      expect(again).toEqual({ raised: [], escalated: [], resolved: [] });
+      expect(raiseAlert(sensor, 'device-offline', 'Offline', 'high').raised).toHaveLength(1);
+      expect(openAlerts(sensor)).toHaveLength(2);
+    });
+
+    it('should keep one open anomaly alert per detector', () => {
+      const sensor = newSensor();
+
+      raiseAlert(sensor, 'anomaly', 'Spike', 'low', { detector: 'ewma', score: 3 });
+      raiseAlert(sensor, 'anomaly', 'Spike', 'low', { detector: 'ewma', score: 3.2 });
+      raiseAlert(sensor, 'anomaly', 'Flat', 'low', { detector: 'flatline', score: 6 });
+
+      expect(openAlerts(sensor).map(alert => alert.detector)).toEqual(['ewma', 'flatline']);
+    });
+
+    it('should escalate on a higher severity only', () => {
+      const sensor = newSensor();
+      raiseAlert(sensor, 'threshold-exceeded', 'High', 'medium');
+
+      expect(raiseAlert(sensor, 'threshold-exceeded', 'Lower', 'low').escalated).toHaveLength(0);
+      const { escalated } = raiseAlert(sensor, 'threshold-exceeded', 'Much higher', 'critical');
+
+      expect(escalated).toHaveLength(1);
+      expect(openAlerts(sensor)).toHaveLength(1);
+      expect(openAlerts(sensor)[0]).toMatchObject({ severity: 'critical', message: 'Much higher' });
+    });
+  });
+
+  describe('threshold rule', () => {
+    it('should raise on warning, escalate as readings worsen and resolve on normal', () => {
+      const sensor = newSensor({ currentValue: 11, status: 'warning' });
+      expect(applyAlertRules(sensor).raised[0]).toMatchObject({ type: 'threshold-exceeded', severity: 'low' });
+
+      sensor.set({ currentValue: 21, status: 'critical' });
+      expect(applyAlertRules(sensor).escalated[0]).toMatchObject({ severity: 'critical' });
+
+      sensor.set({ currentValue: 2, status: 'normal' });
+      const { resolved } = applyAlertRules(sensor);
+
+      expect(resolved).toHaveLength(1);
+      expect(resolved[0].isResolved).toBe(true);
+      expect(resolved[0].resolvedAt).toBeInstanceOf(Date);
+      expect(openAlerts(sensor)).toHaveLength(0);
+    });
+  });
+
+  describe('connectivity rule', () => {
+    it('should resolve device-offline alerts once the sensor reports again', () => {
+      const sensor = newSensor({ status: 'offline' });
+      raiseAlert(sensor, 'device-offline', 'Offline', 'high');
+
+      expect(applyAlertRules(sensor).resolved).toHaveLength(0);
+
+      sensor.status = 'normal';
+      expect(applyAlertRules(sensor).resolved[0]).toMatchObject({ type: 'device-offline' });
+    });
+  });
+
+  describe('battery rule', () => {
+    it('should raise below the low threshold and escalate below the critical one', () => {
+      const sensor = newSensor({ batteryLevel: BATTERY_LOW_THRESHOLD - 1 });
+      expect(applyAlertRules(sensor).raised[0]).toMatchObject({ type: 'battery-low', severity: 'medium' });
+
+      sensor.batteryLevel = BATTERY_CRITICAL_THRESHOLD - 1;
+      expect(applyAlertRules(sensor).escalated[0]).toMatchObject({ severity: 'critical' });
+    });
+
+    it('should resolve once the battery is back above the low threshold', () => {
+      const sensor = newSensor({ batteryLevel: BATTERY_CRITICAL_THRESHOLD - 1 });
+      applyAlertRules(sensor);
+
+      sensor.batteryLevel = BATTERY_LOW_THRESHOLD;
+      expect(applyAlertRules(sensor).resolved[0]).toMatchObject({ type: 'battery-low' });
+    });
+  });
+
+  describe('applyAnomalyAlerts', () => {
+    it('should resolve the alerts of detectors that stopped firing', () => {
+      const sensor = newSensor();
+      applyAnomalyAlerts(sensor, { ewma: { value: 9, score: 4, mean: 2, ratio: 1.3 }, flatline: null });
+
+      expect(openAlerts(sensor)[0]).toMatchObject({ detector: 'ewma', severity: 'medium' });
+
+      const { resolved } = applyAnomalyAlerts(sensor, { ewma: null });
+      expect(resolved.map(alert => alert.detector)).toEqual(['ewma']);
+    });
+  });
+});
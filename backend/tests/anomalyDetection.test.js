@@ -0,0 +1,97 @@
+const { evaluateReading, detectAnomalies } = require('../services/anomalyDetection');
+
+const MINUTE_MS = 60 * 1000;
+const start = new Date('2024-01-01T00:00:00Z').getTime();
+
+// Feed values one minute apart through evaluateReading
+const feed = (values, config, state = {}) => {
+  let findings = {};
+  values.forEach((value, index) => {
+    const result = evaluateReading(state, { value, timestamp: new Date(start + index * MINUTE_MS) }, config);
+    state = result.state;
+    findings = result.findings;
+  });
+  return { state, findings };
+};
+
+describe('Anomaly detection', () => {
+  describe('ewma', () => {
+    const config = { ewma: { alpha: 0.1, zThreshold: 4, minSamples: 10 } };
+    const noisy = Array.from({ length: 50 }, (_, index) => 5 + (index % 2 === 0 ? 0.2 : -0.2));
+
+    it('should not fire on normal noise', () => {
+      const { findings } = feed(noisy, config);
+
+      expect(findings.ewma).toBeNull();
+    });
+
+    it('should fire on a large deviation from the moving average', () => {
+      const { findings } = feed([...noisy, 9], config);
+
+      expect(findings.ewma.detector).toBe('ewma');
+      expect(findings.ewma.score).toBeGreaterThan(4);
+      expect(findings.ewma.ratio).toBeGreaterThan(1);
+    });
+
+    it('should wait for enough samples', () => {
+      const { findings } = feed([5, 5.2, 4.8, 9], config);
+
+      expect(findings.ewma).toBeNull();
+    });
+  });
+
+  describe('flatline', () => {
+    const config = { flatline: { durationMs: 30 * MINUTE_MS, tolerance: 0 } };
+
+    it('should fire once the value has not changed for the configured duration', () => {
+      const { findings } = feed(Array(31).fill(2.5), config);
+
+      expect(findings.flatline.detector).toBe('flatline');
+      expect(findings.flatline.score).toBe(0.5);
+    });
+
+    it('should reset when the value changes', () => {
+      const { findings } = feed([...Array(31).fill(2.5), 2.6], config);
+
+      expect(findings.flatline).toBeNull();
+    });
+  });
+
+  describe('rateOfChange', () => {
+    it('should fire when the value changes faster than allowed', () => {
+      const { findings } = feed([10, 30], { rateOfChange: { maxPerMinute: 5 } });
+
+      expect(findings.rateOfChange.score).toBe(20);
+      expect(findings.rateOfChange.ratio).toBe(4);
+    });
+
+    it('should only consider the configured direction', () => {
+      const { findings } = feed([80, 5], { rateOfChange: { maxPerMinute: 20, direction: 'rise' } });
+
+      expect(findings.rateOfChange).toBeNull();
+    });
+  });
+
+  describe('detectAnomalies', () => {
+    it('should update the sensor state and report the strongest finding of a batch', () => {
+      const sensor = { type: 'odor', anomalyState: { lastValue: 1, lastTimestamp: new Date(start) } };
+      const readings = [
+        { value: 9, timestamp: new Date(start + MINUTE_MS) },
+        { value: 9.5, timestamp: new Date(start + 2 * MINUTE_MS) }
+      ];
+
+      const findings = detectAnomalies(sensor, readings);
+
+      expect(findings.rateOfChange.value).toBe(9);
+      expect(findings.rateOfChange.score).toBe(8);
+      expect(findings.flatline).toBeNull();
+      expect(sensor.anomalyState.lastValue).toBe(9.5);
+    });
+
+    it('should skip types without detectors', () => {
+      const sensor = { type: 'door-tracking' };
+
+      expect(detectAnomalies(sensor, [{ value: 100, timestamp: new Date(start) }])).toEqual({});
+    });
+  });
+});
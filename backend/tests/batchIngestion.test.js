@@ -0,0 +1,117 @@
+jest.mock('../models/Sensor', () => ({ findByDeviceKey: jest.fn() }));
+jest.mock('../services/ingestion', () => ({
+  ...jest.requireActual('../services/ingestion'),
+  ingestReadings: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Sensor = require('../models/Sensor');
+const { ingestReadings } = require('../services/ingestion');
+const ingestionRoutes = require('../routes/ingestion');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sensors', ingestionRoutes);
+app.use(errorHandler);
+
+const device = (deviceId, fields = {}) => ({
+  _id: `sensor-${deviceId}`,
+  name: deviceId,
+  deviceId,
+  isActive: true,
+  recordDeviceKeyUsage: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+describe('POST /api/sensors/data/batch', () => {
+  const sensors = {
+    dk_odor: device('ODOR001'),
+    dk_bin: device('BIN001'),
+    dk_old: device('OLD001', { isActive: false })
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Sensor.findByDeviceKey.mockImplementation(async key => sensors[key] || null);
+    ingestReadings.mockImplementation(async (sensor, readings) => ({
+      accepted: readings.map(reading => reading.sequence !== 1),
+      lastSequence: 7
+    }));
+  });
+
+  const upload = (readings, headers = {}) => request(app)
+    .post('/api/sensors/data/batch')
+    .set(headers)
+    .send({ readings });
+
+  it('should ingest each device\'s readings together', async () => {
+    const response = await upload([
+      { deviceId: 'ODOR001', deviceKey: 'dk_odor', value: 5.2, sequence: 2 },
+      { deviceId: 'BIN001', deviceKey: 'dk_bin', value: 64 },
+      { deviceId: 'ODOR001', deviceKey: 'dk_odor', value: 7.9, sequence: 3 }
+    ]).expect(200);
+
+    expect(ingestReadings).toHaveBeenCalledTimes(2);
+    expect(ingestReadings.mock.calls[0][1].map(reading => reading.value)).toEqual([5.2, 7.9]);
+    expect(response.body.summary).toEqual({ total: 3, accepted: 3, duplicates: 0, failed: 0 });
+    expect(sensors.dk_odor.recordDeviceKeyUsage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject entries without a key or with another device\'s key', async () => {
+    const response = await upload([
+      { deviceId: 'ODOR001', value: 5.2 },
+      { deviceId: 'ODOR001', deviceKey: 'dk_bin', value: 5.4 },
+      { deviceId: 'ODOR001', deviceKey: 'dk_revoked', value: 5.6 },
+      { deviceId: 'BIN001', deviceKey: 'dk_bin', value: 64 }
+    ]).expect(200);
+
+    expect(response.body.results.map(result => result.error)).toEqual([
+      'Device key is required',
+      'Invalid device key for this device',
+      'Invalid device key for this device',
+      undefined
+    ]);
+    expect(ingestReadings).toHaveBeenCalledTimes(1);
+    expect(ingestReadings.mock.calls[0][0]).toBe(sensors.dk_bin);
+  });
+
+  it('should take the key from the header for entries without one', async () => {
+    const response = await upload([
+      { deviceId: 'ODOR001', value: 5.2 },
+      { deviceId: 'BIN001', value: 64 }
+    ], { 'X-Device-Key': 'dk_odor' }).expect(200);
+
+    expect(response.body.results.map(result => result.success)).toEqual([true, false]);
+  });
+
+  it('should report failures per entry and keep the rest of the batch', async () => {
+    ingestReadings.mockImplementation(async (sensor, readings) => {
+      if (sensor.deviceId === 'BIN001') throw new Error('write conflict');
+      return { accepted: readings.map(reading => reading.sequence !== 1), lastSequence: 7 };
+    });
+
+    const response = await upload([
+      { deviceId: 'ODOR001', deviceKey: 'dk_odor', value: 5.2, sequence: 1 },
+      { deviceId: 'ODOR001', deviceKey: 'dk_odor', value: 'high' },
+      { deviceId: 'BIN001', deviceKey: 'dk_bin', value: 64 },
+      { deviceId: 'OLD001', deviceKey: 'dk_old', value: 3 },
+      { deviceId: 'ODOR001', deviceKey: 'dk_odor', value: 7.9, sequence: 2 }
+    ]).expect(200);
+
+    expect(response.body.summary).toEqual({ total: 5, accepted: 1, duplicates: 1, failed: 3 });
+    expect(response.body.results).toEqual([
+      { index: 0, deviceId: 'ODOR001', success: true, duplicate: true, lastSequence: 7 },
+      { index: 1, deviceId: 'ODOR001', success: false, error: 'Value must be a number' },
+      { index: 2, deviceId: 'BIN001', success: false, error: 'Failed to store readings' },
+      { index: 3, deviceId: 'OLD001', success: false, error: 'Sensor is inactive' },
+      { index: 4, deviceId: 'ODOR001', success: true, lastSequence: 7 }
+    ]);
+  });
+
+  it('should reject requests without readings', async () => {
+    await upload([]).expect(400);
+    expect(Sensor.findByDeviceKey).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { raiseAlert } = require('../services/alertRules');
+const forecastBinLevels = require('../jobs/binForecast');
+const { newSensor } = require('./helpers/sensors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const newBin = (fields = {}) => newSensor({
+  name: 'Bin 1',
+  type: 'bin-level',
+  deviceId: 'BIN001',
+  currentValue: 70,
+  thresholdValue: 80,
+  unit: '%',
+  lastReading: { value: 70, timestamp: new Date() },
+  ...fields
+});
+
+// Readings every 30 minutes up to now, filling by `ratePerHour`
+const filling = (ratePerHour, last) => [4, 3, 2, 1, 0].map(step => ({
+  value: last - step * ratePerHour / 2,
+  timestamp: new Date(Date.now() - step * HOUR_MS / 2)
+}));
+
+describe('Bin forecast job', () => {
+  let updateOne;
+
+  const mockReadings = (readings) => {
+    jest.spyOn(SensorReading, 'find').mockReturnValue({ sort: () => ({ lean: async () => readings }) });
+  };
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(Sensor, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should write only the forecast and a new alert, without saving the sensor', async () => {
+    const sensor = newBin();
+    jest.spyOn(Sensor, 'find').mockResolvedValue([sensor]);
+    mockReadings(filling(10, 70));
+
+    const result = await forecastBinLevels();
+
+    expect(result).toEqual({ forecasted: 1, warned: 1 });
+    expect(sensor.save).not.toHaveBeenCalled();
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: sensor._id });
+    expect(Object.keys(update.$set)).toEqual(['forecast']);
+    expect(update.$set.forecast.fillRatePerHour).toBeCloseTo(10);
+    expect(update.$push.alerts.$each).toEqual([expect.objectContaining({ type: 'fill-forecast', severity: 'medium' })]);
+  });
+
+  it('should resolve the alert by its ID once the bin is no longer filling', async () => {
+    const sensor = newBin({ currentValue: 5, lastReading: { value: 5, timestamp: new Date() } });
+    const { raised: [alert] } = raiseAlert(sensor, 'fill-forecast', 'Filling up', 'medium');
+    jest.spyOn(Sensor, 'find').mockResolvedValue([sensor]);
+    mockReadings(filling(0, 5));
+
+    await forecastBinLevels();
+
+    const [, update, options] = updateOne.mock.calls[0];
+    expect(update.$set['alerts.$[resolved].isResolved']).toBe(true);
+    expect(update.$push).toBeUndefined();
+    expect(options.arrayFilters).toEqual([{ 'resolved._id': { $in: [alert._id] } }]);
+  });
+
+  it('should leave alerts alone when nothing changes', async () => {
+    const sensor = newBin({ currentValue: 5, lastReading: { value: 5, timestamp: new Date() } });
+    jest.spyOn(Sensor, 'find').mockResolvedValue([sensor]);
+    mockReadings([]);
+
+    await forecastBinLevels();
+
+    const [, update, options] = updateOne.mock.calls[0];
+    expect(update).toEqual({ $set: { forecast: { computedAt: expect.any(Date) } } });
+    expect(options).toEqual({});
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  validateReferenceReadings,
+  computeCorrection,
+  applyCorrection,
+  isIdentity
+} = require('../services/calibration');
+
+describe('Calibration corrections', () => {
+  it('should derive an offset from a single reference reading', () => {
+    const correction = computeCorrection([{ reference: 21.5, measured: 20 }]);
+
+    expect(correction.gain).toBe(1);
+    expect(correction.offset).toBe(1.5);
+    expect(correction.residualError).toBe(0);
+  });
+
+  it('should fit gain and offset from several reference readings', () => {
+    const correction = computeCorrection([
+      { reference: 12, measured: 10 },
+      { reference: 22, measured: 20 },
+      { reference: 32, measured: 30 },
+      { reference: 62, measured: 60 }
+    ].map(({ reference, measured }) => ({ reference: reference * 1.1, measured })));
+
+    expect(correction.gain).toBeCloseTo(1.1);
+    expect(correction.offset).toBeCloseTo(2.2);
+    expect(correction.residualError).toBeCloseTo(0);
+  });
+
+  it('should reject implausible gains', () => {
+    const correction = computeCorrection([
+      { reference: 10, measured: 10 },
+      { reference: 100, measured: 20 }
+    ]);
+
+    expect(correction.error).toMatch(/outside the plausible range/);
+  });
+
+  it('should apply a correction to raw values', () => {
+    expect(applyCorrection(10, { offset: 2, gain: 1.5 })).toBe(17);
+    expect(applyCorrection(10)).toBe(10);
+  });
+
+  it('should recognise the identity correction', () => {
+    expect(isIdentity({ offset: 0, gain: 1 })).toBe(true);
+    expect(isIdentity(undefined)).toBe(true);
+    expect(isIdentity({ offset: 0.5, gain: 1 })).toBe(false);
+  });
+
+  it('should validate reference readings', () => {
+    expect(validateReferenceReadings([])).toMatch(/At least one/);
+    expect(validateReferenceReadings([{ reference: 'a', measured: 1 }])).toMatch(/numeric/);
+    expect(validateReferenceReadings([{ reference: 1, measured: 1 }])).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+const Sensor = require('../models/Sensor');
+const checkCalibrationDue = require('../jobs/calibrationDue');
+const { newSensor, openAlerts } = require('./helpers/sensors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const inDays = days => new Date(Date.now() + days * DAY_MS);
+
+const hasOpenCalibrationAlert = sensor =>
+  openAlerts(sensor).some(alert => alert.type === 'calibration-due');
+
+// Evaluates the job's two queries against `sensors`
+const mockFind = sensors => jest.spyOn(Sensor, 'find').mockImplementation(async (filter) => {
+  if (filter.nextCalibrationDate) {
+    const { $lte } = filter.nextCalibrationDate;
+    return sensors.filter(sensor => sensor.isActive && sensor.nextCalibrationDate && sensor.nextCalibrationDate <= $lte);
+  }
+
+  const { $gt } = filter.$or[0].nextCalibrationDate;
+  return sensors.filter(sensor => hasOpenCalibrationAlert(sensor) &&
+    (!sensor.nextCalibrationDate || sensor.nextCalibrationDate > $gt));
+});
+
+describe('Calibration due job', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should raise one alert for due sensors, across runs', async () => {
+    const sensor = newSensor({ nextCalibrationDate: inDays(5) });
+    const find = mockFind([sensor]);
+
+    expect(await checkCalibrationDue()).toEqual({ due: 1, raised: 1, resolved: 0 });
+    expect(await checkCalibrationDue()).toEqual({ due: 1, raised: 0, resolved: 0 });
+
+    expect(openAlerts(sensor)).toEqual([expect.objectContaining({ type: 'calibration-due', severity: 'low' })]);
+    expect(sensor.save).toHaveBeenCalledTimes(1);
+    expect(find.mock.calls[0][0]).toMatchObject({ isActive: true, nextCalibrationDate: { $lte: expect.any(Date) } });
+  });
+
+  it('should escalate the alert once the sensor is overdue', async () => {
+    const sensor = newSensor({ nextCalibrationDate: inDays(5) });
+    mockFind([sensor]);
+    await checkCalibrationDue();
+
+    sensor.nextCalibrationDate = inDays(-2);
+    const result = await checkCalibrationDue();
+
+    expect(result.raised).toBe(0);
+    expect(openAlerts(sensor)).toHaveLength(1);
+    expect(openAlerts(sensor)[0]).toMatchObject({ severity: 'high', message: expect.stringMatching(/overdue since/) });
+  });
+
+  it('should resolve the alert once the sensor was recalibrated', async () => {
+    const sensor = newSensor({ nextCalibrationDate: inDays(-2) });
+    mockFind([sensor]);
+    await checkCalibrationDue();
+
+    await sensor.recordCalibration({ offset: 0.5, gain: 1 });
+    const result = await checkCalibrationDue();
+
+    // Odor sensors are calibrated every 90 days
+    expect(sensor.nextCalibrationDate.getTime()).toBeGreaterThan(inDays(89).getTime());
+    expect(result).toEqual({ due: 0, raised: 0, resolved: 1 });
+    expect(hasOpenCalibrationAlert(sensor)).toBe(false);
+  });
+
+  it('should skip sensors without a calibration schedule and inactive ones', async () => {
+    const unscheduled = newSensor();
+    const inactive = newSensor({ nextCalibrationDate: inDays(-2), isActive: false });
+    mockFind([unscheduled, inactive]);
+
+    expect(await checkCalibrationDue()).toEqual({ due: 0, raised: 0, resolved: 0 });
+    expect(unscheduled.save).not.toHaveBeenCalled();
+    expect(inactive.alerts).toHaveLength(0);
+  });
+});
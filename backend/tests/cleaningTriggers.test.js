@@ -0,0 +1,80 @@
+const { validateConditions, evaluateRule, findMatches } = require('../services/cleaningTriggers');
+const { groupByLocation } = require('../services/locations');
+
+const washroom = { building: 'Main', floor: '1', room: 'Washroom A' };
+
+const sensor = (name, type, fields, location = washroom) => ({ name, type, location, unit: '', ...fields });
+
+const odor = sensor('Odor A', 'odor', { currentValue: 12, thresholdRatio: 1.2, unit: 'ppm' });
+const bin = sensor('Bin A', 'bin-level', { currentValue: 85, thresholdRatio: 1.1, unit: '%' });
+const door = sensor('Door A', 'door-tracking', { currentValue: 30, usage: { entriesSinceCleaning: 160 } });
+
+const busyAndSmelly = {
+  match: 'all',
+  conditions: [
+    { sensorType: 'odor', metric: 'thresholdRatio', operator: 'gte', value: 1 },
+    { sensorType: 'bin-level', metric: 'value', operator: 'gt', value: 80 }
+  ]
+};
+
+describe('Cleaning triggers', () => {
+  describe('validateConditions', () => {
+    it('should accept valid conditions', () => {
+      expect(validateConditions(busyAndSmelly.conditions)).toBeNull();
+    });
+
+    it('should reject missing or malformed conditions', () => {
+      expect(validateConditions([])).toBe('A rule needs at least one condition');
+      expect(validateConditions([{ sensorType: 'odor', operator: 'eq', value: 1 }])).toMatch(/operator/);
+      expect(validateConditions([{ sensorType: 'odor', operator: 'gt', value: '1' }])).toMatch(/value/);
+      expect(validateConditions([{ sensorType: 'odor', metric: 'entriesSinceCleaning', operator: 'gt', value: 1 }]))
+        .toMatch(/door-tracking/);
+    });
+  });
+
+  describe('evaluateRule', () => {
+    it('should match when every condition holds', () => {
+      const match = evaluateRule(busyAndSmelly, [odor, bin, door]);
+
+      expect(match.sensors).toEqual([odor, bin]);
+      expect(match.reasons).toEqual(['Odor A: thresholdRatio 1.2 (>= 1)', 'Bin A: 85% (> 80)']);
+    });
+
+    it('should not match when a condition fails under match all', () => {
+      expect(evaluateRule(busyAndSmelly, [odor, { ...bin, currentValue: 40 }])).toBeNull();
+    });
+
+    it('should match a single condition under match any', () => {
+      const rule = { ...busyAndSmelly, match: 'any' };
+
+      expect(evaluateRule(rule, [odor]).sensors).toEqual([odor]);
+    });
+
+    it('should count door entries since cleaning', () => {
+      const rule = {
+        conditions: [{ sensorType: 'door-tracking', metric: 'entriesSinceCleaning', operator: 'gt', value: 150 }]
+      };
+
+      expect(evaluateRule(rule, [door]).reasons).toEqual(['Door A: entriesSinceCleaning 160 (> 150)']);
+      expect(evaluateRule(rule, [{ ...door, usage: { entriesSinceCleaning: 20 } }])).toBeNull();
+    });
+  });
+
+  describe('findMatches', () => {
+    it('should evaluate each location separately within the rule scope', () => {
+      const office = { building: 'Annex', floor: '1', room: 'Washroom B' };
+      const locations = groupByLocation([
+        odor,
+        bin,
+        sensor('Odor B', 'odor', { currentValue: 2, thresholdRatio: 0 }, office),
+        sensor('Bin B', 'bin-level', { currentValue: 95, thresholdRatio: 1.2 }, office)
+      ]);
+
+      const matches = findMatches(busyAndSmelly, locations);
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].location).toEqual({ ...washroom, area: null });
+      expect(findMatches({ ...busyAndSmelly, scope: { building: 'Annex' } }, locations)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Sensor = require('../models/Sensor');
+const { authenticateDevice } = require('../middleware/auth');
+const { newSensor } = require('./helpers/sensors');
+
+const newDevice = (deviceId) => {
+  const sensor = newSensor({ name: `Sensor ${deviceId}`, deviceId });
+  sensor.recordDeviceKeyUsage = jest.fn().mockResolvedValue();
+  return sensor;
+};
+
+// Run the middleware, resolving with the response it sent, or with `next` when it passed
+const authenticate = (headers, params = {}) => new Promise((resolve) => {
+  const req = { headers, params, ip: '10.0.0.7' };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ req, statusCode: this.statusCode, body });
+    }
+  };
+  authenticateDevice(req, res, () => resolve({ req, next: true }));
+});
+
+describe('Device authentication', () => {
+  const odor = newDevice('ODOR001');
+  const bin = newDevice('BIN001');
+
+  beforeAll(() => {
+    // Look keys up among the sensors above by their stored hash
+    jest.spyOn(Sensor, 'findOne').mockImplementation(async (filter) =>
+      [odor, bin].find(sensor => sensor.deviceKey && sensor.deviceKey.hash === filter['deviceKey.hash']) || null);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('device keys', () => {
+    it('should store only a hash and a display prefix of issued keys', async () => {
+      const issuedBy = new mongoose.Types.ObjectId();
+      const key = await odor.issueDeviceKey(issuedBy);
+
+      expect(key).toMatch(/^dk_[0-9a-f]{48}$/);
+      expect(odor.deviceKey.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(odor.deviceKey.hash).not.toContain(key.slice(3));
+      expect(odor.deviceKey.prefix).toBe(key.slice(0, 11));
+      expect(odor.deviceKey.issuedBy).toEqual(issuedBy);
+      expect(odor.hasDeviceKey).toBe(true);
+      expect(odor.toJSON().deviceKey.hash).toBeUndefined();
+      await expect(Sensor.findByDeviceKey(key)).resolves.toBe(odor);
+    });
+  });
+
+  describe('authenticateDevice', () => {
+    it('should require a key', async () => {
+      const { statusCode, body } = await authenticate({});
+
+      expect(statusCode).toBe(401);
+      expect(body.error).toBe('Device key required');
+    });
+
+    it('should reject unknown keys', async () => {
+      await odor.issueDeviceKey();
+      const { statusCode, body } = await authenticate({ 'x-device-key': 'dk_0000' });
+
+      expect(statusCode).toBe(401);
+      expect(body.error).toBe('Invalid device key');
+    });
+
+    it('should accept a key for its own sensor and record its use', async () => {
+      const key = await odor.issueDeviceKey();
+      const { req, next } = await authenticate({ 'x-device-key': key }, { id: odor._id.toString() });
+
+      expect(next).toBe(true);
+      expect(req.sensor).toBe(odor);
+      expect(odor.recordDeviceKeyUsage).toHaveBeenCalledWith('10.0.0.7');
+    });
+
+    it('should refuse a key bound to another sensor', async () => {
+      const key = await bin.issueDeviceKey();
+      const { statusCode, body } = await authenticate({ 'x-device-key': key }, { id: odor._id.toString() });
+
+      expect(statusCode).toBe(403);
+      expect(body.error).toBe('Access denied');
+    });
+
+    it('should stop accepting a key once it was rotated', async () => {
+      const oldKey = await odor.issueDeviceKey();
+      const newKey = await odor.issueDeviceKey();
+
+      expect((await authenticate({ 'x-device-key': oldKey })).statusCode).toBe(401);
+      expect((await authenticate({ 'x-device-key': newKey })).next).toBe(true);
+    });
+
+    it('should stop accepting a revoked key', async () => {
+      const key = await odor.issueDeviceKey();
+      await odor.revokeDeviceKey();
+
+      expect(odor.hasDeviceKey).toBe(false);
+      expect((await authenticate({ 'x-device-key': key })).statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { inspectPlan, validatePlacement, pinComplaints, layoutFloor } = require('../services/floorPlans');
+
+const png = (width, height) => {
+  const buffer = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+describe('Floor plans', () => {
+  describe('inspectPlan', () => {
+    it('should read PNG dimensions from the header', () => {
+      expect(inspectPlan(png(1600, 900))).toEqual({ type: 'png', contentType: 'image/png', width: 1600, height: 900 });
+    });
+
+    it('should size SVGs from the viewBox or their attributes', () => {
+      const viewBox = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600"></svg>');
+      const attributes = Buffer.from('<svg width="400px" height="300"><rect/></svg>');
+      const unsized = Buffer.from('<svg width="100%"></svg>');
+
+      expect(inspectPlan(viewBox)).toMatchObject({ type: 'svg', width: 800, height: 600 });
+      expect(inspectPlan(attributes)).toMatchObject({ width: 400, height: 300 });
+      expect(inspectPlan(unsized)).toMatchObject({ type: 'svg', width: undefined });
+    });
+
+    it('should reject other content', () => {
+      expect(inspectPlan(Buffer.from('GIF89a'))).toBeNull();
+      expect(inspectPlan(Buffer.from('<html><svg></svg></html>'))).toBeNull();
+    });
+  });
+
+  describe('validatePlacement', () => {
+    it('should require fractions of the plan', () => {
+      expect(validatePlacement({ x: 0.5, y: 1 })).toBeNull();
+      expect(validatePlacement({ x: 1.2, y: 0.5 })).toBe('Placement x must be a number between 0 and 1');
+      expect(validatePlacement({ x: '0.5', y: 0.5 })).toMatch(/^Placement x/);
+    });
+
+    it('should keep room rectangles within the plan', () => {
+      expect(validatePlacement({ x: 0.5, y: 0.5, width: 0.5, height: 0.2 }, { withSize: true })).toBeNull();
+      expect(validatePlacement({ x: 0.5, y: 0.5 }, { withSize: true })).toMatch(/^Placement width/);
+      expect(validatePlacement({ x: 0.6, y: 0.5, width: 0.5, height: 0.2 }, { withSize: true }))
+        .toBe('Placement must lie within the floor plan');
+    });
+  });
+
+  describe('layoutFloor', () => {
+    it('should describe the plan without its stored file name', () => {
+      const uploadedAt = new Date('2025-05-01');
+      const floor = {
+        _id: 'f1',
+        name: 'Level 2',
+        level: 2,
+        building: { _id: 'b1', name: 'HQ' },
+        plan: { filename: 'f1-1.png', contentType: 'image/png', size: 1024, width: 800, height: 600, uploadedAt }
+      };
+
+      expect(layoutFloor(floor)).toEqual({
+        id: 'f1',
+        name: 'Level 2',
+        level: 2,
+        building: { _id: 'b1', name: 'HQ' },
+        plan: { contentType: 'image/png', size: 1024, width: 800, height: 600, uploadedAt }
+      });
+      expect(layoutFloor({ ...floor, plan: {} }).plan).toBeNull();
+    });
+  });
+
+  describe('pinComplaints', () => {
+    const placed = { _id: new mongoose.Types.ObjectId(), placement: { x: 0.1, y: 0.2, width: 0.2, height: 0.4 } };
+    const unplaced = { _id: new mongoose.Types.ObjectId() };
+
+    it('should pin complaints to the centre of their room', () => {
+      const complaints = [
+        { title: 'Odor', locationIds: { room: placed._id } },
+        { title: 'Bin full', locationIds: { room: placed._id } },
+        { title: 'Leak', locationIds: { room: unplaced._id } },
+        { title: 'Lights', locationIds: {} }
+      ];
+
+      const pins = pinComplaints(complaints, [placed, unplaced]);
+
+      expect(pins).toHaveLength(2);
+      expect(pins[0].roomId).toBe(placed._id);
+      expect(pins[0].position.x).toBeCloseTo(0.2);
+      expect(pins[0].position.y).toBeCloseTo(0.4);
+      expect(pins[0].complaints.map(complaint => complaint.title)).toEqual(['Odor', 'Bin full']);
+      expect(pins[1]).toMatchObject({ roomId: null, position: null });
+      expect(pins[1].complaints).toHaveLength(2);
+    });
+  });
+});
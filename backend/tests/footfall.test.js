@@ -0,0 +1,60 @@
+const { mergeBuckets, summariseFootfall, recommendCleaning } = require('../services/footfall');
+
+describe('Footfall analytics', () => {
+  describe('mergeBuckets', () => {
+    it('should add up entries of several doors per bucket, oldest first', () => {
+      const series = mergeBuckets([
+        { timestamp: new Date('2024-01-01T09:00:00Z'), entries: 12 },
+        { timestamp: new Date('2024-01-01T08:00:00Z'), entries: 5 },
+        { timestamp: new Date('2024-01-01T09:00:00Z'), entries: 3 }
+      ]);
+
+      expect(series).toEqual([
+        { timestamp: new Date('2024-01-01T08:00:00Z'), entries: 5 },
+        { timestamp: new Date('2024-01-01T09:00:00Z'), entries: 15 }
+      ]);
+    });
+  });
+
+  describe('summariseFootfall', () => {
+    it('should report total, daily average and the busiest bucket', () => {
+      const series = [
+        { timestamp: new Date('2024-01-01T00:00:00Z'), entries: 120 },
+        { timestamp: new Date('2024-01-02T00:00:00Z'), entries: 200 }
+      ];
+
+      const summary = summariseFootfall(series, '2024-01-01T00:00:00Z', '2024-01-03T00:00:00Z');
+
+      expect(summary.totalEntries).toBe(320);
+      expect(summary.entriesPerDay).toBe(160);
+      expect(summary.peak).toBe(series[1]);
+    });
+
+    it('should have no peak without entries', () => {
+      expect(summariseFootfall([], '2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z').peak).toBeNull();
+    });
+  });
+
+  describe('recommendCleaning', () => {
+    it('should recommend cleanings from the entry rate', () => {
+      const cleaning = recommendCleaning({ cleanAfterEntries: 150, entriesSinceCleaning: 90, entriesPerDay: 600 });
+
+      expect(cleaning.entriesUntilCleaning).toBe(60);
+      expect(cleaning.cleaningDue).toBe(false);
+      expect(cleaning.cleaningsPerDay).toBe(4);
+      expect(cleaning.intervalHours).toBe(6);
+    });
+
+    it('should flag cleaning as due once the interval is used up', () => {
+      const cleaning = recommendCleaning({ cleanAfterEntries: 150, entriesSinceCleaning: 170 });
+
+      expect(cleaning.entriesUntilCleaning).toBe(0);
+      expect(cleaning.cleaningDue).toBe(true);
+      expect(cleaning.intervalHours).toBeNull();
+    });
+
+    it('should return null without a cleaning interval', () => {
+      expect(recommendCleaning({ cleanAfterEntries: null, entriesSinceCleaning: 10 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  fitFillRate,
+  predictTimeToLevel,
+  forecastBin,
+  fitDischargeRate,
+  forecastBattery
+} = require('../services/forecasting');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const start = new Date('2024-01-01T06:00:00Z').getTime();
+
+// Readings every 30 minutes
+const series = (values) => values.map((value, index) => ({
+  value,
+  timestamp: new Date(start + index * HOUR_MS / 2)
+}));
+
+describe('Bin fill forecasting', () => {
+  describe('fitFillRate', () => {
+    it('should fit the fill rate in percent per hour', () => {
+      const fit = fitFillRate(series([10, 15, 20, 25, 30]));
+
+      expect(fit.ratePerHour).toBeCloseTo(10);
+      expect(fit.samples).toBe(5);
+    });
+
+    it('should only use readings since the bin was last emptied', () => {
+      const fit = fitFillRate(series([60, 70, 80, 5, 7, 9, 11]));
+
+      expect(fit.ratePerHour).toBeCloseTo(4);
+      expect(fit.samples).toBe(4);
+    });
+
+    it('should return null without enough history', () => {
+      expect(fitFillRate(series([10, 20]))).toBeNull();
+      expect(fitFillRate(series([80, 90, 2, 4]))).toBeNull();
+    });
+  });
+
+  describe('predictTimeToLevel', () => {
+    it('should extrapolate linearly to the target', () => {
+      const at = predictTimeToLevel(40, new Date(start), 10, 80);
+
+      expect(at.getTime()).toBe(start + 4 * HOUR_MS);
+    });
+
+    it('should return the reading time once the target is reached', () => {
+      expect(predictTimeToLevel(85, new Date(start), 10, 80).getTime()).toBe(start);
+    });
+
+    it('should return null when the bin is not filling', () => {
+      expect(predictTimeToLevel(40, new Date(start), 0, 80)).toBeNull();
+      expect(predictTimeToLevel(40, new Date(start), -2, 80)).toBeNull();
+    });
+  });
+
+  describe('forecastBin', () => {
+    it('should predict threshold and full times from the current value', () => {
+      const readings = series([10, 15, 20, 25, 30]);
+      const forecast = forecastBin({
+        readings,
+        value: 30,
+        timestamp: readings[4].timestamp,
+        threshold: 80
+      });
+
+      expect(forecast.fillRatePerHour).toBe(10);
+      expect(forecast.thresholdAt.getTime()).toBe(readings[4].timestamp.getTime() + 5 * HOUR_MS);
+      expect(forecast.fullAt.getTime()).toBe(readings[4].timestamp.getTime() + 7 * HOUR_MS);
+    });
+  });
+
+  describe('fitDischargeRate', () => {
+    const daily = (levels) => levels.map((level, index) => ({
+      level,
+      timestamp: new Date(start + index * DAY_MS)
+    }));
+
+    it('should fit the drain in percent per day', () => {
+      const fit = fitDischargeRate(daily([90, 88, 86, 84]));
+
+      expect(fit.drainPerDay).toBeCloseTo(2);
+    });
+
+    it('should ignore history before the battery was replaced', () => {
+      const fit = fitDischargeRate(daily([30, 20, 10, 100, 99, 98]));
+
+      expect(fit.drainPerDay).toBeCloseTo(1);
+      expect(fit.samples).toBe(3);
+    });
+  });
+
+  describe('forecastBattery', () => {
+    it('should predict remaining days and the replacement date', () => {
+      const forecast = forecastBattery({
+        history: [{ level: 80, timestamp: new Date(start) }],
+        level: 60,
+        timestamp: new Date(start + 10 * DAY_MS),
+        replaceAt: 20
+      });
+
+      expect(forecast.drainPerDay).toBe(2);
+      expect(forecast.remainingDays).toBe(30);
+      expect(forecast.replaceBy.getTime()).toBe(start + 30 * DAY_MS);
+      expect(forecast.depletedAt.getTime()).toBe(start + 40 * DAY_MS);
+    });
+
+    it('should not predict a date for a battery that is not draining', () => {
+      const forecast = forecastBattery({
+        history: [{ level: 80, timestamp: new Date(start) }],
+        level: 80,
+        timestamp: new Date(start + 10 * DAY_MS),
+        replaceAt: 20
+      });
+
+      expect(forecast.remainingDays).toBeNull();
+      expect(forecast.replaceBy).toBeNull();
+    });
+  });
+});
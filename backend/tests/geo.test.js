@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { toGeoPoint, parseBbox, toFeatureCollection } = require('../services/geo');
+
+describe('Geo', () => {
+  describe('toGeoPoint', () => {
+    it('should put longitude first', () => {
+      expect(toGeoPoint({ latitude: 51.5, longitude: -0.12 })).toEqual({ type: 'Point', coordinates: [-0.12, 51.5] });
+    });
+
+    it('should skip missing or invalid coordinates', () => {
+      expect(toGeoPoint(undefined)).toBeUndefined();
+      expect(toGeoPoint({ latitude: 51.5 })).toBeUndefined();
+      expect(toGeoPoint({ latitude: 91, longitude: 0 })).toBeUndefined();
+      expect(toGeoPoint({ latitude: '51.5', longitude: 0 })).toBeUndefined();
+    });
+  });
+
+  describe('parseBbox', () => {
+    it('should build a closed polygon from west,south,east,north', () => {
+      const { polygon } = parseBbox('-0.2, 51.4, -0.1, 51.6');
+
+      expect(polygon.type).toBe('Polygon');
+      expect(polygon.coordinates[0]).toEqual([[-0.2, 51.4], [-0.1, 51.4], [-0.1, 51.6], [-0.2, 51.6], [-0.2, 51.4]]);
+    });
+
+    it('should reject malformed boxes', () => {
+      expect(parseBbox('1,2,3').error).toBe('Bounding box must be west,south,east,north');
+      expect(parseBbox('a,2,3,4').error).toBe('Bounding box must be west,south,east,north');
+      expect(parseBbox('0,,1,1').error).toBe('Bounding box must be west,south,east,north');
+      expect(parseBbox('0,-95,1,1').error).toMatch(/outside valid/);
+      expect(parseBbox('1,0,0,1').error).toMatch(/less than/);
+    });
+  });
+
+  describe('toFeatureCollection', () => {
+    it('should export located sensors with their status', () => {
+      const _id = new mongoose.Types.ObjectId();
+      const collection = toFeatureCollection([
+        {
+          _id,
+          name: 'Odor A',
+          type: 'odor',
+          status: 'warning',
+          currentValue: 9,
+          unit: 'ppm',
+          location: { building: 'Main', floor: 'Floor 1' },
+          geo: { type: 'Point', coordinates: [-0.12, 51.5] },
+          lastReading: { timestamp: new Date('2025-01-01T00:00:00Z') }
+        },
+        { _id: new mongoose.Types.ObjectId(), name: 'Unlocated', type: 'odor' }
+      ]);
+
+      expect(collection.type).toBe('FeatureCollection');
+      expect(collection.features).toHaveLength(1);
+      expect(collection.features[0]).toMatchObject({
+        type: 'Feature',
+        id: _id.toString(),
+        geometry: { type: 'Point', coordinates: [-0.12, 51.5] },
+        properties: { name: 'Odor A', status: 'warning', building: 'Main', floor: 'Floor 1', room: null }
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const express = require('express');
+const request = require('supertest');
+const Sensor = require('../models/Sensor');
+const SensorGroup = require('../models/SensorGroup');
+const sensorGroupRoutes = require('../routes/sensorGroups');
+const { errorHandler } = require('../middleware/errorHandler');
+const { storedSensor } = require('./helpers/sensors');
+
+const io = { emit: jest.fn() };
+
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use((req, res, next) => {
+  req.user = { role: 'admin', email: 'admin@example.com' };
+  next();
+});
+app.use('/api/sensor-groups', sensorGroupRoutes);
+app.use(errorHandler);
+
+// A stored sensor, so only the fields the route changes are written
+const groupSensor = (name, fields = {}) =>
+  storedSensor({ name, deviceId: name.toUpperCase().replace(/\W/g, ''), currentValue: 8, ...fields });
+
+describe('PUT /api/sensor-groups/:id/thresholds', () => {
+  const group = new SensorGroup({ name: 'Washrooms', membership: 'static', sensors: [] });
+  let bulkWrite;
+
+  const updateThresholds = body => request(app).put(`/api/sensor-groups/${group._id}/thresholds`).send(body);
+
+  beforeEach(() => {
+    jest.spyOn(SensorGroup, 'findById').mockResolvedValue(group);
+    bulkWrite = jest.spyOn(Sensor, 'bulkWrite').mockResolvedValue({ modifiedCount: 2 });
+    io.emit.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should write every sensor in one bulk write, with its new status', async () => {
+    const sensors = [groupSensor('Odor 1', { currentValue: 6 }), groupSensor('Odor 2', { currentValue: 2 })];
+    jest.spyOn(Sensor, 'find').mockResolvedValue(sensors);
+
+    const res = await updateThresholds({ thresholdValue: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.updated).toBe(2);
+    expect(res.body.sensors.map(sensor => sensor.status)).toEqual(['warning', 'normal']);
+    expect(bulkWrite).toHaveBeenCalledTimes(1);
+
+    const [[first, second]] = bulkWrite.mock.calls[0];
+    expect(first.updateOne.filter).toEqual({ _id: sensors[0]._id });
+    expect(first.updateOne.update.$set).toMatchObject({ thresholdValue: 5, status: 'warning' });
+    expect(second.updateOne.update.$set).toEqual({ thresholdValue: 5 });
+    expect(io.emit).toHaveBeenCalledTimes(2);
+  });
+
+  it('should write none of the sensors when one of them is invalid', async () => {
+    jest.spyOn(Sensor, 'find').mockResolvedValue([groupSensor('Odor 1'), groupSensor('Odor 2', { unit: '' })]);
+
+    const res = await updateThresholds({ thresholdValue: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Thresholds rejected for Odor 2: Unit is required');
+    expect(bulkWrite).not.toHaveBeenCalled();
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,30 @@
+const Sensor = require('../../models/Sensor');
+
+const DEFAULTS = {
+  name: 'Washroom 1 odor',
+  type: 'odor',
+  deviceId: 'ODOR001',
+  currentValue: 2,
+  thresholdValue: 10,
+  unit: 'ppm',
+  status: 'normal'
+};
+
+// A new odor sensor with `save` mocked; `fields` override the defaults
+const newSensor = (fields = {}) => {
+  const sensor = new Sensor({ ...DEFAULTS, ...fields });
+  sensor.save = jest.fn().mockResolvedValue(sensor);
+  return sensor;
+};
+
+// The same sensor as loaded from the database, so only the fields changed
+// afterwards count as modified
+const storedSensor = (fields = {}) => Sensor.hydrate(new Sensor({ ...DEFAULTS, ...fields }).toObject());
+
+const openAlerts = sensor => sensor.alerts.filter(alert => !alert.isResolved);
+
+module.exports = {
+  newSensor,
+  storedSensor,
+  openAlerts
+};
@@ -0,0 +1,65 @@
+const { gaugeScore, usageScore, complaintScore, scoreLocation, averageScore } = require('../services/hygieneIndex');
+
+const gauge = (type, currentValue, thresholdRatio, upperWarning) => ({
+  type,
+  currentValue,
+  thresholdRatio,
+  effectiveThresholds: { upperWarning }
+});
+
+const door = (entriesSinceCleaning, cleanAfter = 150) => ({
+  type: 'door-tracking',
+  usage: { entriesSinceCleaning },
+  effectiveCleanAfterEntries: cleanAfter
+});
+
+describe('Hygiene index', () => {
+  describe('component scores', () => {
+    it('should lower a gauge score as it approaches and passes its threshold', () => {
+      expect(gaugeScore(gauge('odor', 0, 0, 10))).toBe(100);
+      expect(gaugeScore(gauge('odor', 5, 0, 10))).toBe(85);
+      expect(gaugeScore(gauge('odor', 10, 1, 10))).toBe(70);
+      expect(gaugeScore(gauge('odor', 15, 1.5, 10))).toBe(0);
+    });
+
+    it('should score usage against the cleaning interval', () => {
+      expect(usageScore(door(0))).toBe(100);
+      expect(usageScore(door(150))).toBe(30);
+      expect(usageScore(door(300))).toBe(0);
+      expect(usageScore(door(10, null))).toBeNull();
+    });
+
+    it('should weigh high-priority complaints more', () => {
+      expect(complaintScore([])).toBe(100);
+      expect(complaintScore([{ priority: 'medium' }])).toBe(80);
+      expect(complaintScore([{ priority: 'high' }, { priority: 'low', isUrgent: true }])).toBe(30);
+    });
+  });
+
+  describe('scoreLocation', () => {
+    it('should weight the components present at a location', () => {
+      const result = scoreLocation([gauge('odor', 15, 1.5, 10), door(0)], []);
+
+      // odor 0 (0.25), door-tracking 100 (0.15), complaints 100 (0.15)
+      expect(result.components.map(component => component.component)).toEqual(['door-tracking', 'odor', 'complaints']);
+      expect(result.score).toBeCloseTo(54.5, 1);
+      expect(result.grade).toBe('poor');
+    });
+
+    it('should use the worst sensor of a type', () => {
+      const result = scoreLocation([gauge('bin-level', 10, 0, 100), gauge('bin-level', 100, 1.25, 80)]);
+
+      expect(result.components[0]).toEqual({ component: 'bin-level', score: 35, weight: 0.15 });
+    });
+
+    it('should ignore types without a hygiene weight', () => {
+      expect(scoreLocation([gauge('temperature', 40, 2, 30)])).toBeNull();
+      expect(scoreLocation([], [{ priority: 'low' }]).score).toBe(80);
+    });
+  });
+
+  it('should average scores over locations', () => {
+    expect(averageScore([{ score: 80 }, { score: 61 }])).toBe(70.5);
+    expect(averageScore([])).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../models/Sensor', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+
+const Sensor = require('../models/Sensor');
+const { MAX_CLAIM_ATTEMPTS, selectNewReadings, claimReadings } = require('../services/ingestion');
+
+// Sensor.findById(...).select(...).lean() resolving with `sensor`
+const mockFindById = (sensor) => {
+  Sensor.findById.mockReturnValue({ select: () => ({ lean: async () => sensor }) });
+};
+
+describe('Duplicate detection', () => {
+  describe('selectNewReadings', () => {
+    it('should drop message IDs already seen, within and across deliveries', () => {
+      const { accepted, newIds } = selectNewReadings(
+        [{ messageId: 'a' }, { messageId: 'b' }, { messageId: 'b' }, { messageId: 'c' }],
+        { recentMessageIds: ['a'] }
+      );
+
+      expect(accepted).toEqual([false, true, false, true]);
+      expect(newIds).toEqual(['b', 'c']);
+    });
+
+    it('should drop stale and out-of-order sequence numbers', () => {
+      const { accepted, lastSequence } = selectNewReadings(
+        [{ sequence: 10 }, { sequence: 12 }, { sequence: 11 }, { sequence: 12 }, { sequence: 13 }],
+        { lastSequence: 10 }
+      );
+
+      expect(accepted).toEqual([false, true, false, false, true]);
+      expect(lastSequence).toBe(13);
+    });
+
+    it('should accept any sequence from a sensor without delivery state', () => {
+      expect(selectNewReadings([{ sequence: 0 }], {}).accepted).toEqual([true]);
+      expect(selectNewReadings([{ sequence: 0 }], { lastSequence: null }).accepted).toEqual([true]);
+    });
+
+    it('should drop a restarted sequence and keep the last one for resyncing', () => {
+      const { accepted, lastSequence } = selectNewReadings([{ sequence: 0 }, { sequence: 1 }], { lastSequence: 1841 });
+
+      expect(accepted).toEqual([false, false]);
+      expect(lastSequence).toBe(1841);
+    });
+
+    it('should accept untracked readings', () => {
+      expect(selectNewReadings([{ value: 1 }, { value: 2 }], { lastSequence: 5 }).accepted).toEqual([true, true]);
+    });
+  });
+
+  describe('claimReadings', () => {
+    const sensor = { _id: 's1', name: 'Washroom 1 odor', ingestion: { lastSequence: 5, recentMessageIds: ['m5'] } };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should not touch the sensor for untracked readings', async () => {
+      const claim = await claimReadings(sensor, [{ value: 1 }]);
+
+      expect(claim).toEqual({ accepted: [true], lastSequence: 5 });
+      expect(Sensor.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should record new readings only if the delivery state is unchanged', async () => {
+      Sensor.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const claim = await claimReadings(sensor, [{ sequence: 6, messageId: 'm6' }, { sequence: 5, messageId: 'm5' }]);
+
+      expect(claim).toEqual({ accepted: [true, false], lastSequence: 6 });
+      expect(Sensor.updateOne).toHaveBeenCalledWith(
+        { _id: 's1', 'ingestion.lastSequence': 5, 'ingestion.recentMessageIds': { $nin: ['m6'] } },
+        {
+          $set: { 'ingestion.lastSequence': 6 },
+          $push: { 'ingestion.recentMessageIds': { $each: ['m6'], $slice: -100 } }
+        }
+      );
+    });
+
+    it('should not write when every reading is a duplicate', async () => {
+      const claim = await claimReadings(sensor, [{ messageId: 'm5' }]);
+
+      expect(claim).toEqual({ accepted: [false], lastSequence: 5 });
+      expect(Sensor.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should re-check against the fresh state after losing a race', async () => {
+      Sensor.updateOne.mockResolvedValueOnce({ matchedCount: 0 });
+      mockFindById({ ingestion: { lastSequence: 6, recentMessageIds: ['m5', 'm6'] } });
+
+      const claim = await claimReadings(sensor, [{ sequence: 6, messageId: 'm6' }]);
+
+      // The concurrent delivery stored the same message
+      expect(claim).toEqual({ accepted: [false], lastSequence: 6 });
+      expect(Sensor.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after too many concurrent deliveries', async () => {
+      Sensor.updateOne.mockResolvedValue({ matchedCount: 0 });
+      mockFindById({ ingestion: { lastSequence: 5, recentMessageIds: ['m5'] } });
+
+      await expect(claimReadings(sensor, [{ sequence: 6 }])).rejects.toThrow(/too many concurrent deliveries/);
+      expect(Sensor.updateOne).toHaveBeenCalledTimes(MAX_CLAIM_ATTEMPTS);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { normaliseName, parseFloorLevel, floorName } = require('../services/locations');
+const Floor = require('../models/Floor');
+const Room = require('../models/Room');
+const { resolveLocationRefs, buildHierarchyTree } = require('../services/locationHierarchy');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Location hierarchy', () => {
+  describe('names', () => {
+    it('should normalise case and whitespace', () => {
+      expect(normaliseName('  Main   Building ')).toBe('main building');
+      expect(normaliseName(undefined)).toBe('');
+    });
+
+    it('should read floor levels from common spellings', () => {
+      for (const name of ['2', 'Floor 2', '2nd floor', 'L2', '2F', 'level-2']) {
+        expect(parseFloorLevel(name)).toBe(2);
+      }
+      expect(parseFloorLevel('Ground')).toBe(0);
+      expect(parseFloorLevel('G')).toBe(0);
+      expect(parseFloorLevel('Basement')).toBe(-1);
+      expect(parseFloorLevel('B2')).toBe(-2);
+      expect(parseFloorLevel('Mezzanine')).toBeNull();
+      expect(parseFloorLevel('')).toBeNull();
+    });
+
+    it('should name floors by level', () => {
+      expect(floorName(0)).toBe('Ground');
+      expect(floorName(3)).toBe('Floor 3');
+      expect(floorName(-1)).toBe('Basement 1');
+    });
+  });
+
+  describe('buildHierarchyTree', () => {
+    const building = { _id: id(), name: 'Main' };
+    const upper = { _id: id(), building: building._id, level: 1, name: 'Floor 1' };
+    const ground = { _id: id(), building: building._id, level: 0, name: 'Ground' };
+    const washroom = { _id: id(), floor: upper._id, name: 'Washroom A', kind: 'room' };
+
+    it('should nest floors by level and rooms by name', () => {
+      const [main] = buildHierarchyTree({ buildings: [building], floors: [upper, ground], rooms: [washroom] });
+
+      expect(main.floors.map(floor => floor.name)).toEqual(['Ground', 'Floor 1']);
+      expect(main.floors[1].rooms.map(room => room.name)).toEqual(['Washroom A']);
+      expect(main.sensors.total).toBe(0);
+    });
+
+    it('should roll counts up to every level', () => {
+      const refs = { building: building._id, floor: upper._id, room: washroom._id };
+      const [main] = buildHierarchyTree({
+        buildings: [building],
+        floors: [upper, ground],
+        rooms: [washroom],
+        sensorCounts: [
+          { _id: { ...refs, status: 'critical' }, count: 2 },
+          { _id: { building: building._id, floor: ground._id, status: 'normal' }, count: 3 }
+        ],
+        complaintCounts: [{ _id: { ...refs, priority: 'high' }, count: 1 }]
+      });
+
+      const room = main.floors[1].rooms[0];
+      expect(room.sensors).toEqual({ total: 2, normal: 0, warning: 0, critical: 2, offline: 0 });
+      expect(main.floors[0].sensors.normal).toBe(3);
+      expect(main.sensors).toEqual({ total: 5, normal: 3, warning: 0, critical: 2, offline: 0 });
+      expect(main.complaints).toEqual({ open: 1, highPriority: 1 });
+      expect(room.complaints).toEqual({ open: 1, highPriority: 1 });
+    });
+  });
+
+  describe('resolveLocationRefs', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should reject a room whose floor was deleted', async () => {
+      const room = { _id: id(), floor: id(), name: 'Washroom A', kind: 'room' };
+      jest.spyOn(Room, 'findById').mockResolvedValue(room);
+      jest.spyOn(Floor, 'findById').mockResolvedValue(null);
+
+      await expect(resolveLocationRefs({ roomId: room._id })).resolves.toEqual({ error: 'Floor not found' });
+    });
+
+    it('should reject a room on another floor', async () => {
+      jest.spyOn(Room, 'findById').mockResolvedValue({ _id: id(), floor: id() });
+      jest.spyOn(Floor, 'findById').mockResolvedValue({ _id: id() });
+
+      await expect(resolveLocationRefs({ floorId: id(), roomId: id() })).resolves.toEqual({ error: 'Room is not on this floor' });
+    });
+  });
+});
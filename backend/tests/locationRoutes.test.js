@@ -0,0 +1,59 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Sensor = require('../models/Sensor');
+const Complaint = require('../models/Complaint');
+const Room = require('../models/Room');
+const locationRoutes = require('../routes/locations');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { role: 'admin', email: 'admin@example.com' };
+  next();
+});
+app.use('/api/locations', locationRoutes);
+app.use(errorHandler);
+
+describe('DELETE /api/locations/rooms/:id', () => {
+  const room = new Room({ name: 'Washroom 1', floor: new mongoose.Types.ObjectId() });
+  let countDocuments;
+  let unsetSensors;
+  let deleteRoom;
+
+  beforeEach(() => {
+    jest.spyOn(Room, 'findById').mockResolvedValue(room);
+    deleteRoom = jest.spyOn(Room, 'findByIdAndDelete').mockResolvedValue(room);
+    countDocuments = jest.spyOn(Sensor, 'countDocuments').mockResolvedValue(0);
+    unsetSensors = jest.spyOn(Sensor, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Complaint, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should ignore deleted sensors and clear their reference', async () => {
+    const res = await request(app).delete(`/api/locations/rooms/${room._id}`);
+
+    expect(res.status).toBe(200);
+    expect(countDocuments).toHaveBeenCalledWith({ 'locationIds.room': room._id, isActive: true });
+    expect(unsetSensors).toHaveBeenCalledWith(
+      { 'locationIds.room': room._id, isActive: false },
+      { $unset: { 'locationIds.room': '' } }
+    );
+    expect(deleteRoom).toHaveBeenCalledWith(room._id);
+  });
+
+  it('should refuse while active sensors are located there', async () => {
+    countDocuments.mockResolvedValue(2);
+
+    const res = await request(app).delete(`/api/locations/rooms/${room._id}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Cannot delete: 2 sensors are still located here');
+    expect(unsetSensors).not.toHaveBeenCalled();
+    expect(deleteRoom).not.toHaveBeenCalled();
+  });
+});
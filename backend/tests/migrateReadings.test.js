@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { migrateSensor } = require('../scripts/migrate-readings');
+
+const at = minute => new Date(Date.UTC(2025, 2, 10, 10, minute));
+
+describe('Reading migration', () => {
+  // The time-series collection, held in memory
+  let stored;
+  let unsetDataPoints;
+
+  const rawSensor = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Washroom 1 odor',
+    dataPoints: [
+      { value: 2, timestamp: at(0) },
+      { value: 3, timestamp: at(1) },
+      { value: 'broken', timestamp: at(2) },
+      { value: 5, timestamp: at(3) }
+    ]
+  };
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(SensorReading, 'find').mockImplementation(({ sensorId, timestamp }) => ({
+      select: () => ({
+        lean: async () => stored.filter(reading =>
+          reading.sensorId === sensorId && timestamp.$in.some(time => time.getTime() === reading.timestamp.getTime()))
+      })
+    }));
+    jest.spyOn(SensorReading, 'insertMany').mockImplementation(async (readings) => {
+      stored.push(...readings);
+      return readings;
+    });
+    unsetDataPoints = jest.spyOn(Sensor.collection, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should move numeric data points and drop the embedded array', async () => {
+    await migrateSensor(rawSensor);
+
+    expect(stored).toEqual([
+      { sensorId: rawSensor._id, value: 2, timestamp: at(0) },
+      { sensorId: rawSensor._id, value: 3, timestamp: at(1) },
+      { sensorId: rawSensor._id, value: 5, timestamp: at(3) }
+    ]);
+    expect(unsetDataPoints).toHaveBeenCalledWith({ _id: rawSensor._id }, { $unset: { dataPoints: '' } });
+  });
+
+  it('should not copy readings twice when resumed after an interruption', async () => {
+    unsetDataPoints.mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(migrateSensor(rawSensor)).rejects.toThrow('connection reset');
+    await migrateSensor(rawSensor);
+
+    expect(stored.map(reading => reading.value)).toEqual([2, 3, 5]);
+    expect(SensorReading.insertMany).toHaveBeenCalledTimes(1);
+  });
+
+  it('should copy only the readings an interrupted batch left out', async () => {
+    stored.push({ sensorId: rawSensor._id, value: 3, timestamp: at(1) });
+
+    await migrateSensor(rawSensor);
+
+    expect(stored.map(reading => reading.value)).toEqual([3, 2, 5]);
+  });
+});
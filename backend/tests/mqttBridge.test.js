@@ -0,0 +1,86 @@
+jest.mock('../models/Sensor', () => ({ findByDeviceKey: jest.fn() }));
+jest.mock('../services/ingestion', () => ({
+  ...jest.requireActual('../services/ingestion'),
+  ingestReading: jest.fn()
+}));
+
+const Sensor = require('../models/Sensor');
+const { ingestReading } = require('../services/ingestion');
+const { handleMessage, getMqttStats } = require('../services/mqttBridge');
+
+describe('MQTT bridge', () => {
+  const sensor = {
+    _id: 's1',
+    name: 'Washroom 1 odor',
+    deviceId: 'ODOR001',
+    isActive: true,
+    recordDeviceKeyUsage: jest.fn().mockResolvedValue()
+  };
+  const publish = (payload, deviceId = 'ODOR001') =>
+    handleMessage(`hygiene/${deviceId}/reading`, Buffer.from(JSON.stringify(payload)), null);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Sensor.findByDeviceKey.mockImplementation(async key => (key === 'dk_valid' ? sensor : null));
+    ingestReading.mockResolvedValue({ accepted: [true] });
+  });
+
+  it('should ingest readings signed with the sensor\'s device key', async () => {
+    const before = getMqttStats().processed;
+
+    await publish({ deviceKey: 'dk_valid', value: 42, batteryLevel: 87 });
+
+    expect(ingestReading).toHaveBeenCalledWith(sensor, { value: 42, batteryLevel: 87 }, { io: null, source: 'mqtt' });
+    expect(getMqttStats().processed).toBe(before + 1);
+    expect(sensor.recordDeviceKeyUsage).toHaveBeenCalledWith(null);
+  });
+
+  it('should pass on only the reading fields of the payload', async () => {
+    await publish({ deviceKey: 'dk_valid', value: 42, rawValue: 1, alerts: [], sequence: 7, messageId: 'm7' });
+
+    const [, reading] = ingestReading.mock.calls[0];
+    expect(Object.keys(reading).filter(field => reading[field] !== undefined)).toEqual(['value', 'sequence', 'messageId']);
+    expect(reading).not.toHaveProperty('rawValue');
+    expect(reading).not.toHaveProperty('deviceKey');
+  });
+
+  it('should reject readings without a device key', async () => {
+    const before = getMqttStats().unauthorized;
+
+    await publish({ value: 42 });
+
+    expect(Sensor.findByDeviceKey).not.toHaveBeenCalled();
+    expect(ingestReading).not.toHaveBeenCalled();
+    expect(getMqttStats().unauthorized).toBe(before + 1);
+  });
+
+  it('should reject invalid or revoked device keys', async () => {
+    const before = getMqttStats().unauthorized;
+
+    await publish({ deviceKey: 'dk_revoked', value: 42 });
+
+    expect(Sensor.findByDeviceKey).toHaveBeenCalledWith('dk_revoked');
+    expect(ingestReading).not.toHaveBeenCalled();
+    expect(getMqttStats().unauthorized).toBe(before + 1);
+  });
+
+  it('should reject keys of another device than the topic names', async () => {
+    const before = getMqttStats().unauthorized;
+
+    await publish({ deviceKey: 'dk_valid', value: 42 }, 'BIN001');
+
+    expect(ingestReading).not.toHaveBeenCalled();
+    expect(getMqttStats().unauthorized).toBe(before + 1);
+  });
+
+  it('should not look up keys for malformed readings', async () => {
+    const before = getMqttStats().malformed;
+
+    await publish({ deviceKey: 'dk_valid', value: 'high' });
+    await publish(42);
+    await handleMessage('hygiene/ODOR001/reading', Buffer.from('{not json'), null);
+
+    expect(Sensor.findByDeviceKey).not.toHaveBeenCalled();
+    expect(getMqttStats().malformed).toBe(before + 3);
+  });
+});
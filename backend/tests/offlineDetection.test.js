@@ -0,0 +1,38 @@
+const Sensor = require('../models/Sensor');
+const { raiseAlert } = require('../services/alertRules');
+const detectOfflineSensors = require('../jobs/offlineDetection');
+const { newSensor, openAlerts } = require('./helpers/sensors');
+
+describe('Offline detection', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should mark stale sensors offline and raise one alert each', async () => {
+    const sensor = newSensor({ lastReading: { value: 2, timestamp: new Date('2025-01-01T12:00:00Z') } });
+    const find = jest.spyOn(Sensor, 'find').mockResolvedValue([sensor]);
+    const io = { emit: jest.fn() };
+
+    const result = await detectOfflineSensors({ io });
+
+    expect(find.mock.calls[0][0]).toMatchObject({ isActive: true, status: { $ne: 'offline' } });
+    expect(result.markedOffline).toBe(1);
+    expect(sensor.status).toBe('offline');
+    expect(sensor.save).toHaveBeenCalled();
+    expect(openAlerts(sensor)).toEqual([
+      expect.objectContaining({ type: 'device-offline', severity: 'high' })
+    ]);
+    expect(io.emit).toHaveBeenCalledWith('sensor:offline', { sensor });
+    expect(io.emit).toHaveBeenCalledWith('sensor:alert', expect.objectContaining({ sensor }));
+  });
+
+  it('should not duplicate an open device-offline alert', async () => {
+    const sensor = newSensor();
+    raiseAlert(sensor, 'device-offline', 'Offline', 'high');
+    jest.spyOn(Sensor, 'find').mockResolvedValue([sensor]);
+
+    await detectOfflineSensors();
+
+    expect(openAlerts(sensor)).toHaveLength(1);
+  });
+});
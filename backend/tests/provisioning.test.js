@@ -0,0 +1,133 @@
+const express = require('express');
+const request = require('supertest');
+const Sensor = require('../models/Sensor');
+const PendingDevice = require('../models/PendingDevice');
+const ingestionRoutes = require('../routes/ingestion');
+const { errorHandler } = require('../middleware/errorHandler');
+const {
+  PENDING_DEVICE_TTL_HOURS,
+  ANNOUNCE_INTERVAL_SECONDS,
+  MAX_PENDING_PER_IP,
+  pendingExpiry,
+  announceRetryAfter,
+  announcedDetails,
+  claimSettings
+} = require('../services/provisioning');
+
+describe('Provisioning', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  describe('pendingExpiry', () => {
+    it('should expire unclaimed devices after the TTL', () => {
+      expect(pendingExpiry(now).getTime() - now.getTime()).toBe(PENDING_DEVICE_TTL_HOURS * 60 * 60 * 1000);
+    });
+  });
+
+  describe('announceRetryAfter', () => {
+    it('should make devices wait out the announce interval', () => {
+      const justNow = { lastSeenAt: new Date(now.getTime() - 1000) };
+      const longAgo = { lastSeenAt: new Date(now.getTime() - ANNOUNCE_INTERVAL_SECONDS * 1000) };
+
+      expect(announceRetryAfter(justNow, now)).toBe(ANNOUNCE_INTERVAL_SECONDS - 1);
+      expect(announceRetryAfter(longAgo, now)).toBe(0);
+    });
+  });
+
+  describe('announcedDetails', () => {
+    it('should keep only the reported device fields', () => {
+      expect(announcedDetails({ deviceId: 'ODOR042', manufacturer: 'Vendor X', model: undefined, value: 0, isActive: false }))
+        .toEqual({ manufacturer: 'Vendor X', value: 0 });
+    });
+  });
+
+  describe('claimSettings', () => {
+    const pending = {
+      deviceId: 'ODOR042',
+      manufacturer: 'Vendor X',
+      model: 'OX-2',
+      firmwareVersion: '1.4.0',
+      type: 'odor',
+      unit: 'ppb',
+      value: 3200
+    };
+
+    it('should default to what the device announced', () => {
+      const { settings } = claimSettings(pending, {});
+
+      expect(settings).toEqual({
+        name: 'Vendor X OX-2 ODOR042',
+        type: 'odor',
+        deviceId: 'ODOR042',
+        unit: 'ppb',
+        currentValue: 3200,
+        manufacturer: 'Vendor X',
+        model: 'OX-2',
+        firmwareVersion: '1.4.0'
+      });
+    });
+
+    it('should drop the announced unit and value when the admin picks another type', () => {
+      const { settings } = claimSettings(pending, { name: 'Washroom 3 odor', type: 'humidity' });
+
+      expect(settings).toMatchObject({ name: 'Washroom 3 odor', type: 'humidity', unit: undefined, currentValue: 0 });
+    });
+
+    it('should take the profile over the announcement', () => {
+      const defaults = { profile: 'p1', type: 'odor', deviceUnit: 'ppm', thresholdValue: 8, reportingIntervalMs: 60000 };
+      const { settings } = claimSettings(pending, {}, defaults);
+
+      expect(settings).toMatchObject({ profile: 'p1', unit: 'ppm', currentValue: 0, thresholdValue: 8, reportingIntervalMs: 60000 });
+      expect(claimSettings(pending, { type: 'humidity' }, defaults).error).toBe('The profile is for odor sensors');
+    });
+
+    it('should require a type', () => {
+      expect(claimSettings({ deviceId: 'X1' }, {}).error).toMatch(/type is required/);
+    });
+  });
+
+  describe('POST /api/sensors/announce', () => {
+    const app = express();
+    app.use(express.json());
+    app.set('io', { emit: jest.fn() });
+    app.use('/api/sensors', ingestionRoutes);
+    app.use(errorHandler);
+
+    let pendingFromIp;
+
+    beforeEach(() => {
+      pendingFromIp = 0;
+      jest.spyOn(Sensor, 'exists').mockResolvedValue(null);
+      jest.spyOn(PendingDevice, 'findOne').mockResolvedValue(null);
+      jest.spyOn(PendingDevice, 'countDocuments').mockImplementation(async filter => (filter.lastIp ? pendingFromIp : 0));
+      jest.spyOn(PendingDevice.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const announce = body => request(app).post('/api/sensors/announce').send(body);
+
+    it('should queue new devices', async () => {
+      const response = await announce({ deviceId: 'ODOR042', unit: 'ppb' }).expect(202);
+
+      expect(response.body.deviceId).toBe('ODOR042');
+    });
+
+    it('should turn away new devices from an address with too many waiting', async () => {
+      pendingFromIp = MAX_PENDING_PER_IP;
+
+      const response = await announce({ deviceId: 'ODOR043' }).expect(429);
+
+      expect(response.headers['retry-after']).toBe(String(ANNOUNCE_INTERVAL_SECONDS));
+      expect(PendingDevice.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should only accept units from the registry', async () => {
+      await announce({ deviceId: 'ODOR044', unit: 'constructor' }).expect(400);
+      await announce({ deviceId: 'ODOR044', unit: 'toString' }).expect(400);
+    });
+  });
+});
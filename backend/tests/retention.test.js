@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+process.env.RETENTION_ARCHIVE = 'true';
+process.env.RETENTION_ARCHIVE_DIR = archiveDir;
+
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const BatteryReading = require('../models/BatteryReading');
+const DoorEvent = require('../models/DoorEvent');
+const HygieneScore = require('../models/HygieneScore');
+const Complaint = require('../models/Complaint');
+const RetentionRun = require('../models/RetentionRun');
+const { RETENTION_DAYS, expiredAlert, archiveDocuments, runRetention } = require('../services/retention');
+
+async function* documents(docs) {
+  yield* docs;
+}
+
+// Model.find(...).lean().cursor() streaming `docs`
+const mockFind = (Model, docs = []) =>
+  jest.spyOn(Model, 'find').mockImplementation(() => ({ lean: () => ({ cursor: () => documents(docs) }) }));
+
+const mockDeleteMany = (Model, deletedCount = 0) =>
+  jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount });
+
+const readArchive = file => zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n').map(JSON.parse);
+
+describe('Retention', () => {
+  const runAt = new Date('2025-06-01T03:30:00Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  describe('expiredAlert', () => {
+    it('should match alerts acknowledged or resolved before the cutoff', () => {
+      const cutoff = new Date('2025-03-01');
+
+      expect(expiredAlert(cutoff).$or).toEqual(expect.arrayContaining([
+        { isAcknowledged: true, acknowledgedAt: { $lt: cutoff } },
+        { isResolved: true, resolvedAt: { $lt: cutoff } },
+        { isResolved: true, resolvedAt: null, timestamp: { $lt: cutoff } }
+      ]));
+      expect(expiredAlert(cutoff, 'alert.').$or[2]).toEqual({ 'alert.isResolved': true, 'alert.resolvedAt': { $lt: cutoff } });
+    });
+  });
+
+  describe('archiveDocuments', () => {
+    it('should write one JSON document per line, gzipped', async () => {
+      const docs = [{ sensorId: 's1', value: 1 }, { sensorId: 's1', value: 2 }];
+
+      const { count, file } = await archiveDocuments('readings', documents(docs), runAt);
+
+      expect(count).toBe(2);
+      expect(path.basename(file)).toBe('readings-2025-06-01T03-30-00-000Z.ndjson.gz');
+      expect(readArchive(file)).toEqual(docs);
+    });
+
+    it('should not leave empty archives behind', async () => {
+      const { count, file } = await archiveDocuments('door-events', documents([]), runAt);
+
+      expect(count).toBe(0);
+      expect(file).toBeUndefined();
+      expect(fs.readdirSync(archiveDir).some(name => name.startsWith('door-events-'))).toBe(false);
+    });
+  });
+
+  describe('runRetention', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = jest.spyOn(RetentionRun.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+
+      [SensorReading, SensorRollup, BatteryReading, DoorEvent, HygieneScore, Complaint].forEach(Model => {
+        mockFind(Model);
+        mockDeleteMany(Model);
+      });
+
+      // The expired-alerts pipeline is both streamed and counted
+      jest.spyOn(Sensor, 'aggregate').mockImplementation((pipeline) => {
+        const counting = pipeline.some(stage => stage.$count);
+        const result = Promise.resolve(counting ? [{ total: 1 }] : []);
+        result.cursor = () => documents([{ sensorName: 'Bin 1', alert: { type: 'fill-forecast', isResolved: true } }]);
+        return result;
+      });
+      jest.spyOn(Sensor, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('should archive and purge every data class with a retention', async () => {
+      mockFind(SensorReading, [{ value: 1 }, { value: 2 }]);
+      mockDeleteMany(SensorReading, 2);
+
+      const run = await runRetention({ trigger: 'manual' });
+      const result = name => run.results.find(({ dataClass }) => dataClass === name);
+
+      expect(saved).toHaveBeenCalled();
+      expect(result('readings')).toMatchObject({ retentionDays: RETENTION_DAYS.readings, archived: 2, deleted: 2 });
+      expect(readArchive(result('readings').archiveFile)).toEqual([{ value: 1 }, { value: 2 }]);
+      expect(result('rollups-1d').cutoff).toBeUndefined();
+
+      const { cutoff } = result('closed-alerts');
+      expect(result('closed-alerts')).toMatchObject({ archived: 1, deleted: 1 });
+      expect(Sensor.updateMany).toHaveBeenCalledWith(
+        { alerts: { $elemMatch: expiredAlert(cutoff) } },
+        { $pull: { alerts: expiredAlert(cutoff) } }
+      );
+    });
+
+    it('should record a failing class and carry on with the others', async () => {
+      jest.spyOn(BatteryReading, 'deleteMany').mockRejectedValue(new Error('connection reset'));
+      mockDeleteMany(DoorEvent, 5);
+
+      const run = await runRetention();
+
+      expect(run.results.find(({ dataClass }) => dataClass === 'battery-history').error).toBe('connection reset');
+      expect(run.results.find(({ dataClass }) => dataClass === 'door-events').deleted).toBe(5);
+    });
+
+    it('should not start while a purge is running', async () => {
+      const first = runRetention();
+
+      await expect(runRetention()).resolves.toBeNull();
+      await first;
+    });
+  });
+});
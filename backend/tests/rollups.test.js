@@ -0,0 +1,194 @@
+const express = require('express');
+const request = require('supertest');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const sensorRoutes = require('../routes/sensors');
+const { ingestReadings } = require('../services/ingestion');
+const { errorHandler } = require('../middleware/errorHandler');
+const { newSensor } = require('./helpers/sensors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const app = express();
+app.use(express.json());
+app.use('/api/sensors', sensorRoutes);
+app.use(errorHandler);
+
+const at = time => new Date(`2025-03-10T${time}Z`);
+
+// The aggregate written for one bucket by the last bulk write
+const written = (bulkWrite, resolution, bucket) => {
+  const [operations] = bulkWrite.mock.calls[bulkWrite.mock.calls.length - 1];
+  return operations
+    .map(({ updateOne }) => updateOne)
+    .find(({ filter }) => filter.resolution === resolution && filter.bucket.getTime() === bucket.getTime());
+};
+
+describe('Sensor rollups', () => {
+  let bulkWrite;
+
+  beforeEach(() => {
+    bulkWrite = jest.spyOn(SensorRollup, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordReadings', () => {
+    const sensorId = 's1';
+
+    it('should aggregate readings into one upsert per bucket and resolution', async () => {
+      await SensorRollup.recordReadings(sensorId, [
+        { value: 4, timestamp: at('10:00:10') },
+        { value: 9, timestamp: at('10:00:50') },
+        { value: 1, timestamp: at('10:05:00') }
+      ]);
+
+      const [operations, options] = bulkWrite.mock.calls[0];
+      // Two minutes, one hour and one day
+      expect(operations).toHaveLength(4);
+      expect(options).toEqual({ ordered: false });
+
+      const minute = written(bulkWrite, '1m', at('10:00:00'));
+      expect(minute.filter).toEqual({ sensorId, resolution: '1m', bucket: at('10:00:00') });
+      expect(minute.upsert).toBe(true);
+
+      const [{ $set: hour }] = written(bulkWrite, '1h', at('10:00:00')).update;
+      expect(hour.min).toEqual({ $min: ['$min', 1] });
+      expect(hour.max).toEqual({ $max: ['$max', 9] });
+      expect(hour.sum).toEqual({ $add: [{ $ifNull: ['$sum', 0] }, 14] });
+      expect(hour.count).toEqual({ $add: [{ $ifNull: ['$count', 0] }, 3] });
+      expect(hour.last.$cond[1]).toBe(1);
+      expect(hour.lastTimestamp).toEqual({ $max: ['$lastTimestamp', at('10:05:00')] });
+    });
+
+    it('should keep the newest reading as the last value whatever the input order', async () => {
+      await SensorRollup.recordReadings(sensorId, [
+        { value: 7, timestamp: at('10:30:00') },
+        { value: 3, timestamp: at('10:10:00') }
+      ]);
+
+      const [{ $set: hour }] = written(bulkWrite, '1h', at('10:00:00')).update;
+      expect(hour.last.$cond).toEqual([
+        { $gte: [at('10:30:00'), { $ifNull: ['$lastTimestamp', new Date(0)] }] },
+        7,
+        '$last'
+      ]);
+    });
+
+    it('should not write without readings', async () => {
+      await SensorRollup.recordReadings(sensorId, []);
+
+      expect(bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should receive numbers from ingestion even when the device sent strings', async () => {
+      jest.spyOn(SensorReading, 'insertMany').mockResolvedValue([]);
+      const sensor = newSensor();
+
+      await ingestReadings(sensor, [
+        { value: '4', timestamp: at('10:00:10') },
+        { value: '6', timestamp: at('10:00:20') }
+      ]);
+
+      const [{ $set: minute }] = written(bulkWrite, '1m', at('10:00:00')).update;
+      expect(minute.sum).toEqual({ $add: [{ $ifNull: ['$sum', 0] }, 10] });
+      expect(sensor.currentValue).toBe(6);
+    });
+  });
+
+  describe('resolutionFor', () => {
+    const to = at('12:00:00');
+    const span = ms => [new Date(to.getTime() - ms), to];
+
+    it('should use minutes up to six hours', () => {
+      expect(SensorRollup.resolutionFor(...span(6 * HOUR_MS))).toBe('1m');
+      expect(SensorRollup.resolutionFor(...span(6 * HOUR_MS + 1))).toBe('1h');
+    });
+
+    it('should use hours up to fourteen days and days beyond', () => {
+      expect(SensorRollup.resolutionFor(...span(14 * DAY_MS))).toBe('1h');
+      expect(SensorRollup.resolutionFor(...span(14 * DAY_MS + 1))).toBe('1d');
+    });
+  });
+
+  describe('getSeries', () => {
+    it('should include the bucket the range starts in', () => {
+      const sort = jest.fn();
+      const find = jest.spyOn(SensorRollup, 'find').mockReturnValue({ sort });
+
+      SensorRollup.getSeries('s1', '1h', at('10:20:00'), at('14:00:00'));
+
+      expect(find).toHaveBeenCalledWith({
+        sensorId: 's1',
+        resolution: '1h',
+        bucket: { $gte: at('10:00:00'), $lte: at('14:00:00') }
+      });
+      expect(sort).toHaveBeenCalledWith({ bucket: 1 });
+    });
+  });
+
+  describe('rebuild', () => {
+    it('should regroup raw readings per resolution from the start of the day', async () => {
+      const allowDiskUse = jest.fn().mockResolvedValue([]);
+      const aggregate = jest.spyOn(SensorReading, 'aggregate').mockReturnValue({ allowDiskUse });
+
+      await SensorRollup.rebuild({ sensorId: 's1', from: at('10:20:00') });
+
+      expect(aggregate).toHaveBeenCalledTimes(3);
+      const pipelines = aggregate.mock.calls.map(([pipeline]) => pipeline);
+      expect(pipelines[0][0]).toEqual({ $match: { sensorId: 's1', timestamp: { $gte: at('00:00:00') } } });
+      expect(pipelines.map(pipeline => pipeline[2].$group._id.bucket.$dateTrunc.unit)).toEqual(['minute', 'hour', 'day']);
+      expect(pipelines.map(pipeline => pipeline[3].$project.resolution)).toEqual([
+        { $literal: '1m' },
+        { $literal: '1h' },
+        { $literal: '1d' }
+      ]);
+      expect(pipelines[0][4].$merge).toMatchObject({ on: ['sensorId', 'resolution', 'bucket'], whenMatched: 'replace' });
+      expect(allowDiskUse).toHaveBeenCalledWith(true);
+    });
+  });
+
+  describe('GET /api/sensors/:id/series', () => {
+    const sensor = newSensor();
+    let getSeries;
+
+    beforeEach(() => {
+      jest.spyOn(Sensor, 'findById').mockResolvedValue(sensor);
+      getSeries = jest.spyOn(SensorRollup, 'getSeries').mockResolvedValue([
+        new SensorRollup({ sensorId: sensor._id, resolution: '1h', bucket: at('10:00:00'), min: 1, max: 9, sum: 14, count: 4, last: 2 })
+      ]);
+    });
+
+    const series = query => request(app).get(`/api/sensors/${sensor._id}/series`).query(query);
+
+    it('should pick the resolution from the range and return bucket values', async () => {
+      const res = await series({ from: '2025-03-10T00:00:00Z', to: '2025-03-12T00:00:00Z' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.resolution).toBe('1h');
+      expect(getSeries).toHaveBeenCalledWith(sensor._id, '1h', at('00:00:00'), new Date('2025-03-12T00:00:00Z'));
+      expect(res.body.points).toEqual([
+        { timestamp: '2025-03-10T10:00:00.000Z', min: 1, max: 9, avg: 3.5, count: 4, last: 2 }
+      ]);
+    });
+
+    it('should honour an explicit resolution', async () => {
+      const res = await series({ from: '2025-03-10T00:00:00Z', to: '2025-03-10T01:00:00Z', resolution: '1d' });
+
+      expect(res.body.resolution).toBe('1d');
+      expect(getSeries).toHaveBeenCalledWith(sensor._id, '1d', expect.any(Date), expect.any(Date));
+    });
+
+    it('should reject a range that ends before it starts', async () => {
+      const res = await series({ from: '2025-03-11T00:00:00Z', to: '2025-03-10T00:00:00Z' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe('From must be before to');
+      expect(getSeries).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const {
+  normaliseTags,
+  validateTags,
+  validateGroupFilter,
+  groupSensorFilter,
+  summariseGroup
+} = require('../services/sensorGroups');
+
+describe('Sensor groups', () => {
+  describe('normaliseTags', () => {
+    it('should trim, lowercase and deduplicate tags', () => {
+      expect(normaliseTags([' Washroom ', 'washroom', 'Vendor  X', ''])).toEqual(['washroom', 'vendor x']);
+      expect(normaliseTags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('validateTags', () => {
+    it('should require an array of short strings', () => {
+      expect(validateTags(['washroom'])).toBeNull();
+      expect(validateTags('washroom')).toBe('Tags must be an array');
+      expect(validateTags(['  '])).toMatch(/non-empty/);
+      expect(validateTags(['x'.repeat(51)])).toMatch(/at most 50/);
+    });
+  });
+
+  describe('validateGroupFilter', () => {
+    it('should accept known criteria', () => {
+      expect(validateGroupFilter({ types: ['odor'], manufacturer: 'Vendor X' })).toBeNull();
+      expect(validateGroupFilter({ tags: ['washroom'], floorId: new mongoose.Types.ObjectId().toString() })).toBeNull();
+    });
+
+    it('should reject invalid or empty filters', () => {
+      expect(validateGroupFilter(null)).toBe('Filter must be an object');
+      expect(validateGroupFilter({ types: ['radon'] })).toBe('Filter types must be valid sensor types');
+      expect(validateGroupFilter({ statuses: ['broken'] })).toMatch(/^Filter statuses/);
+      expect(validateGroupFilter({ tags: 'washroom' })).toBe('Filter tags must be an array');
+      expect(validateGroupFilter({ manufacturer: ' ' })).toBe('Filter manufacturer must be a non-empty string');
+      expect(validateGroupFilter({ roomId: 'nope' })).toBe('Filter location references must be valid IDs');
+      expect(validateGroupFilter({ types: [] })).toBe('Filter needs at least one criterion');
+    });
+  });
+
+  describe('groupSensorFilter', () => {
+    it('should match the listed sensors of a static group', () => {
+      const ids = [new mongoose.Types.ObjectId()];
+
+      expect(groupSensorFilter({ membership: 'static', sensors: ids })).toEqual({ _id: { $in: ids }, isActive: true });
+    });
+
+    it('should build a query from a saved filter', () => {
+      const floorId = new mongoose.Types.ObjectId();
+      const filter = groupSensorFilter({
+        membership: 'filter',
+        filter: { types: ['odor'], tags: ['Washroom'], manufacturer: 'Vendor X (EU)', floorId }
+      });
+
+      expect(filter).toMatchObject({
+        isActive: true,
+        type: { $in: ['odor'] },
+        tags: { $all: ['washroom'] },
+        'locationIds.floor': floorId
+      });
+      expect(filter.manufacturer.test('vendor x (eu)')).toBe(true);
+      expect(filter.manufacturer.test('Vendor X (EU) Ltd')).toBe(false);
+      expect(filter).not.toHaveProperty('status');
+    });
+  });
+
+  describe('summariseGroup', () => {
+    it('should count sensors and list those needing attention, worst first', () => {
+      const summary = summariseGroup([
+        { _id: 1, name: 'B', type: 'odor', status: 'warning', alerts: [{ isResolved: false }] },
+        { _id: 2, name: 'A', type: 'odor', status: 'critical', alerts: [{ isResolved: true }, { isResolved: false }] },
+        { _id: 3, name: 'C', type: 'humidity', status: 'normal' },
+        { _id: 4, name: 'D', type: 'humidity', status: 'offline' }
+      ]);
+
+      expect(summary.total).toBe(4);
+      expect(summary.byStatus).toEqual({ normal: 1, warning: 1, critical: 1, offline: 1 });
+      expect(summary.byType).toEqual({ odor: 2, humidity: 2 });
+      expect(summary.openAlerts).toBe(2);
+      expect(summary.attention.map(sensor => sensor.name)).toEqual(['A', 'D', 'B']);
+    });
+  });
+});
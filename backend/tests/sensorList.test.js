@@ -0,0 +1,49 @@
+const express = require('express');
+const request = require('supertest');
+const Sensor = require('../models/Sensor');
+const sensorRoutes = require('../routes/sensors');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sensors', sensorRoutes);
+app.use(errorHandler);
+
+describe('GET /api/sensors', () => {
+  let find;
+
+  beforeEach(() => {
+    find = jest.spyOn(Sensor, 'find').mockReturnValue({
+      sort: () => ({ skip: () => ({ limit: async () => [] }) })
+    });
+    jest.spyOn(Sensor, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should filter on comma-separated tags', async () => {
+    const res = await request(app).get('/api/sensors?tags=Washroom,vendor-x');
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].tags).toEqual({ $all: ['washroom', 'vendor-x'] });
+  });
+
+  it('should accept repeated tags parameters', async () => {
+    const res = await request(app).get('/api/sensors?tags=washroom&tags=vendor-x,floor-2');
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].tags).toEqual({ $all: ['washroom', 'vendor-x', 'floor-2'] });
+  });
+
+  it('should reject empty or nested tags', async () => {
+    for (const query of ['tags=washroom&tags=', 'tags[a]=b']) {
+      const res = await request(app).get(`/api/sensors?${query}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe('Tags cannot be empty');
+    }
+    expect(find).not.toHaveBeenCalled();
+  });
+});
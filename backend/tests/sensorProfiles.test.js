@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { isSensorType, getSensorTypes, HEALTH_SCORE_WEIGHTS } = require('../config/sensorTypes');
+const { getTypeUnits, unitFamily } = require('../services/units');
+const { resolveThresholds } = require('../services/thresholds');
+const {
+  setProfiles,
+  profileSetting,
+  healthWeights,
+  validateHealthWeights,
+  validateProfileUnit,
+  sensorDefaults
+} = require('../services/sensorProfiles');
+
+const profile = (fields) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date('2025-01-01'), ...fields });
+
+describe('Sensor profiles', () => {
+  const ammonia = profile({
+    name: 'Vendor X ammonia',
+    type: 'ammonia',
+    unit: 'ppb',
+    thresholdValue: 25,
+    thresholds: { upperCritical: 50, hysteresis: 1 },
+    calibrationIntervalDays: 60,
+    hygieneWeight: 0.2
+  });
+  const soap = profile({ name: 'Soap level', type: 'soap-level', unit: 'level', createdAt: new Date('2025-02-01') });
+  const odor = profile({
+    name: 'Vendor Y odor',
+    type: 'odor',
+    unit: 'ppb',
+    manufacturer: 'Vendor Y',
+    thresholdValue: 8,
+    thresholds: { lowerWarning: 1 },
+    reportingIntervalMs: 60000,
+    healthWeights: { offline: 80 }
+  });
+
+  beforeEach(() => {
+    setProfiles([ammonia, soap, odor]);
+  });
+
+  afterAll(() => {
+    setProfiles([]);
+  });
+
+  describe('profile-defined types', () => {
+    it('should add new types next to the built-in ones', () => {
+      expect(isSensorType('ammonia')).toBe(true);
+      expect(isSensorType('soap-level')).toBe(true);
+      expect(getSensorTypes()).toEqual(expect.arrayContaining(['odor', 'ammonia', 'soap-level']));
+
+      setProfiles([]);
+      expect(isSensorType('ammonia')).toBe(false);
+    });
+
+    it('should store new types in the canonical unit of their unit', () => {
+      expect(getTypeUnits('ammonia')).toEqual({ canonical: 'ppm', supported: ['ppm', 'ppb'] });
+      expect(getTypeUnits('soap-level')).toEqual({ canonical: 'level', supported: ['level'] });
+    });
+
+    it('should keep built-in types as configured', () => {
+      expect(getTypeUnits('odor').canonical).toBe('ppm');
+    });
+  });
+
+  describe('settings', () => {
+    it('should prefer the profile and fall back to the type', () => {
+      expect(profileSetting({ type: 'ammonia', profile: ammonia._id }, 'calibrationIntervalDays')).toBe(60);
+      expect(profileSetting({ type: 'odor', profile: odor._id }, 'calibrationIntervalDays')).toBe(90);
+      expect(profileSetting({ type: 'odor' }, 'hygieneWeight')).toBe(0.25);
+    });
+
+    it('should layer profile bands between the sensor and type defaults', () => {
+      const bands = resolveThresholds({ type: 'ammonia', profile: ammonia._id, thresholdValue: 25, thresholds: { hysteresis: 2 } });
+
+      expect(bands).toMatchObject({ upperWarning: 25, upperCritical: 50, hysteresis: 2 });
+      expect(resolveThresholds({ type: 'odor', profile: odor._id, thresholdValue: 8 })).toMatchObject({ lowerWarning: 1, hysteresis: 0.5 });
+    });
+
+    it('should override health score weights per profile', () => {
+      expect(healthWeights({ type: 'odor', profile: odor._id })).toEqual({ ...HEALTH_SCORE_WEIGHTS, offline: 80 });
+      expect(healthWeights({ type: 'odor' })).toEqual(HEALTH_SCORE_WEIGHTS);
+    });
+  });
+
+  describe('validation', () => {
+    it('should check units against the type', () => {
+      expect(validateProfileUnit({ type: 'odor', unit: 'ppb' })).toBeNull();
+      expect(validateProfileUnit({ type: 'odor', unit: '%' })).toBe('Unit % is not supported for odor sensors');
+      expect(validateProfileUnit({ type: 'ammonia', unit: 'ppm' }, [ammonia])).toBeNull();
+      expect(validateProfileUnit({ type: 'ammonia', unit: '%' }, [ammonia])).toMatch(/stored in ppm/);
+    });
+
+    it('should only accept known health score issues', () => {
+      expect(validateHealthWeights({ offline: 80 })).toBeNull();
+      expect(validateHealthWeights({ dusty: 5 })).toMatch(/^Health weights may only set/);
+      expect(validateHealthWeights({ offline: 120 })).toBe('Health score weights must be between 0 and 100');
+    });
+  });
+
+  describe('sensorDefaults', () => {
+    it('should fill new sensors from the profile', () => {
+      expect(sensorDefaults(odor)).toEqual({
+        profile: odor._id,
+        type: 'odor',
+        deviceUnit: 'ppb',
+        thresholdValue: 8,
+        reportingIntervalMs: 60000,
+        manufacturer: 'Vendor Y'
+      });
+    });
+  });
+
+  describe('unitFamily', () => {
+    it('should treat units outside the registry as their own family', () => {
+      expect(unitFamily('°F')).toEqual({ canonical: '°C', supported: ['°C', '°F', 'K'] });
+      expect(unitFamily('drops')).toEqual({ canonical: 'drops', supported: ['drops'] });
+    });
+  });
+});
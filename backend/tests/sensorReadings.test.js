@@ -0,0 +1,115 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const sensorRoutes = require('../routes/sensors');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sensors', sensorRoutes);
+app.use(errorHandler);
+
+const sensorId = new mongoose.Types.ObjectId();
+const at = minute => new Date(Date.UTC(2025, 2, 10, 10, minute));
+
+// ObjectIds are created in order, so later readings sort after earlier ones
+const readings = [0, 1, 1, 1, 2, 3].map((minute, value) => ({
+  _id: new mongoose.Types.ObjectId(),
+  sensorId,
+  timestamp: at(minute),
+  value
+}));
+
+const before = (a, b) => a.timestamp < b.timestamp || (a.timestamp.getTime() === b.timestamp.getTime() && a._id.toString() < b._id.toString());
+
+// Evaluates the filters getRange builds against `readings`
+const matches = (reading, { timestamp = {}, $or }) =>
+  (!timestamp.$gte || reading.timestamp >= timestamp.$gte) &&
+  (!timestamp.$lte || reading.timestamp <= timestamp.$lte) &&
+  (!$or || $or.some(clause => clause._id
+    ? clause.timestamp.getTime() === reading.timestamp.getTime() && reading._id.toString() < clause._id.$lt.toString()
+    : reading.timestamp < clause.timestamp.$lt));
+
+const mockFind = () => jest.spyOn(SensorReading, 'find').mockImplementation(filter => ({
+  sort: () => ({
+    limit: limit => ({
+      lean: async () => readings
+        .filter(reading => matches(reading, filter))
+        .sort((a, b) => (before(a, b) ? 1 : -1))
+        .slice(0, limit)
+    })
+  })
+}));
+
+// Follow cursors until the last page
+const allPages = async (options) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await SensorReading.getRange(sensorId, { ...options, cursor });
+    pages.push(page.readings.map(reading => reading.value));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('Sensor readings', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRange', () => {
+    it('should page through every reading newest first', async () => {
+      mockFind();
+
+      expect(await allPages({ limit: 4 })).toEqual([[5, 4, 3, 2], [1, 0]]);
+      expect(await allPages({ limit: 6 })).toEqual([[5, 4, 3, 2, 1, 0]]);
+    });
+
+    it('should not skip or repeat readings that share a timestamp across pages', async () => {
+      mockFind();
+
+      // Readings 1, 2 and 3 share minute 1; pages split them
+      expect(await allPages({ limit: 2 })).toEqual([[5, 4], [3, 2], [1, 0]]);
+    });
+
+    it('should combine the cursor with a time range', async () => {
+      const find = mockFind();
+
+      expect(await allPages({ from: at(1), to: at(2), limit: 2 })).toEqual([[4, 3], [2, 1]]);
+      expect(find.mock.calls[1][0]).toMatchObject({ sensorId, timestamp: { $gte: at(1), $lte: at(2) } });
+    });
+
+    it('should reject a malformed cursor', async () => {
+      mockFind();
+
+      await expect(SensorReading.getRange(sensorId, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('isValidCursor', () => {
+    it('should accept the cursors getRange returns only', async () => {
+      mockFind();
+      const { nextCursor } = await SensorReading.getRange(sensorId, { limit: 1 });
+
+      expect(SensorReading.isValidCursor(nextCursor)).toBe(true);
+      expect(SensorReading.isValidCursor('not-a-cursor')).toBe(false);
+      expect(SensorReading.isValidCursor(Buffer.from('123:nope').toString('base64url'))).toBe(false);
+      expect(SensorReading.isValidCursor(Buffer.from(`soon:${sensorId}`).toString('base64url'))).toBe(false);
+    });
+  });
+
+  describe('GET /api/sensors/:id/data', () => {
+    it('should answer a malformed cursor with a 400', async () => {
+      const findById = jest.spyOn(Sensor, 'findById');
+
+      const res = await request(app).get(`/api/sensors/${sensorId}/data`).query({ cursor: 'not-a-cursor' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe('Invalid cursor');
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+});
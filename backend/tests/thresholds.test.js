@@ -0,0 +1,101 @@
+const {
+  resolveThresholds,
+  validateBands,
+  classify,
+  exceedanceRatio,
+  evaluateThresholdStatus
+} = require('../services/thresholds');
+
+describe('Threshold evaluation', () => {
+  describe('resolveThresholds', () => {
+    it('should treat thresholdValue as the upper warning bound', () => {
+      const bands = resolveThresholds({ type: 'odor', thresholdValue: 6 });
+
+      expect(bands.upperWarning).toBe(6);
+      expect(bands.upperCritical).toBe(9);
+    });
+
+    it('should prefer sensor bands over type defaults', () => {
+      const bands = resolveThresholds({
+        type: 'humidity',
+        thresholdValue: 60,
+        thresholds: { lowerWarning: 35, upperCritical: 80 }
+      });
+
+      expect(bands.lowerWarning).toBe(35);
+      expect(bands.lowerCritical).toBe(20);
+      expect(bands.upperWarning).toBe(60);
+      expect(bands.upperCritical).toBe(80);
+    });
+  });
+
+  describe('validateBands', () => {
+    it('should reject bands that are out of order', () => {
+      expect(validateBands({ lowerWarning: 40, upperWarning: 30 })).toContain('lowerWarning');
+    });
+
+    it('should accept ordered bands', () => {
+      expect(validateBands({ lowerCritical: 10, lowerWarning: 20, upperWarning: 60 })).toBeNull();
+    });
+  });
+
+  describe('classify', () => {
+    const bands = { lowerCritical: 10, lowerWarning: 20, upperWarning: 60, upperCritical: 80 };
+
+    it('should flag values that are too low as well as too high', () => {
+      expect(classify(15, bands)).toEqual({ status: 'warning', direction: 'lower', bound: 20 });
+      expect(classify(5, bands).status).toBe('critical');
+      expect(classify(70, bands)).toEqual({ status: 'warning', direction: 'upper', bound: 60 });
+      expect(classify(40, bands).status).toBe('normal');
+    });
+
+    it('should match the legacy ratio for upper bounds', () => {
+      expect(exceedanceRatio(90, { upperWarning: 60, upperCritical: 90 })).toBe(1.5);
+    });
+  });
+
+  describe('evaluateThresholdStatus', () => {
+    const bands = { upperWarning: 60, upperCritical: 90, hysteresis: 2, dwellTimeMs: 0 };
+
+    it('should not recover until the value clears the hysteresis margin', () => {
+      expect(evaluateThresholdStatus({ value: 59, bands, currentStatus: 'warning' }).status).toBe('warning');
+      expect(evaluateThresholdStatus({ value: 57, bands, currentStatus: 'warning' }).status).toBe('normal');
+    });
+
+    it('should hold a new status until the dwell time has passed', () => {
+      const dwellBands = { ...bands, dwellTimeMs: 60000 };
+      const start = new Date('2024-01-01T00:00:00Z');
+
+      const first = evaluateThresholdStatus({ value: 65, bands: dwellBands, currentStatus: 'normal', now: start });
+      expect(first.status).toBe('normal');
+      expect(first.candidate.status).toBe('warning');
+
+      const early = evaluateThresholdStatus({
+        value: 65,
+        bands: dwellBands,
+        currentStatus: 'normal',
+        candidate: first.candidate,
+        now: new Date(start.getTime() + 30000)
+      });
+      expect(early.status).toBe('normal');
+
+      const late = evaluateThresholdStatus({
+        value: 65,
+        bands: dwellBands,
+        currentStatus: 'normal',
+        candidate: first.candidate,
+        now: new Date(start.getTime() + 60000)
+      });
+      expect(late.status).toBe('warning');
+      expect(late.candidate).toBeNull();
+    });
+
+    it('should drop a pending status when the reading flickers back', () => {
+      const dwellBands = { ...bands, dwellTimeMs: 60000 };
+      const candidate = { status: 'warning', since: new Date() };
+
+      const result = evaluateThresholdStatus({ value: 50, bands: dwellBands, currentStatus: 'normal', candidate });
+      expect(result).toEqual({ status: 'normal', candidate: null });
+    });
+  });
+});
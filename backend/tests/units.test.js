@@ -0,0 +1,62 @@
+const {
+  getTypeUnits,
+  isSupportedUnit,
+  toCanonical,
+  fromCanonical,
+  valuesToCanonical,
+  sensorInUnit
+} = require('../services/units');
+
+describe('Unit conversion', () => {
+  it('should know the canonical and supported units of a type', () => {
+    expect(getTypeUnits('temperature')).toEqual({ canonical: '°C', supported: ['°C', '°F', 'K'] });
+    expect(isSupportedUnit('temperature', '°F')).toBe(true);
+    expect(isSupportedUnit('humidity', '°F')).toBe(false);
+    expect(isSupportedUnit('unknown-type', '%')).toBe(false);
+  });
+
+  it('should convert to and from the canonical unit', () => {
+    expect(toCanonical(212, '°F')).toBe(100);
+    expect(toCanonical(273.15, 'K')).toBe(0);
+    expect(toCanonical(2500, 'ppb')).toBe(2.5);
+    expect(fromCanonical(25, '°F')).toBe(77);
+    expect(fromCanonical(3, 'entries/minute')).toBe(0.05);
+  });
+
+  it('should only scale differences', () => {
+    expect(toCanonical(9, '°F', { delta: true })).toBe(5);
+    expect(fromCanonical(0.5, '°F', { delta: true })).toBe(0.9);
+  });
+
+  it('should convert request values into the canonical unit', () => {
+    const values = valuesToCanonical('°F', {
+      currentValue: 68,
+      thresholdValue: 77,
+      thresholds: { lowerWarning: 59, hysteresis: 1.8, dwellTimeMs: 60000 }
+    });
+
+    expect(values.currentValue).toBe(20);
+    expect(values.thresholdValue).toBe(25);
+    expect(values.thresholds.lowerWarning).toBe(15);
+    expect(values.thresholds.hysteresis).toBe(1);
+    expect(values.thresholds.dwellTimeMs).toBe(60000);
+  });
+
+  it('should express a sensor in another unit for reads', () => {
+    const sensor = {
+      type: 'temperature',
+      unit: '°C',
+      currentValue: 20,
+      thresholdValue: 25,
+      lastReading: { value: 20, timestamp: '2024-01-01T00:00:00Z' }
+    };
+
+    const converted = sensorInUnit(sensor, '°F');
+
+    expect(converted.unit).toBe('°F');
+    expect(converted.currentValue).toBe(68);
+    expect(converted.thresholdValue).toBe(77);
+    expect(converted.lastReading.value).toBe(68);
+    expect(sensorInUnit(sensor, '°C')).toBe(sensor);
+  });
+});
@@ -1,6 +1,9 @@
 const User = require('../models/User');
 const Complaint = require('../models/Complaint');
 const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const SensorRollup = require('../models/SensorRollup');
+const BatteryReading = require('../models/BatteryReading');
 const Feedback = require('../models/Feedback');
 const logger = require('./logger');
 
@@ -184,6 +187,9 @@ async function seedDatabase() {
     await User.deleteMany({});
     await Complaint.deleteMany({});
     await Sensor.deleteMany({});
+    await SensorReading.deleteMany({});
+    await SensorRollup.deleteMany({});
+    await BatteryReading.deleteMany({});
     await Feedback.deleteMany({});
 
     logger.info('Cleared existing data');
@@ -13,6 +13,7 @@ import PendingIssues from './pages/PendingIssues';
 import AdminSensors from './pages/AdminSensors';
 import AdminComplaints from './pages/AdminComplaints';
 import AdminFeedback from './pages/AdminFeedback';
+import FloorPlans from './pages/FloorPlans';
 import Layout from './components/Layout/Layout';
 
 const ProtectedRoute: React.FC<{ children: React.ReactNode; adminOnly?: boolean }> = ({ 
@@ -104,6 +105,14 @@ const AppContent: React.FC = () => {
         </ProtectedRoute>
       } />
       
+      <Route path="/admin/floor-plans" element={
+        <ProtectedRoute adminOnly>
+          <Layout>
+            <FloorPlans />
+          </Layout>
+        </ProtectedRoute>
+      } />
+      
       <Route path="/admin/complaints" element={
         <ProtectedRoute adminOnly>
           <Layout>
@@ -8,6 +8,7 @@ import {
   FileText, 
   AlertCircle, 
   Activity,
+  Map as MapIcon,
   Users
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
@@ -30,6 +31,7 @@ const Navigation: React.FC = () => {
   const adminNavItems = [
     { path: '/dashboard', icon: Home, label: 'Dashboard' },
     { path: '/admin/sensors', icon: Activity, label: 'Sensor Monitoring' },
+    { path: '/admin/floor-plans', icon: MapIcon, label: 'Floor Plans' },
     { path: '/admin/complaints', icon: Users, label: 'All Complaints' },
     { path: '/admin/feedback', icon: MessageSquare, label: 'User Feedback' },
   ];
@@ -0,0 +1,654 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { AlertTriangle, Map as MapIcon, MapPin, Pencil, Save, Trash2, Upload, X } from 'lucide-react';
+import apiService from '../services/api';
+import { createSocket } from '../services/socket';
+import {
+  AreaPlacement,
+  FloorLayout,
+  FloorLayoutSensor,
+  LocationTreeBuilding,
+  Placement
+} from '../types';
+
+type Selection = { kind: 'sensor' | 'room'; id: string } | null;
+
+// Unsaved placements while editing; null removes an item from the plan
+interface DraftLayout {
+  sensors: Record<string, Placement | null>;
+  rooms: Record<string, AreaPlacement | null>;
+}
+
+const emptyDraft = (): DraftLayout => ({ sensors: {}, rooms: {} });
+
+// Events that carry a sensor whose status or value may have changed
+const SENSOR_STATUS_EVENTS = [
+  'sensor:data',
+  'sensor:online',
+  'sensor:offline',
+  'sensor:alert',
+  'sensor:alert-resolved',
+  'sensor:alert-acknowledged'
+];
+
+// Events after which the whole layout is reloaded
+const LAYOUT_EVENTS = [
+  'sensor:created',
+  'sensor:updated',
+  'sensor:deleted',
+  'complaint:created',
+  'complaint:updated',
+  'complaint:deleted',
+  'complaint:resolved',
+  'complaint:escalated'
+];
+
+const clamp = (value: number) => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+
+const percent = (value: number) => `${value * 100}%`;
+
+const FloorPlans: React.FC = () => {
+  const [buildings, setBuildings] = useState<LocationTreeBuilding[]>([]);
+  const [buildingId, setBuildingId] = useState('');
+  const [floorId, setFloorId] = useState('');
+  const [layout, setLayout] = useState<FloorLayout | null>(null);
+  const [planUrl, setPlanUrl] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [draft, setDraft] = useState<DraftLayout>(emptyDraft);
+  const [selection, setSelection] = useState<Selection>(null);
+  const [dragStart, setDragStart] = useState<Placement | null>(null);
+  const [dragCurrent, setDragCurrent] = useState<Placement | null>(null);
+
+  const overlayRef = useRef<HTMLDivElement>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const building = buildings.find(b => b.id === buildingId);
+  const planUploadedAt = layout?.floor.plan?.uploadedAt;
+
+  // Load the hierarchy and start on the first floor
+  useEffect(() => {
+    apiService.getLocationTree()
+      .then(({ buildings }) => {
+        setBuildings(buildings);
+        const first = buildings.find(b => b.floors.length > 0) || buildings[0];
+        if (first) {
+          setBuildingId(first.id);
+          setFloorId(first.floors[0]?.id || '');
+        }
+      })
+      .catch((err: Error) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const loadLayout = useCallback(async () => {
+    if (!floorId) return;
+
+    try {
+      setLayout(await apiService.getFloorLayout(floorId));
+      setError('');
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }, [floorId]);
+
+  useEffect(() => {
+    setLayout(null);
+    setIsEditing(false);
+    setDraft(emptyDraft());
+    setSelection(null);
+    loadLayout();
+  }, [loadLayout]);
+
+  // Fetch the plan image whenever a new plan is uploaded
+  useEffect(() => {
+    if (!floorId || !planUploadedAt) {
+      setPlanUrl(null);
+      return;
+    }
+
+    let url: string | null = null;
+    let cancelled = false;
+
+    apiService.getFloorPlanImage(floorId)
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPlanUrl(url);
+      })
+      .catch((err: Error) => setError(err.message));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [floorId, planUploadedAt]);
+
+  // Live status: sensor events update markers in place, everything else reloads the layout
+  useEffect(() => {
+    if (!floorId) return;
+
+    const socket = createSocket();
+
+    const updateSensor = ({ sensor }: { sensor: Partial<FloorLayoutSensor> & { _id?: string } }) => {
+      const id = sensor.id || sensor._id;
+      setLayout(prev => prev && {
+        ...prev,
+        sensors: prev.sensors.map(s => s.id === id
+          ? {
+              ...s,
+              status: sensor.status ?? s.status,
+              currentValue: sensor.currentValue ?? s.currentValue,
+              thresholdRatio: sensor.thresholdRatio ?? s.thresholdRatio
+            }
+          : s)
+      });
+    };
+
+    const reload = () => loadLayout();
+    const reloadFloor = ({ floorId: updatedFloorId }: { floorId: string }) => {
+      if (updatedFloorId === floorId) loadLayout();
+    };
+
+    SENSOR_STATUS_EVENTS.forEach(event => socket.on(event, updateSensor));
+    LAYOUT_EVENTS.forEach(event => socket.on(event, reload));
+    socket.on('floor:layout-updated', reloadFloor);
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [floorId, loadLayout]);
+
+  const handleBuildingChange = (id: string) => {
+    setBuildingId(id);
+    setFloorId(buildings.find(b => b.id === id)?.floors[0]?.id || '');
+  };
+
+  const handlePlanUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !floorId) return;
+
+    try {
+      await apiService.uploadFloorPlan(floorId, file);
+      await loadLayout();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const handlePlanRemove = async () => {
+    if (!floorId || !window.confirm('Remove the floor plan? Placements are kept for a new plan.')) return;
+
+    try {
+      await apiService.deleteFloorPlan(floorId);
+      await loadLayout();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const sensorPlacement = (id: string, placement: Placement | null) =>
+    id in draft.sensors ? draft.sensors[id] : placement;
+
+  const roomPlacement = (id: string, placement: AreaPlacement | null) =>
+    id in draft.rooms ? draft.rooms[id] : placement;
+
+  const pointFromEvent = (e: React.MouseEvent): Placement => {
+    const rect = overlayRef.current!.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height)
+    };
+  };
+
+  // Sensors are placed with a click, rooms and areas by dragging a rectangle
+  const handleMouseDown = (e: React.MouseEvent) => {
+    if (!isEditing || !selection) return;
+
+    const point = pointFromEvent(e);
+    if (selection.kind === 'sensor') {
+      setDraft(prev => ({ ...prev, sensors: { ...prev.sensors, [selection.id]: point } }));
+    } else {
+      setDragStart(point);
+      setDragCurrent(point);
+    }
+  };
+
+  const handleMouseMove = (e: React.MouseEvent) => {
+    if (dragStart) setDragCurrent(pointFromEvent(e));
+  };
+
+  const dragRectangle = (): AreaPlacement | null => {
+    if (!dragStart || !dragCurrent) return null;
+    return {
+      x: Math.min(dragStart.x, dragCurrent.x),
+      y: Math.min(dragStart.y, dragCurrent.y),
+      width: clamp(Math.abs(dragCurrent.x - dragStart.x)),
+      height: clamp(Math.abs(dragCurrent.y - dragStart.y))
+    };
+  };
+
+  const handleMouseUp = () => {
+    const rectangle = dragRectangle();
+    if (rectangle && selection?.kind === 'room' && rectangle.width > 0.01 && rectangle.height > 0.01) {
+      setDraft(prev => ({ ...prev, rooms: { ...prev.rooms, [selection.id]: rectangle } }));
+    }
+    setDragStart(null);
+    setDragCurrent(null);
+  };
+
+  const removeSelection = () => {
+    if (!selection) return;
+    setDraft(prev => selection.kind === 'sensor'
+      ? { ...prev, sensors: { ...prev.sensors, [selection.id]: null } }
+      : { ...prev, rooms: { ...prev.rooms, [selection.id]: null } });
+  };
+
+  const cancelEditing = () => {
+    setIsEditing(false);
+    setDraft(emptyDraft());
+    setSelection(null);
+  };
+
+  const saveLayout = async () => {
+    if (!floorId) return;
+
+    setIsSaving(true);
+    try {
+      await apiService.updateFloorLayout(floorId, {
+        sensors: Object.entries(draft.sensors).map(([id, placement]) => ({ id, placement })),
+        rooms: Object.entries(draft.rooms).map(([id, placement]) => ({ id, placement }))
+      });
+      await loadLayout();
+      cancelEditing();
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const getStatusClasses = (status: string) => {
+    switch (status) {
+      case 'critical':
+        return 'bg-red-500 ring-red-200 animate-pulse';
+      case 'warning':
+        return 'bg-yellow-500 ring-yellow-200';
+      case 'offline':
+        return 'bg-gray-400 ring-gray-200';
+      default:
+        return 'bg-green-500 ring-green-200';
+    }
+  };
+
+  const selectedSensor = selection?.kind === 'sensor'
+    ? layout?.sensors.find(s => s.id === selection.id)
+    : undefined;
+  const placedPins = layout?.complaintPins.filter(pin => pin.position) || [];
+  const openComplaints = layout?.complaintPins.flatMap(pin => pin.complaints) || [];
+  const unplacedSensors = layout?.sensors.filter(s => !sensorPlacement(s.id, s.placement)) || [];
+  const hasDraft = Object.keys(draft.sensors).length + Object.keys(draft.rooms).length > 0;
+  const drawing = dragRectangle();
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="h-10 w-10 bg-blue-100 dark:bg-blue-900 rounded-full flex items-center justify-center">
+            <MapIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Floor Plans</h1>
+            <p className="text-gray-600 dark:text-gray-300">Live sensor status and open complaints on each floor</p>
+          </div>
+        </div>
+
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <select
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            value={buildingId}
+            onChange={(e) => handleBuildingChange(e.target.value)}
+          >
+            {buildings.map(b => (
+              <option key={b.id} value={b.id}>{b.name}</option>
+            ))}
+          </select>
+
+          <select
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            value={floorId}
+            onChange={(e) => setFloorId(e.target.value)}
+          >
+            {building?.floors.map(floor => (
+              <option key={floor.id} value={floor.id}>{floor.name}</option>
+            ))}
+          </select>
+
+          <div className="flex items-center gap-2 md:ml-auto">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".png,.svg,image/png,image/svg+xml"
+              className="hidden"
+              onChange={handlePlanUpload}
+            />
+            {floorId && !isEditing && (
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                <Upload className="h-4 w-4" />
+                <span>{layout?.floor.plan ? 'Replace Plan' : 'Upload Plan'}</span>
+              </button>
+            )}
+            {layout?.floor.plan && !isEditing && (
+              <>
+                <button
+                  onClick={handlePlanRemove}
+                  className="flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+                >
+                  <Trash2 className="h-4 w-4" />
+                  <span>Remove Plan</span>
+                </button>
+                <button
+                  onClick={() => { setIsEditing(true); setSelection(null); }}
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  <Pencil className="h-4 w-4" />
+                  <span>Edit Layout</span>
+                </button>
+              </>
+            )}
+            {isEditing && (
+              <>
+                <button
+                  onClick={cancelEditing}
+                  className="flex items-center space-x-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+                >
+                  <X className="h-4 w-4" />
+                  <span>Cancel</span>
+                </button>
+                <button
+                  onClick={saveLayout}
+                  disabled={!hasDraft || isSaving}
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="h-4 w-4" />
+                  <span>{isSaving ? 'Saving...' : 'Save Layout'}</span>
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {error && (
+          <div className="mt-4 flex items-center space-x-2 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-300">
+            <AlertTriangle className="h-4 w-4" />
+            <span>{error}</span>
+          </div>
+        )}
+      </div>
+
+      {buildings.length === 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-12 text-center text-gray-600 dark:text-gray-300">
+          No buildings yet. Create buildings and floors to add floor plans.
+        </div>
+      )}
+
+      {layout && !layout.floor.plan && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-12 text-center">
+          <MapIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600 dark:text-gray-300 mb-4">
+            {layout.floor.building.name} / {layout.floor.name} has no floor plan yet.
+          </p>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="inline-flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Upload className="h-4 w-4" />
+            <span>Upload SVG or PNG</span>
+          </button>
+        </div>
+      )}
+
+      {layout?.floor.plan && (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Plan with overlays */}
+          <div className="lg:col-span-3 bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4">
+            <div className="relative select-none">
+              {planUrl ? (
+                <img src={planUrl} alt={`${layout.floor.name} floor plan`} className="block w-full h-auto" draggable={false} />
+              ) : (
+                <div className="h-96 flex items-center justify-center">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                </div>
+              )}
+
+              <div
+                ref={overlayRef}
+                className={`absolute inset-0 ${isEditing && selection ? 'cursor-crosshair' : ''}`}
+                onMouseDown={handleMouseDown}
+                onMouseMove={handleMouseMove}
+                onMouseUp={handleMouseUp}
+                onMouseLeave={handleMouseUp}
+              >
+                {/* Rooms and areas */}
+                {layout.rooms.map(room => {
+                  const placement = roomPlacement(room.id, room.placement);
+                  if (!placement) return null;
+                  const isSelected = selection?.kind === 'room' && selection.id === room.id;
+                  return (
+                    <div
+                      key={room.id}
+                      className={`absolute border-2 rounded ${isSelected ? 'border-blue-600 bg-blue-500/20' : 'border-blue-400 bg-blue-400/10'} ${isEditing ? 'pointer-events-none' : ''}`}
+                      style={{
+                        left: percent(placement.x),
+                        top: percent(placement.y),
+                        width: percent(placement.width),
+                        height: percent(placement.height)
+                      }}
+                    >
+                      <span className="absolute top-0 left-0 px-1 text-xs font-medium text-blue-900 bg-white/80 rounded-br">
+                        {room.name}
+                      </span>
+                    </div>
+                  );
+                })}
+
+                {drawing && (
+                  <div
+                    className="absolute border-2 border-dashed border-blue-600 bg-blue-500/10 pointer-events-none"
+                    style={{
+                      left: percent(drawing.x),
+                      top: percent(drawing.y),
+                      width: percent(drawing.width),
+                      height: percent(drawing.height)
+                    }}
+                  />
+                )}
+
+                {/* Open complaints, pinned to their room */}
+                {!isEditing && placedPins.map(pin => (
+                  <div
+                    key={pin.roomId}
+                    className="absolute -translate-x-1/2 -translate-y-full"
+                    style={{ left: percent(pin.position!.x), top: percent(pin.position!.y) }}
+                    title={pin.complaints.map(c => c.title).join('\n')}
+                  >
+                    <MapPin className="h-7 w-7 text-red-600 fill-red-100" />
+                    <span className="absolute -top-1 -right-2 h-4 min-w-4 px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+                      {pin.complaints.length}
+                    </span>
+                  </div>
+                ))}
+
+                {/* Sensors */}
+                {layout.sensors.map(sensor => {
+                  const placement = sensorPlacement(sensor.id, sensor.placement);
+                  if (!placement) return null;
+                  const isSelected = selection?.kind === 'sensor' && selection.id === sensor.id;
+                  return (
+                    <button
+                      key={sensor.id}
+                      type="button"
+                      className={`absolute h-4 w-4 -translate-x-1/2 -translate-y-1/2 rounded-full ring-4 ${getStatusClasses(sensor.status)} ${isSelected ? 'outline outline-2 outline-blue-600' : ''} ${isEditing ? 'pointer-events-none' : ''}`}
+                      style={{ left: percent(placement.x), top: percent(placement.y) }}
+                      title={`${sensor.name}: ${sensor.currentValue} ${sensor.unit} (${sensor.status})`}
+                      onClick={() => setSelection({ kind: 'sensor', id: sensor.id })}
+                    />
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Legend */}
+            <div className="flex flex-wrap items-center gap-4 mt-4 text-xs text-gray-600 dark:text-gray-300">
+              {['normal', 'warning', 'critical', 'offline'].map(status => (
+                <span key={status} className="flex items-center space-x-1">
+                  <span className={`h-3 w-3 rounded-full ${getStatusClasses(status).split(' ')[0]}`}></span>
+                  <span className="capitalize">{status}</span>
+                </span>
+              ))}
+              <span className="flex items-center space-x-1">
+                <MapPin className="h-3 w-3 text-red-600" />
+                <span>Open complaints</span>
+              </span>
+            </div>
+          </div>
+
+          {/* Sidebar */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 space-y-6">
+            {isEditing ? (
+              <>
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  Select a sensor and click the plan to place it, or select a room and drag a rectangle.
+                </p>
+
+                {[
+                  { kind: 'sensor' as const, title: 'Sensors', items: layout.sensors.map(s => ({ id: s.id, name: s.name, placed: !!sensorPlacement(s.id, s.placement) })) },
+                  { kind: 'room' as const, title: 'Rooms and Areas', items: layout.rooms.map(r => ({ id: r.id, name: r.name, placed: !!roomPlacement(r.id, r.placement) })) }
+                ].map(({ kind, title, items }) => (
+                  <div key={kind}>
+                    <h3 className="font-semibold text-gray-900 dark:text-white mb-2">{title}</h3>
+                    {items.length === 0 && (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">None on this floor</p>
+                    )}
+                    <div className="space-y-1">
+                      {items.map(item => (
+                        <button
+                          key={item.id}
+                          onClick={() => setSelection({ kind, id: item.id })}
+                          className={`w-full flex items-center justify-between px-3 py-2 rounded-lg text-sm text-left ${
+                            selection?.kind === kind && selection.id === item.id
+                              ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-200'
+                              : 'text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'
+                          }`}
+                        >
+                          <span>{item.name}</span>
+                          <span className={`text-xs ${item.placed ? 'text-green-600' : 'text-gray-400'}`}>
+                            {item.placed ? 'Placed' : 'Not placed'}
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+
+                {selection && (
+                  <button
+                    onClick={removeSelection}
+                    className="w-full flex items-center justify-center space-x-2 px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    <span>Remove from Plan</span>
+                  </button>
+                )}
+              </>
+            ) : (
+              <>
+                {selectedSensor && (
+                  <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className="font-semibold text-gray-900 dark:text-white">{selectedSensor.name}</h3>
+                      <button onClick={() => setSelection(null)} className="text-gray-400 hover:text-gray-600">
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                    <div className="space-y-1 text-sm">
+                      <div className="flex justify-between">
+                        <span className="text-gray-600 dark:text-gray-300">Type:</span>
+                        <span className="text-gray-900 dark:text-white capitalize">{selectedSensor.type.replace('-', ' ')}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600 dark:text-gray-300">Current:</span>
+                        <span className="text-gray-900 dark:text-white">{selectedSensor.currentValue} {selectedSensor.unit}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600 dark:text-gray-300">Threshold:</span>
+                        <span className="text-gray-900 dark:text-white">{selectedSensor.thresholdValue} {selectedSensor.unit}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600 dark:text-gray-300">Status:</span>
+                        <span className="text-gray-900 dark:text-white capitalize">{selectedSensor.status}</span>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                <div>
+                  <h3 className="font-semibold text-gray-900 dark:text-white mb-2">
+                    Open Complaints ({openComplaints.length})
+                  </h3>
+                  {openComplaints.length === 0 && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No open complaints on this floor</p>
+                  )}
+                  <div className="space-y-2">
+                    {layout.complaintPins.map(pin => pin.complaints.map(complaint => (
+                      <div key={complaint.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                        <p className="text-sm font-medium text-gray-900 dark:text-white">{complaint.title}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {layout.rooms.find(r => r.id === pin.roomId)?.name || 'Not pinned'}
+                          {' · '}
+                          <span className="capitalize">{complaint.priority}</span>
+                          {complaint.isUrgent && ' · urgent'}
+                        </p>
+                      </div>
+                    )))}
+                  </div>
+                </div>
+
+                {unplacedSensors.length > 0 && (
+                  <div>
+                    <h3 className="font-semibold text-gray-900 dark:text-white mb-2">Not on the Plan</h3>
+                    <div className="space-y-1">
+                      {unplacedSensors.map(sensor => (
+                        <div key={sensor.id} className="flex items-center justify-between text-sm">
+                          <span className="text-gray-700 dark:text-gray-200">{sensor.name}</span>
+                          <span className={`h-3 w-3 rounded-full ${getStatusClasses(sensor.status).split(' ')[0]}`}></span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FloorPlans;
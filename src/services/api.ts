@@ -1,3 +1,5 @@
+import { AreaPlacement, FloorLayout, LocationTreeBuilding, Placement } from '../types';
+
 const API_BASE_URL = 'http://localhost:5000/api';
 
 interface ApiResponse<T = any> {
@@ -40,6 +42,11 @@ class ApiService {
     return headers;
   }
 
+  // Without a Content-Type, for multipart uploads and file downloads
+  private getAuthHeaders(): HeadersInit {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
   private async request<T>(
     endpoint: string,
     options: RequestInit = {}
@@ -217,6 +224,56 @@ class ApiService {
     });
   }
 
+  // Location methods
+  async getLocationTree(buildingId?: string) {
+    const endpoint = `/locations/tree${buildingId ? `?buildingId=${buildingId}` : ''}`;
+    return this.request<{ buildings: LocationTreeBuilding[] }>(endpoint);
+  }
+
+  async getFloorLayout(floorId: string) {
+    return this.request<FloorLayout>(`/locations/floors/${floorId}/layout`);
+  }
+
+  async updateFloorLayout(floorId: string, layout: {
+    sensors?: Array<{ id: string; placement: Placement | null }>;
+    rooms?: Array<{ id: string; placement: AreaPlacement | null }>;
+  }) {
+    return this.request<{ message: string; updated: { sensors: number; rooms: number } }>(`/locations/floors/${floorId}/layout`, {
+      method: 'PUT',
+      body: JSON.stringify(layout),
+    });
+  }
+
+  // Plan images need the token, so they are fetched as blobs for object URLs
+  async getFloorPlanImage(floorId: string) {
+    const response = await fetch(`${this.baseURL}/locations/floors/${floorId}/plan`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error('Floor plan could not be loaded');
+    }
+
+    return response.blob();
+  }
+
+  async uploadFloorPlan(floorId: string, file: File) {
+    const formData = new FormData();
+    formData.append('plan', file);
+
+    return this.request<{ floor: FloorLayout['floor']; message: string }>(`/locations/floors/${floorId}/plan`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: formData,
+    });
+  }
+
+  async deleteFloorPlan(floorId: string) {
+    return this.request<{ message: string }>(`/locations/floors/${floorId}/plan`, {
+      method: 'DELETE',
+    });
+  }
+
   // Admin methods
   async getDashboard() {
     return this.request<any>('/admin/dashboard');
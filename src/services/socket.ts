@@ -0,0 +1,6 @@
+import { io, Socket } from 'socket.io-client';
+
+const SOCKET_URL = 'http://localhost:5000';
+
+// Live updates from the backend (`sensor:*`, `complaint:*`, `floor:*` events)
+export const createSocket = (): Socket => io(SOCKET_URL);
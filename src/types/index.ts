@@ -35,4 +35,74 @@ export interface Feedback {
   message: string;
   userId: string;
   createdAt: string;
-}
\ No newline at end of file
+}
+// Floor plan positions are fractions (0-1) of the plan's width and height
+export interface Placement {
+  x: number;
+  y: number;
+}
+
+export interface AreaPlacement extends Placement {
+  width: number;
+  height: number;
+}
+
+export interface LocationTreeFloor {
+  id: string;
+  name: string;
+  level: number;
+}
+
+export interface LocationTreeBuilding {
+  id: string;
+  name: string;
+  code?: string;
+  floors: LocationTreeFloor[];
+}
+
+export interface FloorLayoutSensor {
+  id: string;
+  name: string;
+  type: string;
+  status: 'normal' | 'warning' | 'critical' | 'offline';
+  currentValue: number;
+  thresholdValue: number;
+  thresholdRatio: number | null;
+  unit: string;
+  roomId: string | null;
+  placement: Placement | null;
+}
+
+export interface FloorLayoutRoom {
+  id: string;
+  name: string;
+  kind: 'room' | 'area';
+  placement: AreaPlacement | null;
+}
+
+export interface ComplaintPin {
+  roomId: string | null;
+  position: Placement | null;
+  complaints: Array<Pick<Complaint, 'id' | 'title' | 'category' | 'status' | 'priority' | 'createdAt'> & {
+    isUrgent?: boolean;
+  }>;
+}
+
+export interface FloorLayout {
+  floor: {
+    id: string;
+    name: string;
+    level: number;
+    building: { _id: string; name: string; code?: string };
+    plan: {
+      contentType: string;
+      size: number;
+      width?: number;
+      height?: number;
+      uploadedAt: string;
+    } | null;
+  };
+  rooms: FloorLayoutRoom[];
+  sensors: FloorLayoutSensor[];
+  complaintPins: ComplaintPin[];
+}